@@ -1,55 +1,396 @@
 // Admin Configuration for Backend
 // Configure admin users via environment variables for production security
 
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Permissions checked by the admin routes
+const PERMISSIONS = {
+  STATS_READ: 'stats:read',
+  SESSIONS_READ: 'sessions:read',
+  SESSIONS_DELETE: 'sessions:delete',
+  SESSIONS_DOWNLOAD: 'sessions:download',
+  SESSIONS_HOST: 'sessions:host',
+  SESSIONS_IMPORT: 'sessions:import',
+  SESSIONS_RENEW: 'sessions:renew',
+  SESSIONS_VERIFY: 'sessions:verify',
+  API_KEYS_MANAGE: 'api-keys:manage',
+  PLUGINS_READ: 'plugins:read',
+  PLUGINS_MODERATE: 'plugins:moderate',
+  FAQS_READ: 'faqs:read',
+  FAQS_EDIT: 'faqs:edit',
+  WELCOME_READ: 'welcome:read',
+  WELCOME_EDIT: 'welcome:edit',
+  DELIVERY_READ: 'delivery:read',
+  DELIVERY_EDIT: 'delivery:edit',
+  SUPPORT_READ: 'support:read',
+  SUPPORT_EDIT: 'support:edit',
+  AUDIT_READ: 'audit:read',
+  ADMINS_MANAGE: 'admins:manage'
+};
+
+// Role definitions - owner holds every permission
+const ROLES = {
+  'owner': Object.values(PERMISSIONS),
+  'session-admin': [
+    PERMISSIONS.STATS_READ,
+    PERMISSIONS.SESSIONS_READ,
+    PERMISSIONS.SESSIONS_DELETE,
+    PERMISSIONS.SESSIONS_DOWNLOAD,
+    PERMISSIONS.SESSIONS_HOST,
+    PERMISSIONS.SESSIONS_IMPORT,
+    PERMISSIONS.SESSIONS_RENEW,
+    PERMISSIONS.SESSIONS_VERIFY,
+    PERMISSIONS.API_KEYS_MANAGE
+  ],
+  'plugin-moderator': [
+    PERMISSIONS.STATS_READ,
+    PERMISSIONS.PLUGINS_READ,
+    PERMISSIONS.PLUGINS_MODERATE
+  ],
+  'faq-editor': [
+    PERMISSIONS.STATS_READ,
+    PERMISSIONS.FAQS_READ,
+    PERMISSIONS.FAQS_EDIT,
+    PERMISSIONS.WELCOME_READ,
+    PERMISSIONS.WELCOME_EDIT,
+    PERMISSIONS.DELIVERY_READ,
+    PERMISSIONS.DELIVERY_EDIT
+  ],
+  'read-only': [
+    PERMISSIONS.STATS_READ,
+    PERMISSIONS.SESSIONS_READ,
+    PERMISSIONS.PLUGINS_READ,
+    PERMISSIONS.FAQS_READ,
+    PERMISSIONS.WELCOME_READ,
+    PERMISSIONS.DELIVERY_READ,
+    PERMISSIONS.SUPPORT_READ
+  ]
+};
+
 let ADMIN_CONFIG = null;
 
+// Runtime admins from the data file, reloaded whenever the file changes
+let ROLE_FILE_CACHE = { mtimeMs: undefined, assignments: {} };
+
+// Tail of the pending role file updates - add/remove run one at a time so none is lost
+let ROLE_FILE_QUEUE = Promise.resolve();
+
+const IDENTITY_PROVIDERS = ['github', 'oidc', 'local'];
+
+// Admin identities are namespaced per login provider (github:111729787, local:alice)
+// Bare values are GitHub ids/usernames, as configured before other providers existed
+const normalizeIdentity = (identity) => identity.includes(':') ? identity : `github:${identity}`;
+
+const isValidIdentity = (identity) => {
+  const separatorIndex = identity.indexOf(':');
+  return separatorIndex > 0
+    && IDENTITY_PROVIDERS.includes(identity.slice(0, separatorIndex))
+    && identity.length > separatorIndex + 1;
+};
+
+// Usernames live under their own key (github:login:manjisama1) so a login can never
+// match the id of another account (a GitHub user named "111729787")
+const normalizeLoginIdentity = (username) => {
+  const separatorIndex = username.indexOf(':');
+  return separatorIndex === -1
+    ? `github:login:${username}`
+    : `${username.slice(0, separatorIndex)}:login:${username.slice(separatorIndex + 1)}`;
+};
+
+const isLoginIdentity = (identity) => identity.split(':')[1] === 'login';
+
+const createAdminError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Parse "identity:role" pairs (comma-separated) into { identity: [roles] }
+const parseRoleAssignments = (value) => {
+  const assignments = {};
+
+  value.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separatorIndex = entry.lastIndexOf(':');
+    if (separatorIndex === -1) return;
+
+    const identity = normalizeIdentity(entry.slice(0, separatorIndex).trim());
+    const role = entry.slice(separatorIndex + 1).trim();
+
+    if (!identity || !ROLES[role]) {
+      console.warn(`[ADMIN] Ignoring invalid role assignment: ${entry}`);
+      return;
+    }
+
+    assignments[identity] = [...new Set([...(assignments[identity] || []), role])];
+  });
+
+  return assignments;
+};
+
+const getRoleFilePath = () => process.env.ADMIN_ROLES_FILE || path.join(__dirname, '../data/admin-roles.json');
+
+// Load { identity: { roles, addedBy, addedAt } } from the role assignment data file
+// Entries may also be a plain roles array (hand-written files)
+const loadRoleFile = (filePath) => {
+  try {
+    if (!fs.existsSync(filePath)) return {};
+
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const assignments = {};
+
+    Object.entries(data.assignments || {}).forEach(([identity, entry]) => {
+      const details = Array.isArray(entry) || typeof entry === 'string' ? { roles: entry } : entry;
+      const roles = Array.isArray(details.roles) ? details.roles : [details.roles];
+      const validRoles = roles.filter(role => ROLES[role]);
+
+      if (validRoles.length > 0) {
+        assignments[normalizeIdentity(identity)] = { ...details, roles: validRoles };
+      }
+    });
+
+    return assignments;
+  } catch (error) {
+    console.error(`[ADMIN] Failed to load role file: ${error.message}`);
+    return {};
+  }
+};
+
+// Get data file assignments, re-reading the file only when it changed
+const getFileAssignments = () => {
+  const filePath = getRoleFilePath();
+
+  let mtimeMs = null;
+  try {
+    mtimeMs = fs.statSync(filePath).mtimeMs;
+  } catch (error) {
+    // Missing file - no runtime admins
+  }
+
+  if (mtimeMs !== ROLE_FILE_CACHE.mtimeMs) {
+    ROLE_FILE_CACHE = { mtimeMs, assignments: mtimeMs === null ? {} : loadRoleFile(filePath) };
+  }
+
+  return ROLE_FILE_CACHE.assignments;
+};
+
+const saveFileAssignments = async (assignments) => {
+  const filePath = getRoleFilePath();
+  const tempPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  try {
+    await fs.promises.writeFile(tempPath, JSON.stringify({ assignments }, null, 2));
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+
+  // Same-millisecond writes keep the old mtime, so drop the cache explicitly
+  ROLE_FILE_CACHE = { mtimeMs: undefined, assignments: {} };
+};
+
+// Read-modify-write of the role file in the update queue: mutator(assignments) edits a copy
+// of the current assignments, which is then saved; its return value is passed through
+const updateFileAssignments = (mutator) => {
+  const run = ROLE_FILE_QUEUE.then(async () => {
+    const assignments = { ...getFileAssignments() };
+    const result = mutator(assignments);
+    await saveFileAssignments(assignments);
+    return result;
+  });
+
+  ROLE_FILE_QUEUE = run.catch(() => {});
+  return run;
+};
+
 // Lazy loading function to ensure environment variables are loaded
+// Only environment values are cached - runtime admins live in the data file
 const getAdminConfig = () => {
   if (!ADMIN_CONFIG) {
     ADMIN_CONFIG = {
       // Get admin user IDs from environment variable (comma-separated)
-      // Primary: Use GitHub user IDs (more secure, never change)
-      // Example: ADMIN_USER_IDS=111729787,987654321
-      adminUserIds: process.env.ADMIN_USER_IDS 
-        ? process.env.ADMIN_USER_IDS.split(',').map(id => id.trim()).filter(Boolean)
+      // Primary: Use provider user IDs (more secure, never change)
+      // These users are bootstrap owners and cannot be removed at runtime
+      // Example: ADMIN_USER_IDS=111729787,oidc:0b5c1e6a,local:alice
+      adminUserIds: process.env.ADMIN_USER_IDS
+        ? process.env.ADMIN_USER_IDS.split(',').map(id => normalizeIdentity(id.trim())).filter(Boolean)
         : [], // Empty array in production if not configured
 
       // Fallback: Use GitHub usernames (can change, less secure)
       // Example: ADMIN_USERS=manjisama1,another-admin
-      adminUsernames: process.env.ADMIN_USERS 
-        ? process.env.ADMIN_USERS.split(',').map(username => username.trim()).filter(Boolean)
+      adminUsernames: process.env.ADMIN_USERS
+        ? process.env.ADMIN_USERS.split(',').map(username => username.trim()).filter(Boolean).map(normalizeLoginIdentity)
         : [], // Empty array in production if not configured
+
+      // Role assignments by namespaced user ID (bare values are GitHub)
+      // Example: ADMIN_ROLES=github:111729787:owner,local:alice:faq-editor
+      roleAssignments: process.env.ADMIN_ROLES ? parseRoleAssignments(process.env.ADMIN_ROLES) : {},
     };
   }
   return ADMIN_CONFIG;
 };
 
-// Helper function to check if a user is admin
-const isAdmin = (user) => {
+// Get the namespaced identities of a user ({ provider:id, provider:login:name })
+const getUserIdentities = (user) => {
+  // Tokens issued before login providers existed carry a bare GitHub profile
+  const provider = user.provider || 'github';
+  const providerId = (user.providerId ?? user.id)?.toString();
+
+  return {
+    idIdentity: providerId ? `${provider}:${providerId}` : null,
+    loginIdentity: user.login ? `${provider}:login:${user.login}` : null
+  };
+};
+
+// Get the roles held by a user (empty array for non-admins)
+const getUserRoles = (user) => {
   const config = getAdminConfig(); // Load config when needed
-  
-  if (!user) return false;
-
-  // Primary check: User ID (most secure, never changes)
-  if (user.id && config.adminUserIds.length > 0) {
-    const isAdminById = config.adminUserIds.includes(user.id.toString());
-    if (isAdminById) {
-      return true;
-    }
+
+  if (!user) return [];
+
+  const roles = new Set();
+  const { idIdentity, loginIdentity } = getUserIdentities(user);
+  const fileAssignments = getFileAssignments();
+
+  // Role assignments are matched on the user ID only (never changes, cannot be claimed)
+  if (idIdentity) {
+    (config.roleAssignments[idIdentity] || []).forEach(role => roles.add(role));
+    (fileAssignments[idIdentity]?.roles || []).forEach(role => roles.add(role));
   }
 
-  // Fallback check: Username (less secure, can change)
-  if (user.login && config.adminUsernames.length > 0) {
-    const isAdminByUsername = config.adminUsernames.includes(user.login);
-    if (isAdminByUsername) {
-      return true;
-    }
+  // Bootstrap admins from the environment are always owners
+  const isListedById = idIdentity && config.adminUserIds.includes(idIdentity);
+  const isListedByUsername = loginIdentity && config.adminUsernames.includes(loginIdentity);
+
+  if (isListedById || isListedByUsername) {
+    roles.add('owner');
+  }
+
+  return [...roles];
+};
+
+// Get the combined permissions of every role a user holds
+const getUserPermissions = (user) => {
+  const permissions = new Set();
+  getUserRoles(user).forEach(role => ROLES[role].forEach(permission => permissions.add(permission)));
+  return [...permissions];
+};
+
+// Helper function to check a single permission
+const hasPermission = (user, permission) => getUserPermissions(user).includes(permission);
+
+// Helper function to check if a user is admin (holds any role)
+const isAdmin = (user) => getUserRoles(user).length > 0;
+
+// Roles granted to an identity by the environment (not removable at runtime)
+const getEnvRoles = (identity) => {
+  const config = getAdminConfig();
+  const roles = new Set(config.roleAssignments[identity] || []);
+
+  if (config.adminUserIds.includes(identity) || config.adminUsernames.includes(identity)) {
+    roles.add('owner');
+  }
+
+  return [...roles];
+};
+
+// List every admin with where their roles come from
+const listAdmins = () => {
+  const config = getAdminConfig();
+  const fileAssignments = getFileAssignments();
+  const identities = new Set([
+    ...config.adminUserIds,
+    ...config.adminUsernames,
+    ...Object.keys(config.roleAssignments),
+    ...Object.keys(fileAssignments)
+  ]);
+
+  return [...identities].map(identity => {
+    const envRoles = getEnvRoles(identity);
+    const fileEntry = fileAssignments[identity];
+
+    return {
+      identity,
+      roles: [...new Set([...envRoles, ...(fileEntry?.roles || [])])],
+      source: envRoles.length > 0 ? 'env' : 'data',
+      removable: envRoles.length === 0,
+      addedBy: fileEntry?.addedBy || null,
+      addedAt: fileEntry?.addedAt || null,
+      updatedAt: fileEntry?.updatedAt || null
+    };
+  });
+};
+
+// Add a runtime admin or replace their roles; takes effect immediately
+const addAdmin = async (rawIdentity, roles, addedBy = null) => {
+  const identity = normalizeIdentity((rawIdentity || '').toString().trim());
+
+  if (!isValidIdentity(identity) || isLoginIdentity(identity)) {
+    throw createAdminError(`Invalid identity, expected one of: ${IDENTITY_PROVIDERS.map(p => `${p}:<id>`).join(', ')}`, 'INVALID_IDENTITY');
+  }
+
+  const roleList = Array.isArray(roles) ? roles : [roles];
+  const invalidRoles = roleList.filter(role => !ROLES[role]);
+  if (roleList.length === 0 || invalidRoles.length > 0) {
+    throw createAdminError(`Invalid roles: ${invalidRoles.join(', ') || 'none given'}`, 'INVALID_ROLE');
+  }
+
+  if (getEnvRoles(identity).length > 0) {
+    throw createAdminError('This admin is configured via environment variables', 'BOOTSTRAP_ADMIN');
   }
 
-  return false;
+  return updateFileAssignments(assignments => {
+    const existing = assignments[identity];
+
+    assignments[identity] = {
+      roles: [...new Set(roleList)],
+      addedBy: existing?.addedBy || addedBy,
+      addedAt: existing?.addedAt || new Date().toISOString(),
+      ...(existing ? { updatedAt: new Date().toISOString() } : {})
+    };
+
+    return { identity, ...assignments[identity], previousRoles: existing?.roles || [] };
+  });
+};
+
+// Remove a runtime admin; environment admins cannot be removed
+const removeAdmin = async (rawIdentity) => {
+  const identity = normalizeIdentity((rawIdentity || '').toString().trim());
+
+  if (getEnvRoles(identity).length > 0) {
+    throw createAdminError('Bootstrap admins configured via environment variables cannot be removed', 'BOOTSTRAP_ADMIN');
+  }
+
+  return updateFileAssignments(assignments => {
+    const existing = assignments[identity];
+
+    if (!existing) {
+      throw createAdminError('Admin not found', 'ADMIN_NOT_FOUND');
+    }
+
+    delete assignments[identity];
+    return { identity, ...existing };
+  });
 };
 
 export {
+  PERMISSIONS,
+  ROLES,
   getAdminConfig,
-  isAdmin
+  normalizeIdentity,
+  getUserIdentities,
+  getUserRoles,
+  getUserPermissions,
+  hasPermission,
+  isAdmin,
+  listAdmins,
+  addAdmin,
+  removeAdmin
 };
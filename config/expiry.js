@@ -0,0 +1,31 @@
+// Session Expiry Configuration
+// Stored sessions expire at expiresAt: warning before it, a grace period after it, then removal
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let EXPIRY_CONFIG = null;
+
+// Lazy loading function to ensure environment variables are loaded
+const getExpiryConfig = () => {
+  if (!EXPIRY_CONFIG) {
+    EXPIRY_CONFIG = {
+      // Opt-in: set SESSION_EXPIRY_ENABLED=true to expire stored sessions (default keeps them forever)
+      enabled: process.env.SESSION_EXPIRY_ENABLED === 'true',
+
+      // Lifetime of a newly stored session in milliseconds (default 365 days)
+      lifetime: parseInt(process.env.SESSION_LIFETIME) || 365 * DAY,
+
+      // How long a renewal extends a session from now (default: one lifetime)
+      renewalPeriod: parseInt(process.env.SESSION_RENEWAL_PERIOD) || parseInt(process.env.SESSION_LIFETIME) || 365 * DAY,
+
+      // Start warning this long before expiresAt (default 14 days)
+      warningPeriod: parseInt(process.env.SESSION_EXPIRY_WARNING) || 14 * DAY,
+
+      // Keep expired sessions this long so they can still be renewed (default 7 days)
+      gracePeriod: parseInt(process.env.SESSION_EXPIRY_GRACE) || 7 * DAY,
+    };
+  }
+  return EXPIRY_CONFIG;
+};
+
+export { getExpiryConfig };
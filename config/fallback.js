@@ -0,0 +1,45 @@
+// Fallback Delivery Configuration
+// Where the session ID goes when the WhatsApp self-message cannot be sent
+// Creators register channels when linking: the waiting Socket.IO client, a webhook or an email address
+
+let FALLBACK_CONFIG = null;
+
+// Lazy loading function to ensure environment variables are loaded
+const getFallbackConfig = () => {
+  if (!FALLBACK_CONFIG) {
+    const smtpHost = process.env.SMTP_HOST || null;
+
+    FALLBACK_CONFIG = {
+      // Channels creators may register (email is only offered when SMTP is configured)
+      // Email is off by default: anyone linking a session picks the recipient, so enable it
+      // explicitly (FALLBACK_CHANNELS=socket,webhook,email) and keep the per-recipient limit below
+      channels: (process.env.FALLBACK_CHANNELS || 'socket,webhook')
+        .split(',')
+        .map(channel => channel.trim())
+        .filter(channel => channel && (channel !== 'email' || smtpHost)),
+
+      // Webhook request timeout in milliseconds
+      webhookTimeout: parseInt(process.env.FALLBACK_WEBHOOK_TIMEOUT) || 10000,
+
+      // Fallback emails per recipient address within emailWindow (ms)
+      emailLimit: parseInt(process.env.FALLBACK_EMAIL_LIMIT) || 3,
+      emailWindow: parseInt(process.env.FALLBACK_EMAIL_WINDOW) || 24 * 60 * 60 * 1000,
+
+      // Plain http:// webhooks are refused unless explicitly allowed (local development)
+      allowHttpWebhooks: process.env.FALLBACK_WEBHOOK_ALLOW_HTTP === 'true',
+
+      // SMTP server for the email channel
+      smtp: {
+        host: smtpHost,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER || null,
+        pass: process.env.SMTP_PASS || null,
+        from: process.env.SMTP_FROM || process.env.SMTP_USER || null,
+      },
+    };
+  }
+  return FALLBACK_CONFIG;
+};
+
+export { getFallbackConfig };
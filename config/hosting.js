@@ -0,0 +1,24 @@
+// Keep-Alive Hosting Configuration
+// Lets this backend keep linked sessions connected instead of only minting them
+
+let HOSTING_CONFIG = null;
+
+// Lazy loading function to ensure environment variables are loaded
+const getHostingConfig = () => {
+  if (!HOSTING_CONFIG) {
+    HOSTING_CONFIG = {
+      // Allow session creators to request keep-alive when linking (admins can always host)
+      // Example: KEEP_ALIVE_ENABLED=true
+      allowOnCreate: process.env.KEEP_ALIVE_ENABLED === 'true',
+
+      // Maximum number of sessions hosted at the same time
+      maxHostedSessions: parseInt(process.env.MAX_HOSTED_SESSIONS) || 10,
+
+      // Give up after this many failed reconnects in a row (0 = keep trying)
+      maxReconnectAttempts: parseInt(process.env.KEEP_ALIVE_MAX_RECONNECTS) || 0,
+    };
+  }
+  return HOSTING_CONFIG;
+};
+
+export { getHostingConfig };
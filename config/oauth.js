@@ -0,0 +1,66 @@
+// Login Provider Configuration for Backend
+// Endpoints are configurable so the login flow can run against a local mock OAuth server
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+let OAUTH_CONFIG = null;
+
+// Lazy loading function to ensure environment variables are loaded
+const getOAuthConfig = () => {
+  if (!OAUTH_CONFIG) {
+    OAUTH_CONFIG = {
+      github: {
+        clientId: process.env.GITHUB_CLIENT_ID,
+        clientSecret: process.env.GITHUB_CLIENT_SECRET,
+        scope: 'read:user user:email',
+
+        // Example: GITHUB_AUTHORIZE_URL=http://localhost:4010/login/oauth/authorize
+        authorizeUrl: process.env.GITHUB_AUTHORIZE_URL || 'https://github.com/login/oauth/authorize',
+        tokenUrl: process.env.GITHUB_TOKEN_URL || 'https://github.com/login/oauth/access_token',
+        userUrl: process.env.GITHUB_USER_URL || 'https://api.github.com/user',
+
+        // Defaults to /auth/callback, the URL registered on existing OAuth apps
+        callbackPath: process.env.GITHUB_CALLBACK_PATH,
+
+        // PKCE (S256) is sent unless explicitly disabled
+        usePKCE: process.env.GITHUB_PKCE !== 'false',
+      },
+
+      // Generic OpenID Connect provider, endpoints discovered from the issuer
+      // Example: OIDC_ISSUER=https://auth.example.com/realms/vinsmoke
+      oidc: {
+        issuer: process.env.OIDC_ISSUER,
+        clientId: process.env.OIDC_CLIENT_ID,
+        clientSecret: process.env.OIDC_CLIENT_SECRET,
+        scope: process.env.OIDC_SCOPE || 'openid profile email',
+        displayName: process.env.OIDC_DISPLAY_NAME,
+
+        // Optional overrides for providers without discovery
+        authorizeUrl: process.env.OIDC_AUTHORIZE_URL,
+        tokenUrl: process.env.OIDC_TOKEN_URL,
+        userUrl: process.env.OIDC_USERINFO_URL,
+
+        usePKCE: process.env.OIDC_PKCE !== 'false',
+      },
+
+      // Local username/password accounts for self-hosted installs
+      // Add users with: npm run auth:add-user -- <username> <password>
+      local: {
+        enabled: process.env.LOCAL_AUTH_ENABLED === 'true',
+        usersFile: process.env.LOCAL_USERS_FILE || path.join(__dirname, '../data/local-users.json'),
+      },
+
+      // How long a login attempt may take before its state expires (default 10 minutes)
+      stateTTL: parseInt(process.env.OAUTH_STATE_TTL) || 10 * 60 * 1000,
+    };
+  }
+  return OAUTH_CONFIG;
+};
+
+export {
+  getOAuthConfig
+};
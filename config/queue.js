@@ -0,0 +1,29 @@
+// Session Creation Queue Configuration
+// When MAX_SESSIONS linking sockets are open, new QR/pairing requests wait in a FIFO queue
+
+let QUEUE_CONFIG = null;
+
+// Lazy loading function to ensure environment variables are loaded
+const getQueueConfig = () => {
+  if (!QUEUE_CONFIG) {
+    QUEUE_CONFIG = {
+      // Linking sockets open at the same time (requests beyond this are queued)
+      maxSessions: parseInt(process.env.MAX_SESSIONS) || 100,
+
+      // Requests allowed to wait; a full queue answers 503 with Retry-After (0 = no queue)
+      size: process.env.SESSION_QUEUE_SIZE !== undefined ? parseInt(process.env.SESSION_QUEUE_SIZE) || 0 : 50,
+
+      // Give up on a queued request after this many milliseconds
+      timeout: parseInt(process.env.SESSION_QUEUE_TIMEOUT) || 2 * 60 * 1000,
+
+      // Queued requests per client IP, so one client cannot fill the queue
+      maxPerClient: parseInt(process.env.SESSION_QUEUE_MAX_PER_CLIENT) || 3,
+
+      // Assumed time a linking socket stays open, until real start times are measured
+      averageLinkTime: parseInt(process.env.SESSION_QUEUE_AVG_LINK_TIME) || 60 * 1000,
+    };
+  }
+  return QUEUE_CONFIG;
+};
+
+export { getQueueConfig };
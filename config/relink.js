@@ -0,0 +1,23 @@
+// Re-link Policy Configuration
+// What happens to stored sessions of a phone number when the same number is linked again
+
+const RELINK_POLICIES = ['keep', 'supersede', 'ask'];
+
+let RELINK_CONFIG = null;
+
+// Lazy loading function to ensure environment variables are loaded
+const getRelinkConfig = () => {
+  if (!RELINK_CONFIG) {
+    const policy = process.env.SESSION_RELINK_POLICY;
+
+    RELINK_CONFIG = {
+      // keep:      keep every session of the number
+      // supersede: mark the older sessions 'superseded' (default)
+      // ask:       the creator decides, when linking ({ relink }) or afterwards (POST /api/session/:sessionId/relink)
+      policy: RELINK_POLICIES.includes(policy) ? policy : 'supersede',
+    };
+  }
+  return RELINK_CONFIG;
+};
+
+export { RELINK_POLICIES, getRelinkConfig };
@@ -0,0 +1,27 @@
+// Session Storage Configuration
+// Where auth state (creds.json and key files) and session tracking are kept
+
+const SESSION_STORES = ['fs', 'sqlite', 'memory'];
+
+let STORAGE_CONFIG = null;
+
+// Lazy loading function to ensure environment variables are loaded
+const getStorageConfig = () => {
+  if (!STORAGE_CONFIG) {
+    const store = process.env.SESSION_STORE;
+
+    STORAGE_CONFIG = {
+      // fs:     sessions/<sessionId>/ folders and data/session-tracking.json (default)
+      // sqlite: a single database file, put it on a persistent disk when the host's disk is ephemeral
+      // memory: nothing survives a restart (tests and throwaway instances)
+      store: SESSION_STORES.includes(store) ? store : 'fs',
+
+      // SQLite database file (default: data/sessions.db)
+      // Example: SESSION_STORE_SQLITE_PATH=/var/data/sessions.db
+      sqlitePath: process.env.SESSION_STORE_SQLITE_PATH || null,
+    };
+  }
+  return STORAGE_CONFIG;
+};
+
+export { SESSION_STORES, getStorageConfig };
@@ -0,0 +1,27 @@
+// Session Liveness Verification Configuration
+// Stored sessions are re-checked by opening a short-lived socket with their creds.json
+
+let VERIFICATION_CONFIG = null;
+
+// Lazy loading function to ensure environment variables are loaded
+const getVerificationConfig = () => {
+  if (!VERIFICATION_CONFIG) {
+    VERIFICATION_CONFIG = {
+      // How often to verify every stored session in milliseconds (0 = only on demand)
+      // Example: SESSION_VERIFY_INTERVAL=43200000 (12 hours)
+      interval: parseInt(process.env.SESSION_VERIFY_INTERVAL) || 0,
+
+      // How long to wait for a session to connect before recording an error
+      timeout: parseInt(process.env.SESSION_VERIFY_TIMEOUT) || 30000,
+
+      // Pause between sessions so a run never opens many sockets at once
+      delayBetween: parseInt(process.env.SESSION_VERIFY_DELAY) || 3000,
+
+      // Delete sessions that turn out to be logged out (unlinked from the phone)
+      purgeLoggedOut: process.env.SESSION_VERIFY_PURGE === 'true',
+    };
+  }
+  return VERIFICATION_CONFIG;
+};
+
+export { getVerificationConfig };
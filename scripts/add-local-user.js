@@ -0,0 +1,55 @@
+// Add or update a local login account
+// Usage: npm run auth:add-user -- <username> <password> [display name]
+
+import fs from 'fs-extra';
+import path from 'path';
+import { config } from 'dotenv';
+
+config();
+
+const { getOAuthConfig } = await import('../config/oauth.js');
+const { hashPassword } = await import('../services/authProviders/localProvider.js');
+
+const [username, password, ...nameParts] = process.argv.slice(2);
+
+if (!username || !password) {
+  console.error('Usage: npm run auth:add-user -- <username> <password> [display name]');
+  process.exit(1);
+}
+
+if (!/^[a-zA-Z0-9._-]{2,64}$/.test(username)) {
+  console.error('Username may only contain letters, numbers, dots, dashes and underscores');
+  process.exit(1);
+}
+
+if (password.length < 10) {
+  console.error('Password must be at least 10 characters');
+  process.exit(1);
+}
+
+const { usersFile } = getOAuthConfig().local;
+await fs.ensureDir(path.dirname(usersFile));
+
+const users = (await fs.pathExists(usersFile)) ? await fs.readJson(usersFile) : [];
+const existing = users.find(u => u.username === username);
+const passwordHash = await hashPassword(password);
+
+if (existing) {
+  existing.passwordHash = passwordHash;
+  existing.name = nameParts.join(' ') || existing.name;
+  existing.updatedAt = new Date().toISOString();
+} else {
+  users.push({
+    username,
+    name: nameParts.join(' ') || username,
+    passwordHash,
+    createdAt: new Date().toISOString()
+  });
+}
+
+await fs.writeJson(usersFile, users, { spaces: 2 });
+
+console.log(`${existing ? 'Updated' : 'Added'} local user: ${username} (identity local:${username})`);
+if (process.env.LOCAL_AUTH_ENABLED !== 'true') {
+  console.log('Note: set LOCAL_AUTH_ENABLED=true to enable local login');
+}
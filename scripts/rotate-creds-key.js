@@ -0,0 +1,53 @@
+// Re-encrypt every stored session's creds.json with the current master key
+// Usage:
+//   CREDS_ENCRYPTION_KEY=<new key> CREDS_ENCRYPTION_KEY_PREVIOUS=<old key> npm run creds:rotate-key
+// Plaintext creds are encrypted too. Keep the old key in CREDS_ENCRYPTION_KEY_PREVIOUS
+// until this reports no failures, then remove it.
+// Works on the configured session store (SESSION_STORE), stop the server first.
+
+import { config } from 'dotenv';
+
+config();
+
+const { getCredsKeyConfig, reencryptCreds } = await import('../utils/credsCrypto.js');
+const { createSessionStore } = await import('../services/sessionStores/index.js');
+
+const { enabled, currentKeyId } = getCredsKeyConfig();
+if (!enabled) {
+  console.error('CREDS_ENCRYPTION_KEY is not set');
+  process.exit(1);
+}
+
+const store = createSessionStore();
+if (store.name === 'memory') {
+  console.error('SESSION_STORE=memory keeps nothing to rotate');
+  process.exit(1);
+}
+
+await store.initialize();
+const storedSessions = (await store.listSessions()).filter(s => s.isGood && s.isPermanent);
+
+let rotated = 0;
+let unchanged = 0;
+const failed = [];
+
+for (const { sessionId } of storedSessions) {
+  try {
+    const raw = await store.readFile(sessionId, 'creds.json');
+    if (!raw) continue;
+
+    const encrypted = reencryptCreds(raw);
+    if (encrypted) {
+      await store.writeFile(sessionId, 'creds.json', encrypted);
+      rotated++;
+    } else {
+      unchanged++;
+    }
+  } catch (error) {
+    failed.push(sessionId);
+    console.error(`Failed: ${sessionId} - ${error.message}`);
+  }
+}
+
+console.log(`Key ${currentKeyId} (${store.name} store): ${rotated} re-encrypted, ${unchanged} already current, ${failed.length} failed`);
+process.exit(failed.length > 0 ? 1 : 0);
@@ -2,7 +2,6 @@ import express from 'express';
 import cors from 'cors';
 import http from 'http';
 import { Server as SocketIOServer } from 'socket.io';
-import fs from 'fs-extra';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import { config } from 'dotenv';
@@ -18,7 +17,33 @@ config();
 import WhatsAppService from './services/whatsappService.js';
 import PluginService from './services/pluginService.js';
 import FAQService from './services/faqService.js';
-import { isAdmin } from './config/admin.js';
+import ApiKeyService from './services/apiKeyService.js';
+import AuditService from './services/auditService.js';
+import AdminLoginService from './services/adminLoginService.js';
+import WelcomeTemplateService from './services/welcomeTemplateService.js';
+import DeliveryBundleService from './services/deliveryBundleService.js';
+import FallbackDeliveryService from './services/fallbackDeliveryService.js';
+import {
+  PERMISSIONS,
+  ROLES,
+  isAdmin,
+  normalizeIdentity,
+  getUserIdentities,
+  getUserRoles,
+  getUserPermissions,
+  listAdmins,
+  addAdmin,
+  removeAdmin
+} from './config/admin.js';
+import { getOAuthConfig } from './config/oauth.js';
+import { getHostingConfig } from './config/hosting.js';
+import { getVerificationConfig } from './config/verification.js';
+import { getTokenConfig, issueTokens, verifyToken } from './utils/adminToken.js';
+import { createPKCEPair, createState, consumeState } from './utils/oauthState.js';
+import { MAX_IMPORT_SIZE, extractCredsEntries } from './utils/sessionArchive.js';
+import { decodeSessionString } from './utils/sessionString.js';
+import { normalizePhoneNumber } from './utils/phoneNumber.js';
+import { getProvider, getEnabledProviders } from './services/authProviders/index.js';
 
 // Clean logging system with colors and timestamps
 const getTimestamp = () => new Date().toTimeString().split(' ')[0] + '.' + new Date().getMilliseconds().toString().padStart(3, '0');
@@ -143,7 +168,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key', 'X-Claim-Token'],
   exposedHeaders: ['X-Total-Count'],
   maxAge: 86400 // 24 hours
 };
@@ -166,9 +191,15 @@ app.use((req, res, next) => {
 });
 
 // Services
-const whatsappService = new WhatsAppService(io);
+const welcomeTemplateService = new WelcomeTemplateService();
+const deliveryBundleService = new DeliveryBundleService({ welcomeTemplateService });
+const fallbackDeliveryService = new FallbackDeliveryService(io);
+const whatsappService = new WhatsAppService(io, { welcomeTemplateService, deliveryBundleService, fallbackDeliveryService });
 const pluginService = new PluginService();
 const faqService = new FAQService();
+const apiKeyService = new ApiKeyService();
+const auditService = new AuditService();
+const adminLoginService = new AdminLoginService();
 
 // Initialize all services
 async function initializeServices() {
@@ -176,7 +207,12 @@ async function initializeServices() {
   await Promise.all([
     whatsappService.initPromise,
     pluginService.initPromise,
-    faqService.initPromise
+    faqService.initPromise,
+    apiKeyService.initPromise,
+    auditService.initPromise,
+    adminLoginService.initPromise,
+    welcomeTemplateService.initPromise,
+    deliveryBundleService.initPromise
   ]);
   log.success('Services ready');
 }
@@ -186,99 +222,302 @@ initializeServices().catch(error => {
   log.error('Init failed:', error.message);
 });
 
-// GitHub OAuth Routes
-app.get('/auth/github', (req, res) => {
-  const clientId = process.env.GITHUB_CLIENT_ID;
-  // Use configured backend URL or auto-detect
-  const backendUrl = process.env.BACKEND_URL || `${req.protocol}://${req.get('host')}`;
-  const redirectUri = encodeURIComponent(`${backendUrl}/auth/callback`);
-  const scope = encodeURIComponent('read:user user:email');
-  const state = req.query.state; // Get state parameter from frontend
+// Record a new login (device, IP) and issue tokens bound to it
+// Only admins are recorded; users without a role get tokens without a login id
+const startLogin = async (user, req) => {
+  if (!isAdmin(user)) {
+    return issueTokens(user);
+  }
+
+  const { idIdentity, loginIdentity } = getUserIdentities(user);
+
+  const login = await adminLoginService.createLogin({
+    identities: [idIdentity, loginIdentity],
+    user,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    expiresAt: new Date(Date.now() + getTokenConfig().refreshTokenTTL).toISOString()
+  });
+
+  return issueTokens(user, login.id);
+};
+
+// Verify a token and its server-side login; throws with the same codes as verifyToken
+// Tokens without a login id (non-admins, or issued before the registry) are only accepted
+// while the user holds no role, so they can never reach the admin routes; login is then null
+const authenticateToken = async (token, req, expectedType = 'access') => {
+  const payload = verifyToken(token, expectedType);
+
+  if (!payload.sid && !isAdmin(payload.user)) {
+    return { payload, login: null };
+  }
+
+  const login = payload.sid ? await adminLoginService.touchLogin(payload.sid, req.ip) : null;
+
+  if (!login) {
+    const error = new Error('Login revoked');
+    error.code = 'TOKEN_REVOKED';
+    throw error;
+  }
+
+  return { payload, login };
+};
+
+const TOKEN_ERROR_MESSAGES = {
+  TOKEN_EXPIRED: 'Token expired',
+  TOKEN_REVOKED: 'Login revoked, please sign in again'
+};
+
+// Exchange a valid refresh token for a new token pair
+app.post('/auth/refresh', async (req, res) => {
+  const { refreshToken } = req.body || {};
+
+  if (!refreshToken) {
+    return res.status(400).json({
+      success: false,
+      error: 'Refresh token is required'
+    });
+  }
+
+  try {
+    const { payload, login } = await authenticateToken(refreshToken, req, 'refresh');
+    const tokens = issueTokens(payload.user, login?.id);
+    if (login) {
+      await adminLoginService.touchLogin(login.id, req.ip, tokens.refreshExpiresAt);
+    }
+
+    res.json({
+      success: true,
+      ...tokens,
+      user: payload.user
+    });
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      error: error.code === 'TOKEN_EXPIRED' ? 'Refresh token expired' : TOKEN_ERROR_MESSAGES[error.code] || 'Invalid refresh token',
+      code: error.code
+    });
+  }
+});
+
+// End the login behind an access or refresh token
+app.post('/auth/logout', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  const token = authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : null;
+  const { refreshToken } = req.body || {};
+
+  if (!token && !refreshToken) {
+    return res.status(400).json({
+      success: false,
+      error: 'Access or refresh token is required'
+    });
+  }
+
+  try {
+    const payload = token ? verifyToken(token) : verifyToken(refreshToken, 'refresh');
+
+    if (payload.sid) {
+      await adminLoginService.revokeLogin(payload.sid, 'logout');
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    // An expired, invalid or unknown token has nothing left to log out
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  }
+});
+
+// Get the user profile carried by an access token
+app.get('/auth/me', async (req, res) => {
+  const authHeader = req.headers.authorization;
 
-  if (!clientId) {
-    return res.status(500).json({ error: 'GitHub Client ID not configured' });
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
   }
 
-  let githubAuthUrl = `https://github.com/login/oauth/authorize?client_id=${clientId}&redirect_uri=${redirectUri}&scope=${scope}`;
+  try {
+    const { payload, login } = await authenticateToken(authHeader.substring(7), req);
 
-  // Add state parameter if provided
-  if (state) {
-    githubAuthUrl += `&state=${encodeURIComponent(state)}`;
+    res.json({
+      success: true,
+      user: payload.user,
+      isAdmin: isAdmin(payload.user),
+      roles: getUserRoles(payload.user),
+      permissions: getUserPermissions(payload.user),
+      expiresAt: new Date(payload.exp * 1000).toISOString(),
+      loginId: login?.id || null
+    });
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      error: TOKEN_ERROR_MESSAGES[error.code] || 'Invalid token',
+      code: error.code
+    });
   }
+});
+
+// Login Provider Routes (GitHub, OIDC, local)
+app.get('/auth/providers', (req, res) => {
+  res.json({
+    success: true,
+    providers: getEnabledProviders().map(provider => ({
+      name: provider.name,
+      displayName: provider.displayName,
+      type: provider.type,
+      loginUrl: provider.type === 'redirect' ? `/auth/${provider.name}` : provider.callbackPath
+    }))
+  });
+});
 
-  res.redirect(githubAuthUrl);
+// Stricter limit for password logins
+const credentialsLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: {
+    success: false,
+    error: 'Too many login attempts, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
 });
 
-app.get('/auth/callback', async (req, res) => {
+// Shared OAuth callback handler for redirect providers
+const handleProviderCallback = async (providerName, req, res) => {
   const { code, state } = req.query;
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  // Validate state before anything else (rejects CSRF, replays and unknown states)
+  const { entry, error: stateError } = consumeState(state);
+  if (stateError || entry.provider !== providerName) {
+    log.warn('OAuth state rejected:', stateError || 'provider_mismatch');
+    return res.redirect(`${frontendUrl}?error=${stateError || 'invalid_state'}`);
+  }
+
+  const clientState = entry.clientState;
+  const withClientState = (url) => clientState ? `${url}&state=${encodeURIComponent(clientState)}` : url;
+
+  const provider = getProvider(providerName);
+  if (!provider || provider.type !== 'redirect') {
+    return res.redirect(withClientState(`${frontendUrl}?error=unknown_provider`));
+  }
 
   if (!code) {
-    return res.redirect(`${process.env.FRONTEND_URL || 'http://localhost:3000'}?error=access_denied`);
+    return res.redirect(withClientState(`${frontendUrl}?error=access_denied`));
   }
 
   try {
-    // Exchange code for access token with 10 second timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 10000);
+    const user = await provider.handleCallback({
+      code,
+      redirectUri: entry.redirectUri,
+      codeVerifier: entry.codeVerifier
+    });
 
-    const tokenResponse = await fetch('https://github.com/login/oauth/access_token', {
-      method: 'POST',
-      headers: {
-        'Accept': 'application/json',
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        client_id: process.env.GITHUB_CLIENT_ID,
-        client_secret: process.env.GITHUB_CLIENT_SECRET,
-        code: code,
-      }),
-      signal: controller.signal,
-    });
-
-    clearTimeout(timeoutId);
-    const tokenData = await tokenResponse.json();
-
-    if (tokenData.access_token) {
-      // Get user data from GitHub with timeout
-      const userController = new AbortController();
-      const userTimeoutId = setTimeout(() => userController.abort(), 10000);
-
-      const userResponse = await fetch('https://api.github.com/user', {
-        headers: {
-          'Authorization': `Bearer ${tokenData.access_token}`,
-          'Accept': 'application/vnd.github.v3+json',
-        },
-        signal: userController.signal,
-      });
+    // Issue signed, expiring tokens for the user
+    const { token, refreshToken, expiresAt } = await startLogin(user, req);
 
-      clearTimeout(userTimeoutId);
-      const userData = await userResponse.json();
-
-      // Store user data in token
-      const userDataToStore = {
-        id: userData.id,
-        login: userData.login,
-        name: userData.name || userData.login,
-        avatar_url: userData.avatar_url,
-        html_url: userData.html_url,
-        email: userData.email
-      };
-
-      const userToken = Buffer.from(JSON.stringify(userDataToStore)).toString('base64');
-
-      // Redirect back to frontend with user token and state
-      let redirectUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}?token=${userToken}`;
-      if (state) {
-        redirectUrl += `&state=${encodeURIComponent(state)}`;
-      }
-      res.redirect(redirectUrl);
-    } else {
-      res.redirect(`${process.env.FRONTEND_URL || 'http://localhost:3000'}?error=token_error`);
-    }
+    // Redirect back to frontend with user tokens and state
+    res.redirect(withClientState(`${frontendUrl}?token=${token}&refreshToken=${refreshToken}&expiresAt=${encodeURIComponent(expiresAt)}`));
   } catch (error) {
-    console.error('GitHub OAuth Error:', error);
+    console.error(`${provider.displayName} OAuth Error:`, error);
     // No fallback users in production - redirect with error
-    res.redirect(`${process.env.FRONTEND_URL || 'http://localhost:3000'}?error=github_api_error`);
+    const errorCode = error.code === 'token_error' ? 'token_error' : `${provider.name}_api_error`;
+    res.redirect(withClientState(`${frontendUrl}?error=${errorCode}`));
+  }
+};
+
+// Legacy GitHub callback URL (registered on existing OAuth apps)
+app.get('/auth/callback', (req, res) => handleProviderCallback('github', req, res));
+
+app.get('/auth/:provider', async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  const { stateTTL } = getOAuthConfig();
+
+  if (!provider) {
+    return res.status(404).json({ error: `Login provider not available: ${req.params.provider}` });
+  }
+
+  // Credentials providers post to their callback instead of redirecting
+  if (provider.type !== 'redirect') {
+    return res.json({
+      provider: provider.name,
+      type: provider.type,
+      loginUrl: provider.callbackPath,
+      method: 'POST'
+    });
+  }
+
+  try {
+    // Use configured backend URL or auto-detect
+    const backendUrl = process.env.BACKEND_URL || `${req.protocol}://${req.get('host')}`;
+    const redirectUri = `${backendUrl}${provider.callbackPath}`;
+
+    // One-time server-side state, the frontend's own state is echoed back after login
+    const pkce = provider.usesPKCE ? createPKCEPair() : null;
+    const state = createState({
+      provider: provider.name,
+      clientState: req.query.state || null,
+      redirectUri,
+      codeVerifier: pkce?.codeVerifier || null
+    }, stateTTL);
+
+    const authorizationUrl = await provider.getAuthorizationUrl({
+      state,
+      redirectUri,
+      codeChallenge: pkce?.codeChallenge
+    });
+
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    console.error(`${provider.displayName} Authorization Error:`, error);
+    res.redirect(`${process.env.FRONTEND_URL || 'http://localhost:3000'}?error=${provider.name}_api_error`);
+  }
+});
+
+app.get('/auth/:provider/callback', (req, res) => handleProviderCallback(req.params.provider, req, res));
+
+// Credentials login (local provider)
+app.post('/auth/:provider/callback', credentialsLimiter, async (req, res) => {
+  const provider = getProvider(req.params.provider);
+
+  if (!provider || provider.type !== 'credentials') {
+    return res.status(404).json({
+      success: false,
+      error: `Login provider not available: ${req.params.provider}`
+    });
+  }
+
+  try {
+    const { username, password } = req.body || {};
+    const user = await provider.authenticate({ username, password });
+
+    if (!user) {
+      log.warn(`${provider.displayName} login failed:`, username);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid username or password'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...(await startLogin(user, req)),
+      user
+    });
+  } catch (error) {
+    console.error(`${provider.displayName} Login Error:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Login failed'
+    });
   }
 });
 
@@ -287,22 +526,151 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', message: 'Vinsmoke Bot Backend is running' });
 });
 
+// Session claim token middleware - only the session's creator may read, delete or download it
+const verifyClaimToken = async (req, res, next) => {
+  try {
+    const claimToken = req.headers['x-claim-token'] || req.query.claimToken;
+
+    if (!claimToken) {
+      return res.status(401).json({
+        success: false,
+        error: 'Claim token required (X-Claim-Token header or claimToken query)'
+      });
+    }
+
+    const isValid = await whatsappService.verifyClaimToken(req.params.sessionId, claimToken);
+
+    if (!isValid) {
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid claim token for this session'
+      });
+    }
+
+    next();
+  } catch (error) {
+    log.error('Claim token check failed:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify claim token'
+    });
+  }
+};
+
 // Session Management Routes
-app.post('/api/session/qr', async (req, res) => {
+// Reject keep-alive requests unless creators are allowed to host sessions
+const checkKeepAliveOption = (req, res, next) => {
+  if (req.body?.keepAlive === true && !getHostingConfig().allowOnCreate) {
+    return res.status(400).json({
+      success: false,
+      error: 'Keep-alive hosting is not enabled on this server'
+    });
+  }
+  next();
+};
+
+// Optional welcome message language (e.g. "pt-BR"), from the body or ?locale=
+const checkLocaleOption = (req, res, next) => {
+  const locale = req.body?.locale || req.query.locale;
+  if (locale && !/^[a-z]{2,3}(-[A-Z]{2})?$/.test(locale)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid locale (use e.g. en, pt-BR)'
+    });
+  }
+  req.welcomeLocale = locale || null;
+  next();
+};
+
+// Optional fallback channels for the session ID: { fallback: { socket: true, webhookUrl, email } }
+const checkFallbackOption = (req, res, next) => {
+  try {
+    req.fallbackChannels = fallbackDeliveryService.validateChannels(req.body?.fallback);
+    next();
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Optional answer for a re-link of the same number, used when the server policy is 'ask'
+const checkRelinkOption = (req, res, next) => {
+  const relink = req.body?.relink || null;
+  if (relink && !['keep', 'supersede'].includes(relink)) {
+    return res.status(400).json({
+      success: false,
+      error: 'relink must be keep or supersede'
+    });
+  }
+  req.relinkChoice = relink;
+  next();
+};
+
+app.get('/api/session/fallback-channels', (req, res) => {
+  res.json({
+    success: true,
+    channels: fallbackDeliveryService.getAvailableChannels()
+  });
+});
+
+// Busy server: the request waits in the creation queue (202), progress comes over
+// Socket.IO ('queue-position', then 'qr-code' / 'pairing-code') and GET /api/session/:sessionId/status
+const sendQueued = (res, sessionId, result) => {
+  res.status(202).json({
+    success: true,
+    queued: true,
+    sessionId,
+    claimToken: result.claimToken, // Shown only once, required to view, delete or download the session
+    queue: result.queue
+  });
+};
+
+const sendQueueFull = (res, error) => {
+  res.set('Retry-After', String(error.retryAfter));
+  res.status(503).json({
+    success: false,
+    error: 'QUEUE_FULL',
+    message: error.message,
+    retryAfter: error.retryAfter
+  });
+};
+
+app.post('/api/session/qr', checkKeepAliveOption, checkLocaleOption, checkFallbackOption, checkRelinkOption, async (req, res) => {
   try {
     const sessionId = uuidv4();
-    const result = await whatsappService.generateQR(sessionId);
+    const result = await whatsappService.generateQR(sessionId, {
+      keepAlive: req.body?.keepAlive === true,
+      locale: req.welcomeLocale,
+      fallback: req.fallbackChannels,
+      relink: req.relinkChoice,
+      clientId: req.ip
+    });
     const fullSessionId = `VINSMOKE@${sessionId}`;
 
+    if (result.queued) {
+      log.info(`QR queued: ${fullSessionId}`);
+      return sendQueued(res, fullSessionId, result);
+    }
+
     log.success(`QR: ${fullSessionId}`);
 
     res.json({
       success: true,
       sessionId: fullSessionId,
-      qrCode: result.qrCode
+      claimToken: result.claimToken, // Shown only once, required to view, delete or download the session
+      qrCode: result.qrCode,
+      qrSequence: result.sequence,
+      qrExpiresAt: result.expiresAt
     });
   } catch (error) {
     log.error('QR error:', error.message);
+
+    if (error.code === 'QUEUE_FULL') {
+      return sendQueueFull(res, error);
+    }
+
     res.status(500).json({
       success: false,
       error: 'Failed to generate QR code'
@@ -310,7 +678,7 @@ app.post('/api/session/qr', async (req, res) => {
   }
 });
 
-app.post('/api/session/pairing', async (req, res) => {
+app.post('/api/session/pairing', checkKeepAliveOption, checkLocaleOption, checkFallbackOption, checkRelinkOption, async (req, res) => {
   try {
     const { phoneNumber } = req.body;
     log.info(`Pairing: ${phoneNumber}`);
@@ -325,19 +693,44 @@ app.post('/api/session/pairing', async (req, res) => {
     const sessionId = uuidv4();
     const fullSessionId = `VINSMOKE@${sessionId}`;
 
-    const result = await whatsappService.generatePairingCode(sessionId, phoneNumber);
+    // country (ISO code, e.g. "AZ") is only needed for numbers given without their country code
+    const result = await whatsappService.generatePairingCode(sessionId, phoneNumber, {
+      keepAlive: req.body.keepAlive === true,
+      locale: req.welcomeLocale,
+      fallback: req.fallbackChannels,
+      relink: req.relinkChoice,
+      country: req.body.country || null,
+      clientId: req.ip
+    });
+
+    if (result.queued) {
+      log.info(`Pairing queued: ${fullSessionId}`);
+      return sendQueued(res, fullSessionId, result);
+    }
+
     log.success(`Pairing: ${fullSessionId}`);
 
     res.json({
       success: true,
       sessionId: fullSessionId,
+      claimToken: result.claimToken, // Shown only once, required to view, delete or download the session
       pairingCode: result.pairingCode,
       environment: process.env.NODE_ENV || 'development'
     });
   } catch (error) {
     log.error('Pairing error:', error.message);
 
-    if (error.message === 'MAINTENANCE_MODE' || error.isMaintenanceMode) {
+    if (error.code === 'INVALID_PHONE_NUMBER') {
+      res.status(400).json({
+        success: false,
+        error: 'INVALID_PHONE_NUMBER',
+        reason: error.reason,
+        message: error.message,
+        ...error.details
+      });
+    } else if (error.code === 'QUEUE_FULL') {
+      sendQueueFull(res, error);
+    } else if (error.message === 'MAINTENANCE_MODE' || error.isMaintenanceMode) {
       res.status(503).json({
         success: false,
         error: 'MAINTENANCE_MODE',
@@ -353,7 +746,7 @@ app.post('/api/session/pairing', async (req, res) => {
   }
 });
 
-app.get('/api/session/:sessionId', async (req, res) => {
+app.get('/api/session/:sessionId', verifyClaimToken, async (req, res) => {
   try {
     const { sessionId } = req.params;
     const sessionData = await whatsappService.getSession(sessionId);
@@ -378,7 +771,7 @@ app.get('/api/session/:sessionId', async (req, res) => {
   }
 });
 
-app.delete('/api/session/:sessionId', async (req, res) => {
+app.delete('/api/session/:sessionId', verifyClaimToken, async (req, res) => {
   try {
     const { sessionId } = req.params;
     const result = await whatsappService.stopSessionSafely(sessionId);
@@ -410,20 +803,51 @@ app.delete('/api/session/:sessionId', async (req, res) => {
 
 // Old endpoint removed - using new public bot endpoint below
 
-// Get individual session file
-app.get('/api/session/:sessionId/file/:fileName', async (req, res) => {
+// Bot API key verification middleware (creds downloads)
+const verifyApiKey = async (req, res, next) => {
   try {
-    const { sessionId, fileName } = req.params;
-    const { manjisama } = req.query;
+    const apiKey = req.headers['x-api-key'];
+    const { sessionId } = req.params;
 
-    // Check password parameter
-    if (manjisama !== 'manjisama') {
+    // Deprecated shared password, only honoured when explicitly configured
+    const legacyPassword = process.env.LEGACY_BOT_PASSWORD;
+    if (!apiKey && legacyPassword && req.query.manjisama === legacyPassword) {
+      log.warn('Legacy bot password used:', sessionId);
+      return next();
+    }
+
+    if (!apiKey) {
       return res.status(401).json({
         success: false,
-        error: 'Unauthorized access'
+        error: 'API key required (X-API-Key header)'
+      });
+    }
+
+    const result = await apiKeyService.verifyKey(apiKey, sessionId);
+
+    if (!result.valid) {
+      return res.status(result.reason === 'Invalid API key' ? 401 : 403).json({
+        success: false,
+        error: result.reason
       });
     }
 
+    req.apiKey = result.apiKey;
+    next();
+  } catch (error) {
+    log.error('API key check failed:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify API key'
+    });
+  }
+};
+
+// Get individual session file
+app.get('/api/session/:sessionId/file/:fileName', verifyApiKey, async (req, res) => {
+  try {
+    const { sessionId, fileName } = req.params;
+
     const fileData = await whatsappService.getSessionFile(sessionId, fileName);
 
     if (!fileData) {
@@ -449,18 +873,9 @@ app.get('/api/session/:sessionId/file/:fileName', async (req, res) => {
 });
 
 // Get session file list (just filenames and metadata)
-app.get('/api/session/:sessionId/filelist', async (req, res) => {
+app.get('/api/session/:sessionId/filelist', verifyApiKey, async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { manjisama } = req.query;
-
-    // Check password parameter
-    if (manjisama !== 'manjisama') {
-      return res.status(401).json({
-        success: false,
-        error: 'Unauthorized access'
-      });
-    }
 
     const fileList = await whatsappService.getSessionFileList(sessionId);
 
@@ -486,18 +901,9 @@ app.get('/api/session/:sessionId/filelist', async (req, res) => {
 });
 
 // Get all session files with content in one call
-app.get('/api/session/:sessionId/all-files', async (req, res) => {
+app.get('/api/session/:sessionId/all-files', verifyApiKey, async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { manjisama } = req.query;
-
-    // Check password parameter
-    if (manjisama !== 'manjisama') {
-      return res.status(401).json({
-        success: false,
-        error: 'Unauthorized access'
-      });
-    }
 
     const allFiles = await whatsappService.getAllSessionFiles(sessionId);
 
@@ -522,7 +928,7 @@ app.get('/api/session/:sessionId/all-files', async (req, res) => {
 });
 
 // Download all session files as ZIP
-app.get('/api/session/:sessionId/download-all', async (req, res) => {
+app.get('/api/session/:sessionId/download-all', verifyClaimToken, async (req, res) => {
   try {
     const { sessionId } = req.params;
     const zipData = await whatsappService.downloadAllSessionFiles(sessionId);
@@ -548,45 +954,258 @@ app.get('/api/session/:sessionId/download-all', async (req, res) => {
   }
 });
 
-// Admin verification middleware
-const verifyAdmin = (req, res, next) => {
-  const authHeader = req.headers.authorization;
+// Long-poll for the next QR rotation (?after=<sequence>, waits up to ?timeout= ms, max 25s)
+// 200 with the QR, 204 when nothing new arrived, 410 once linking left the QR phase
+app.get('/api/session/:sessionId/qr', verifyClaimToken, async (req, res) => {
+  try {
+    const after = parseInt(req.query.after) || 0;
+    const timeout = Math.min(Math.max(parseInt(req.query.timeout) || 25000, 1000), 25000);
 
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({
+    const result = await whatsappService.waitForQR(req.params.sessionId, after, timeout);
+
+    if (!result) {
+      return res.status(204).end();
+    }
+
+    if (result.qr) {
+      return res.json({
+        success: true,
+        ...result.qr
+      });
+    }
+
+    res.status(410).json({
       success: false,
-      error: 'Admin authentication required'
+      error: 'QR code no longer available',
+      state: result.ended?.state || null,
+      reason: result.ended?.reason || null
+    });
+  } catch (error) {
+    console.error('QR Long-Poll Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get QR code'
     });
   }
+});
 
+// Linking progress for clients that cannot hold a websocket (same data as 'session-state' events)
+app.get('/api/session/:sessionId/status', verifyClaimToken, async (req, res) => {
   try {
-    // Extract and decode the user token
-    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
-    const userData = JSON.parse(Buffer.from(token, 'base64').toString());
+    const linkState = await whatsappService.getLinkState(req.params.sessionId);
 
-    // Check if user is admin
-    if (!isAdmin(userData)) {
-      return res.status(403).json({
+    if (!linkState) {
+      return res.status(404).json({
         success: false,
-        error: 'Admin privileges required'
+        error: 'Session not found'
       });
     }
 
-    req.adminUser = userData;
-    next();
+    res.json({
+      success: true,
+      ...linkState
+    });
   } catch (error) {
-    return res.status(401).json({
+    console.error('Get Session Status Error:', error);
+    res.status(500).json({
       success: false,
-      error: 'Invalid admin token'
+      error: 'Failed to get session status'
     });
   }
-};
+});
 
-// Alias for backward compatibility
+// Renew a stored session before it expires (or during its grace period)
+app.post('/api/session/:sessionId/renew', verifyClaimToken, async (req, res) => {
+  try {
+    const result = await whatsappService.renewSession(req.params.sessionId);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Renew Session Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to renew session'
+    });
+  }
+});
+
+// Answer a pending re-link ('relink-required' event): { action: 'supersede' | 'keep' }
+app.post('/api/session/:sessionId/relink', verifyClaimToken, async (req, res) => {
+  try {
+    const relink = await whatsappService.resolveRelink(req.params.sessionId, req.body?.action);
+    res.json({
+      success: true,
+      relink
+    });
+  } catch (error) {
+    console.error('Resolve Relink Error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to resolve re-link'
+    });
+  }
+});
+
+// Export the session as a self-contained session string (for bots configured by env variable)
+app.get('/api/session/:sessionId/session-string', verifyClaimToken, async (req, res) => {
+  try {
+    let { sessionId } = req.params;
+
+    // Handle VINSMOKE@ prefix - if not present, add it
+    if (!sessionId.startsWith('VINSMOKE@')) {
+      sessionId = `VINSMOKE@${sessionId}`;
+    }
+
+    const result = await whatsappService.getSessionString(sessionId);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Get Session String Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create session string'
+    });
+  }
+});
+
+// Check a session string and return the creds it carries (stateless, nothing is stored)
+app.post('/api/session-string/decode', async (req, res) => {
+  try {
+    const { sessionString } = req.body || {};
+
+    if (!sessionString) {
+      return res.status(400).json({
+        success: false,
+        error: 'Session string is required'
+      });
+    }
+
+    const { version, creds, credsJson } = decodeSessionString(sessionString);
+
+    res.json({
+      success: true,
+      version,
+      account: {
+        id: creds.me.id,
+        name: creds.me.name || null
+      },
+      userPhoneNumber: whatsappService.extractPhoneNumber(creds),
+      creds: JSON.parse(credsJson)
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_SESSION_STRING') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Decode Session String Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to decode session string'
+    });
+  }
+});
+
+// Admin verification middleware
+const verifyAdmin = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({
+      success: false,
+      error: 'Admin authentication required'
+    });
+  }
+
+  let userData;
+  let loginId;
+  try {
+    // Extract and verify the signed user token and its login
+    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
+    const { payload, login } = await authenticateToken(token, req);
+    userData = payload.user;
+    loginId = login?.id || null;
+  } catch (error) {
+    const errorMessages = {
+      TOKEN_EXPIRED: 'Admin token expired',
+      TOKEN_REVOKED: 'Admin login revoked'
+    };
+
+    return res.status(401).json({
+      success: false,
+      error: errorMessages[error.code] || 'Invalid admin token',
+      code: error.code
+    });
+  }
+
+  // Check if user is admin
+  if (!isAdmin(userData)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin privileges required'
+    });
+  }
+
+  req.adminUser = userData;
+  req.adminLoginId = loginId;
+  req.user = userData;
+  req.adminRoles = getUserRoles(userData);
+  req.adminPermissions = getUserPermissions(userData);
+  next();
+};
+
+// Alias for backward compatibility
 const authenticateAdmin = verifyAdmin;
 
+// Record an admin action in the audit log (actor and IP taken from the request)
+const auditAdminAction = (req, action, target, details = {}) => auditService.record({
+  actor: { ...req.adminUser, roles: req.adminRoles },
+  action,
+  target,
+  ip: req.ip,
+  ...details
+});
+
+// Permission check middleware - every /api/admin/* route declares what it needs
+const requirePermission = (permission) => [
+  verifyAdmin,
+  (req, res, next) => {
+    if (!req.adminPermissions.includes(permission)) {
+      return res.status(403).json({
+        success: false,
+        error: `Missing permission: ${permission}`,
+        missingPermission: permission,
+        roles: req.adminRoles
+      });
+    }
+    next();
+  }
+];
+
 // Admin Routes
-app.get('/api/admin/stats', verifyAdmin, async (req, res) => {
+app.get('/api/admin/stats', requirePermission(PERMISSIONS.STATS_READ), async (req, res) => {
   try {
     const sessions = await whatsappService.getAllSessions();
     const plugins = await pluginService.getPlugins({});
@@ -608,7 +1227,7 @@ app.get('/api/admin/stats', verifyAdmin, async (req, res) => {
   }
 });
 
-app.get('/api/admin/sessions', verifyAdmin, async (req, res) => {
+app.get('/api/admin/sessions', requirePermission(PERMISSIONS.SESSIONS_READ), async (req, res) => {
   try {
     const sessions = await whatsappService.getAllSessions();
     res.json({
@@ -624,20 +1243,24 @@ app.get('/api/admin/sessions', verifyAdmin, async (req, res) => {
   }
 });
 
-app.delete('/api/admin/sessions/:sessionId', verifyAdmin, async (req, res) => {
+app.delete('/api/admin/sessions/:sessionId', requirePermission(PERMISSIONS.SESSIONS_DELETE), async (req, res) => {
   try {
     let { sessionId } = req.params;
 
-    // Decode URL-encoded session ID
-    sessionId = decodeURIComponent(sessionId);
-
     // Handle VINSMOKE@ prefix - if not present, add it
     if (!sessionId.startsWith('VINSMOKE@')) {
       sessionId = `VINSMOKE@${sessionId}`;
     }
 
+    const before = await whatsappService.getSession(sessionId);
     const result = await whatsappService.stopSessionSafely(sessionId, true); // true = admin request
-    
+
+    await auditAdminAction(req, 'session.delete', sessionId, {
+      before,
+      success: result.success,
+      error: result.error || null
+    });
+
     if (result.success) {
       res.json({
         success: true,
@@ -656,6 +1279,7 @@ app.delete('/api/admin/sessions/:sessionId', verifyAdmin, async (req, res) => {
     }
   } catch (error) {
     console.error('Admin Delete Session Error:', error);
+    await auditAdminAction(req, 'session.delete', req.params.sessionId, { success: false, error: error.message });
     res.status(500).json({
       success: false,
       error: 'Failed to delete session'
@@ -663,250 +1287,485 @@ app.delete('/api/admin/sessions/:sessionId', verifyAdmin, async (req, res) => {
   }
 });
 
-app.get('/api/admin/sessions/download', verifyAdmin, async (req, res) => {
-  try {
-    const sessions = await whatsappService.getAllSessions();
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Content-Disposition', 'attachment; filename=sessions.json');
-    res.json(sessions);
-  } catch (error) {
-    console.error('Admin Download Sessions Error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to download sessions'
-    });
-  }
+// Session Import Route
+// Accepts a creds.json (JSON body, optional ?sessionId=) or a ZIP with one auth folder or many session folders
+const importUpload = express.raw({
+  type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'],
+  limit: MAX_IMPORT_SIZE
 });
 
-// Download session creds.json (Admin Panel)
-app.get('/api/admin/sessions/:sessionId/download', verifyAdmin, async (req, res) => {
+app.post('/api/admin/sessions/import', requirePermission(PERMISSIONS.SESSIONS_IMPORT), importUpload, async (req, res) => {
   try {
-    let { sessionId } = req.params;
-
-    // Decode URL-encoded session ID
-    sessionId = decodeURIComponent(sessionId);
-
-    // Handle VINSMOKE@ prefix - if not present, add it
-    if (!sessionId.startsWith('VINSMOKE@')) {
-      sessionId = `VINSMOKE@${sessionId}`;
+    let entries;
+
+    if (Buffer.isBuffer(req.body)) {
+      // Folder names that are session IDs are kept, anything else gets a new ID
+      entries = extractCredsEntries(req.body).map(entry => ({
+        source: entry.source,
+        sessionId: entry.folderName?.startsWith('VINSMOKE@') ? entry.folderName : null,
+        content: entry.content
+      }));
+    } else if (req.is('application/json')) {
+      const { sessionId } = req.query;
+      entries = [{
+        source: 'creds.json',
+        sessionId: sessionId ? (sessionId.startsWith('VINSMOKE@') ? sessionId : `VINSMOKE@${sessionId}`) : null,
+        content: Buffer.from(JSON.stringify(req.body))
+      }];
+    } else {
+      return res.status(415).json({
+        success: false,
+        error: 'Upload a creds.json (application/json) or a ZIP archive (application/zip)'
+      });
     }
 
-    const sessionPath = path.join(__dirname, 'sessions', sessionId);
-    const credsPath = path.join(sessionPath, 'creds.json');
-
-    if (!fs.existsSync(credsPath)) {
-      return res.status(404).json({
+    if (entries.length === 0) {
+      return res.status(400).json({
         success: false,
-        error: 'Session credentials not found'
+        error: 'No creds.json found in archive'
       });
     }
 
-    const stats = await fs.stat(credsPath);
-
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Content-Disposition', 'attachment; filename="creds.json"');
-    res.setHeader('Content-Length', stats.size);
+    const results = await whatsappService.importSessions(entries, getUserIdentities(req.adminUser).idIdentity);
+    const imported = results.filter(r => r.success);
 
-    // Stream the file to avoid loading into memory
-    const fileStream = fs.createReadStream(credsPath);
-    fileStream.pipe(res);
+    await auditAdminAction(req, 'session.import', null, {
+      after: { sessionIds: imported.map(r => r.sessionId) },
+      details: { total: results.length, imported: imported.length, failed: results.length - imported.length }
+    });
 
+    res.json({
+      success: true,
+      imported: imported.length,
+      failed: results.length - imported.length,
+      results
+    });
   } catch (error) {
-    console.error('Admin Download Session Creds Error:', error);
-    res.status(500).json({
+    console.error('Admin Import Sessions Error:', error);
+    const isArchiveError = error.message === 'Invalid ZIP archive' || error.message.startsWith('Archive contains');
+    res.status(isArchiveError ? 400 : 500).json({
       success: false,
-      error: 'Failed to download session credentials'
+      error: isArchiveError ? error.message : 'Failed to import sessions'
     });
   }
 });
 
-// Get session files list (for bot integration)
-app.get('/api/admin/sessions/:sessionId/files', verifyAdmin, async (req, res) => {
-  try {
-    let { sessionId } = req.params;
+// Session Liveness Verification Routes
+// Probing opens a socket per session, so running it needs SESSIONS_VERIFY (reading the status does not)
+// Purging logged out sessions deletes them, so it also needs the delete permission -
+// checked on the effective value, which falls back to SESSION_VERIFY_PURGE when the body has none
+const resolvePurgeOption = (req, res) => {
+  const purge = typeof req.body?.purge === 'boolean' ? req.body.purge : getVerificationConfig().purgeLoggedOut;
+
+  if (purge && !req.adminPermissions.includes(PERMISSIONS.SESSIONS_DELETE)) {
+    res.status(403).json({
+      success: false,
+      error: `Missing permission: ${PERMISSIONS.SESSIONS_DELETE}`,
+      missingPermission: PERMISSIONS.SESSIONS_DELETE,
+      roles: req.adminRoles
+    });
+    return null;
+  }
 
-    // Decode URL-encoded session ID
-    sessionId = decodeURIComponent(sessionId);
+  return { purge };
+};
 
-    // Handle VINSMOKE@ prefix - if not present, add it
-    if (!sessionId.startsWith('VINSMOKE@')) {
-      sessionId = `VINSMOKE@${sessionId}`;
-    }
+app.get('/api/admin/sessions/verify', requirePermission(PERMISSIONS.SESSIONS_READ), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      verification: whatsappService.getVerificationStatus()
+    });
+  } catch (error) {
+    console.error('Admin Verification Status Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get verification status'
+    });
+  }
+});
 
-    const sessionPath = path.join(__dirname, 'sessions', sessionId);
+// Verify every stored session in the background (can take a while)
+app.post('/api/admin/sessions/verify', requirePermission(PERMISSIONS.SESSIONS_VERIFY), async (req, res) => {
+  const options = resolvePurgeOption(req, res);
+  if (!options) return;
 
-    if (!fs.existsSync(sessionPath)) {
-      return res.status(404).json({
-        success: false,
-        error: 'Session not found'
-      });
-    }
+  if (whatsappService.getVerificationStatus()?.running) {
+    return res.status(409).json({
+      success: false,
+      error: 'Verification already running'
+    });
+  }
 
-    const files = await fs.readdir(sessionPath);
-    const fileList = [];
+  whatsappService.verifyAllSessions(options)
+    .then(run => auditAdminAction(req, 'session.verify-all', null, {
+      after: { checked: run.checked, linked: run.linked, loggedOut: run.loggedOut, errors: run.errors, purged: run.purged },
+      details: { purge: run.purge }
+    }))
+    .catch(error => log.error('Verification run failed:', error.message));
+
+  res.status(202).json({
+    success: true,
+    message: 'Verification started',
+    verification: whatsappService.getVerificationStatus()
+  });
+});
 
-    for (const file of files) {
-      const filePath = path.join(sessionPath, file);
-      const stats = await fs.stat(filePath);
+app.post('/api/admin/sessions/:sessionId/verify', requirePermission(PERMISSIONS.SESSIONS_VERIFY), async (req, res) => {
+  const options = resolvePurgeOption(req, res);
+  if (!options) return;
 
-      if (stats.isFile()) {
-        fileList.push({
-          name: file,
-          size: stats.size,
-          modified: stats.mtime
-        });
-      }
-    }
+  try {
+    const result = await whatsappService.verifySession(req.params.sessionId, options);
+    await auditAdminAction(req, 'session.verify', result.sessionId, {
+      after: { result: result.result, purged: result.purged },
+      error: result.error
+    });
 
     res.json({
       success: true,
-      sessionId,
-      files: fileList
+      verification: result
     });
   } catch (error) {
-    console.error('Get Session Files Error:', error);
-    res.status(500).json({
+    console.error('Admin Verify Session Error:', error);
+    res.status(error.message === 'Session not found' ? 404 : 500).json({
       success: false,
-      error: 'Failed to get session files'
+      error: error.message === 'Session not found' ? error.message : 'Failed to verify session'
     });
   }
 });
 
-// Download individual session file (for bot integration)
-app.get('/api/admin/sessions/:sessionId/files/:filename', verifyAdmin, async (req, res) => {
+app.post('/api/admin/sessions/:sessionId/renew', requirePermission(PERMISSIONS.SESSIONS_RENEW), async (req, res) => {
   try {
-    let { sessionId, filename } = req.params;
-
-    // Handle VINSMOKE@ prefix - if not present, add it
-    if (!sessionId.startsWith('VINSMOKE@')) {
-      sessionId = `VINSMOKE@${sessionId}`;
-    }
-
-    // Security: prevent directory traversal
-    if (filename.includes('..') || filename.includes('/') || filename.includes('\\')) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid filename'
-      });
-    }
-
-    const sessionPath = path.join(__dirname, 'sessions', sessionId);
-    const filePath = path.join(sessionPath, filename);
+    const result = await whatsappService.renewSession(req.params.sessionId);
 
-    if (!fs.existsSync(filePath)) {
+    if (!result) {
       return res.status(404).json({
         success: false,
-        error: 'File not found'
-      });
-    }
-
-    const stats = await fs.stat(filePath);
-    if (!stats.isFile()) {
-      return res.status(400).json({
-        success: false,
-        error: 'Not a file'
+        error: 'Session not found'
       });
     }
 
-    // Set appropriate headers - keep original filename
-    const ext = path.extname(filename).toLowerCase();
-    let contentType = 'application/octet-stream';
-
-    if (ext === '.json') contentType = 'application/json';
-    else if (ext === '.txt') contentType = 'text/plain';
-
-    res.setHeader('Content-Type', contentType);
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Content-Length', stats.size);
-
-    // Stream the file
-    const fileStream = fs.createReadStream(filePath);
-    fileStream.pipe(res);
+    await auditAdminAction(req, 'session.renew', result.sessionId, {
+      before: { expiresAt: result.previousExpiresAt },
+      after: { expiresAt: result.expiresAt }
+    });
 
+    res.json({
+      success: true,
+      ...result
+    });
   } catch (error) {
-    console.error('Download Session File Error:', error);
+    console.error('Admin Renew Session Error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to download file'
+      error: 'Failed to renew session'
     });
   }
 });
 
-// Public Bot Integration Endpoints (No Auth Required)
-
-// Get session files list (for bots)
-app.get('/api/session/:sessionId/files', async (req, res) => {
+// Export a stored session as a session string (Admin Panel)
+app.get('/api/admin/sessions/:sessionId/session-string', requirePermission(PERMISSIONS.SESSIONS_DOWNLOAD), async (req, res) => {
   try {
     let { sessionId } = req.params;
-    const { manjisama } = req.query;
-
-    // Check password parameter
-    if (manjisama !== 'manjisama') {
-      return res.status(401).json({
-        success: false,
-        error: 'Unauthorized access'
-      });
-    }
 
     // Handle VINSMOKE@ prefix - if not present, add it
     if (!sessionId.startsWith('VINSMOKE@')) {
       sessionId = `VINSMOKE@${sessionId}`;
     }
 
-    const sessionPath = path.join(__dirname, 'sessions', sessionId);
+    const result = await whatsappService.getSessionString(sessionId);
 
-    if (!fs.existsSync(sessionPath)) {
+    if (!result) {
       return res.status(404).json({
         success: false,
         error: 'Session not found'
       });
     }
 
-    const files = await fs.readdir(sessionPath);
-    const fileList = [];
-
-    for (const file of files) {
-      const filePath = path.join(sessionPath, file);
-      const stats = await fs.stat(filePath);
-
-      if (stats.isFile()) {
-        fileList.push({
-          name: file,
-          size: stats.size,
-          modified: stats.mtime,
-          downloadUrl: `/api/session/${encodeURIComponent(sessionId)}/file/${encodeURIComponent(file)}`
-        });
-      }
-    }
+    await auditAdminAction(req, 'session.download', sessionId, { details: { format: 'session-string' } });
 
     res.json({
       success: true,
-      sessionId,
-      files: fileList
+      ...result
     });
   } catch (error) {
-    console.error('Get Session Files Error:', error);
+    console.error('Admin Session String Error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get session files'
+      error: 'Failed to create session string'
     });
   }
 });
 
-// Download individual session file (for bots)
-app.get('/api/session/:sessionId/file/:filename', async (req, res) => {
+// Phone Number Routes (stored sessions grouped per number)
+app.get('/api/admin/phone-numbers', requirePermission(PERMISSIONS.SESSIONS_READ), async (req, res) => {
   try {
-    let { sessionId, filename } = req.params;
-    const { manjisama } = req.query;
-
-    // Check password parameter
-    if (manjisama !== 'manjisama') {
-      return res.status(401).json({
+    const phoneNumbers = await whatsappService.listPhoneNumbers();
+    res.json({
+      success: true,
+      phoneNumbers
+    });
+  } catch (error) {
+    console.error('Admin Phone Numbers Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get phone numbers'
+    });
+  }
+});
+
+// Full link history of one number, oldest first ("+994 40 316 37 01" or "994403163701")
+app.get('/api/admin/phone-numbers/:phoneNumber/sessions', requirePermission(PERMISSIONS.SESSIONS_READ), async (req, res) => {
+  try {
+    const { digits } = normalizePhoneNumber(req.params.phoneNumber);
+    const history = await whatsappService.getPhoneHistory(digits);
+
+    res.json({
+      success: true,
+      ...history
+    });
+  } catch (error) {
+    console.error('Admin Phone History Error:', error);
+
+    if (error.code === 'INVALID_PHONE_NUMBER') {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_PHONE_NUMBER',
+        reason: error.reason,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get phone number history'
+    });
+  }
+});
+
+// Session Creation Queue Routes
+app.get('/api/admin/session-queue', requirePermission(PERMISSIONS.SESSIONS_READ), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...whatsappService.listQueue()
+    });
+  } catch (error) {
+    console.error('Admin Session Queue Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get session queue'
+    });
+  }
+});
+
+// Drain: every waiting request fails with a reason its creator can see
+app.delete('/api/admin/session-queue', requirePermission(PERMISSIONS.SESSIONS_DELETE), async (req, res) => {
+  try {
+    const removed = await whatsappService.drainQueue();
+    await auditAdminAction(req, 'session-queue.drain', null, { after: { removed } });
+
+    res.json({
+      success: true,
+      removed
+    });
+  } catch (error) {
+    console.error('Admin Drain Session Queue Error:', error);
+    await auditAdminAction(req, 'session-queue.drain', null, { success: false, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to drain session queue'
+    });
+  }
+});
+
+app.delete('/api/admin/session-queue/:sessionId', requirePermission(PERMISSIONS.SESSIONS_DELETE), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const removed = await whatsappService.removeFromQueue(sessionId, 'Removed from the session queue by an admin');
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session is not queued'
+      });
+    }
+
+    await auditAdminAction(req, 'session-queue.remove', sessionId);
+    res.json({
+      success: true,
+      message: 'Removed from the session queue'
+    });
+  } catch (error) {
+    console.error('Admin Remove Queued Session Error:', error);
+    await auditAdminAction(req, 'session-queue.remove', req.params.sessionId, { success: false, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove queued session'
+    });
+  }
+});
+
+// Keep-Alive Hosting Routes (sessions kept connected by this server)
+app.get('/api/admin/hosted-sessions', requirePermission(PERMISSIONS.SESSIONS_READ), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      hostedSessions: whatsappService.listHostedSessions(),
+      maxHostedSessions: getHostingConfig().maxHostedSessions
+    });
+  } catch (error) {
+    console.error('Admin Hosted Sessions Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get hosted sessions'
+    });
+  }
+});
+
+app.post('/api/admin/sessions/:sessionId/host', requirePermission(PERMISSIONS.SESSIONS_HOST), async (req, res) => {
+  const { sessionId } = req.params;
+
+  try {
+    const hosted = await whatsappService.startHosting(sessionId);
+    await auditAdminAction(req, 'session.host.start', hosted.sessionId, { after: { status: hosted.status } });
+
+    res.json({
+      success: true,
+      hostedSession: hosted,
+      message: 'Session hosting started'
+    });
+  } catch (error) {
+    console.error('Admin Start Hosting Error:', error);
+    await auditAdminAction(req, 'session.host.start', sessionId, { success: false, error: error.message });
+
+    const status = error.message === 'Session not found' ? 404
+      : error.message.startsWith('Maximum hosted sessions') ? 409 : 500;
+    res.status(status).json({
+      success: false,
+      error: status === 500 ? 'Failed to start hosting' : error.message
+    });
+  }
+});
+
+app.delete('/api/admin/sessions/:sessionId/host', requirePermission(PERMISSIONS.SESSIONS_HOST), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const hosted = await whatsappService.stopHosting(sessionId);
+
+    if (!hosted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session is not hosted'
+      });
+    }
+
+    await auditAdminAction(req, 'session.host.stop', hosted.sessionId, { after: { status: hosted.status } });
+
+    res.json({
+      success: true,
+      hostedSession: hosted,
+      message: 'Session hosting stopped'
+    });
+  } catch (error) {
+    console.error('Admin Stop Hosting Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to stop hosting'
+    });
+  }
+});
+
+app.get('/api/admin/sessions/download', requirePermission(PERMISSIONS.SESSIONS_READ), async (req, res) => {
+  try {
+    const sessions = await whatsappService.getAllSessions();
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', 'attachment; filename=sessions.json');
+    res.json(sessions);
+  } catch (error) {
+    console.error('Admin Download Sessions Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download sessions'
+    });
+  }
+});
+
+// Download session creds.json (Admin Panel)
+app.get('/api/admin/sessions/:sessionId/download', requirePermission(PERMISSIONS.SESSIONS_DOWNLOAD), async (req, res) => {
+  try {
+    let { sessionId } = req.params;
+
+    // Handle VINSMOKE@ prefix - if not present, add it
+    if (!sessionId.startsWith('VINSMOKE@')) {
+      sessionId = `VINSMOKE@${sessionId}`;
+    }
+
+    // Decrypted in memory when creds are encrypted at rest
+    const fileData = await whatsappService.getSessionFile(sessionId, 'creds.json');
+
+    if (!fileData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session credentials not found'
+      });
+    }
+
+    await auditAdminAction(req, 'session.download', sessionId, { details: { file: 'creds.json' } });
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', 'attachment; filename="creds.json"');
+    res.setHeader('Content-Length', fileData.size);
+    res.send(fileData.buffer);
+
+  } catch (error) {
+    console.error('Admin Download Session Creds Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download session credentials'
+    });
+  }
+});
+
+// Get session files list (for bot integration)
+app.get('/api/admin/sessions/:sessionId/files', requirePermission(PERMISSIONS.SESSIONS_READ), async (req, res) => {
+  try {
+    let { sessionId } = req.params;
+
+    // Handle VINSMOKE@ prefix - if not present, add it
+    if (!sessionId.startsWith('VINSMOKE@')) {
+      sessionId = `VINSMOKE@${sessionId}`;
+    }
+
+    const files = await whatsappService.listSessionFiles(sessionId);
+
+    if (!files) {
+      return res.status(404).json({
         success: false,
-        error: 'Unauthorized access'
+        error: 'Session not found'
       });
     }
 
+    res.json({
+      success: true,
+      sessionId,
+      files
+    });
+  } catch (error) {
+    console.error('Get Session Files Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get session files'
+    });
+  }
+});
+
+// Download individual session file (for bot integration)
+app.get('/api/admin/sessions/:sessionId/files/:filename', requirePermission(PERMISSIONS.SESSIONS_DOWNLOAD), async (req, res) => {
+  try {
+    let { sessionId, filename } = req.params;
+
     // Handle VINSMOKE@ prefix - if not present, add it
     if (!sessionId.startsWith('VINSMOKE@')) {
       sessionId = `VINSMOKE@${sessionId}`;
@@ -920,23 +1779,17 @@ app.get('/api/session/:sessionId/file/:filename', async (req, res) => {
       });
     }
 
-    const sessionPath = path.join(__dirname, 'sessions', sessionId);
-    const filePath = path.join(sessionPath, filename);
+    // Read from the session store; creds.json is decrypted in memory
+    const fileData = await whatsappService.readSessionFile(sessionId, filename);
 
-    if (!fs.existsSync(filePath)) {
+    if (!fileData) {
       return res.status(404).json({
         success: false,
         error: 'File not found'
       });
     }
 
-    const stats = await fs.stat(filePath);
-    if (!stats.isFile()) {
-      return res.status(400).json({
-        success: false,
-        error: 'Not a file'
-      });
-    }
+    await auditAdminAction(req, 'session.download', sessionId, { details: { file: filename } });
 
     // Set appropriate headers - keep original filename
     const ext = path.extname(filename).toLowerCase();
@@ -947,11 +1800,8 @@ app.get('/api/session/:sessionId/file/:filename', async (req, res) => {
 
     res.setHeader('Content-Type', contentType);
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Content-Length', stats.size);
-
-    // Stream the file
-    const fileStream = fs.createReadStream(filePath);
-    fileStream.pipe(res);
+    res.setHeader('Content-Length', fileData.length);
+    res.send(fileData);
 
   } catch (error) {
     console.error('Download Session File Error:', error);
@@ -962,406 +1812,1102 @@ app.get('/api/session/:sessionId/file/:filename', async (req, res) => {
   }
 });
 
-app.get('/api/admin/plugins', verifyAdmin, async (req, res) => {
+// Public Bot Integration Endpoints (API key required)
+
+// Get session files list (for bots)
+app.get('/api/session/:sessionId/files', verifyApiKey, async (req, res) => {
   try {
-    // Get plugin requests for admin management
-    const pluginRequests = await pluginService.getAllPluginRequests();
+    let { sessionId } = req.params;
+
+    // Handle VINSMOKE@ prefix - if not present, add it
+    if (!sessionId.startsWith('VINSMOKE@')) {
+      sessionId = `VINSMOKE@${sessionId}`;
+    }
+
+    const files = await whatsappService.listSessionFiles(sessionId);
+
+    if (!files) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
     res.json({
       success: true,
-      plugins: pluginRequests.map(request => ({
-        ...request,
-        source: 'backend',
-        status: request.status || 'pending'
-      })) // Return requests as "plugins" for frontend compatibility
+      sessionId,
+      files: files.map(file => ({
+        ...file,
+        downloadUrl: `/api/session/${encodeURIComponent(sessionId)}/file/${encodeURIComponent(file.name)}`
+      }))
+    });
+  } catch (error) {
+    console.error('Get Session Files Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get session files'
+    });
+  }
+});
+
+// Last liveness verification result (for bots)
+app.get('/api/session/:sessionId/liveness', verifyApiKey, async (req, res) => {
+  try {
+    let { sessionId } = req.params;
+
+    // Handle VINSMOKE@ prefix - if not present, add it
+    if (!sessionId.startsWith('VINSMOKE@')) {
+      sessionId = `VINSMOKE@${sessionId}`;
+    }
+
+    const session = await whatsappService.getSession(sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      sessionId,
+      status: session.status,
+      lastVerifiedAt: session.lastVerifiedAt || null,
+      lastVerificationResult: session.lastVerificationResult || null,
+      lastVerificationError: session.lastVerificationError || null
+    });
+  } catch (error) {
+    console.error('Get Session Liveness Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get session liveness'
+    });
+  }
+});
+
+// Download individual session file (for bots)
+app.get('/api/session/:sessionId/file/:filename', verifyApiKey, async (req, res) => {
+  try {
+    let { sessionId, filename } = req.params;
+
+    // Handle VINSMOKE@ prefix - if not present, add it
+    if (!sessionId.startsWith('VINSMOKE@')) {
+      sessionId = `VINSMOKE@${sessionId}`;
+    }
+
+    // Security: prevent directory traversal
+    if (filename.includes('..') || filename.includes('/') || filename.includes('\\')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid filename'
+      });
+    }
+
+    // Read from the session store; creds.json is decrypted in memory
+    const fileData = await whatsappService.readSessionFile(sessionId, filename);
+
+    if (!fileData) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found'
+      });
+    }
+
+    // Set appropriate headers - keep original filename
+    const ext = path.extname(filename).toLowerCase();
+    let contentType = 'application/octet-stream';
+
+    if (ext === '.json') contentType = 'application/json';
+    else if (ext === '.txt') contentType = 'text/plain';
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', fileData.length);
+    res.send(fileData);
+
+  } catch (error) {
+    console.error('Download Session File Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download file'
+    });
+  }
+});
+
+app.get('/api/admin/plugins', requirePermission(PERMISSIONS.PLUGINS_READ), async (req, res) => {
+  try {
+    // Get plugin requests for admin management
+    const pluginRequests = await pluginService.getAllPluginRequests();
+    res.json({
+      success: true,
+      plugins: pluginRequests.map(request => ({
+        ...request,
+        source: 'backend',
+        status: request.status || 'pending'
+      })) // Return requests as "plugins" for frontend compatibility
+    });
+  } catch (error) {
+    console.error('Admin Plugin Requests Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get plugin requests'
+    });
+  }
+});
+
+app.put('/api/admin/plugins/:id/status', requirePermission(PERMISSIONS.PLUGINS_MODERATE), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+    const adminUser = req.user?.login || 'admin';
+
+    const before = await pluginService.getPluginRequestById(id);
+    const request = await pluginService.updatePluginRequestStatus(id, status, adminUser);
+    await auditAdminAction(req, 'plugin.status', id, { before, after: request });
+
+    res.json({
+      success: true,
+      plugin: request // Return request as "plugin" for frontend compatibility
+    });
+  } catch (error) {
+    console.error('Admin Update Plugin Request Status Error:', error);
+    await auditAdminAction(req, 'plugin.status', req.params.id, { success: false, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to update plugin request status'
+    });
+  }
+});
+
+app.delete('/api/admin/plugins/:id', requirePermission(PERMISSIONS.PLUGINS_MODERATE), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const deletedRequest = await pluginService.deletePluginRequest(id);
+    await auditAdminAction(req, 'plugin.delete', id, { before: deletedRequest });
+
+    res.json({
+      success: true,
+      message: 'Plugin request deleted successfully',
+      request: deletedRequest
+    });
+  } catch (error) {
+    console.error('Admin Delete Plugin Request Error:', error);
+    await auditAdminAction(req, 'plugin.delete', req.params.id, { success: false, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to delete plugin request'
+    });
+  }
+});
+
+app.get('/api/admin/plugins/download', requirePermission(PERMISSIONS.PLUGINS_READ), async (req, res) => {
+  try {
+    const pluginRequests = await pluginService.getAllPluginRequests();
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', 'attachment; filename=plugin-requests.json');
+    res.json(pluginRequests);
+  } catch (error) {
+    console.error('Admin Download Plugin Requests Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download plugin requests'
+    });
+  }
+});
+
+app.get('/api/admin/support', requirePermission(PERMISSIONS.SUPPORT_READ), async (req, res) => {
+  try {
+    // This would read from a config file or database
+    const supportData = {
+      instagram: '@manjisama1',
+      email: 'manjisamaa@gmail.com',
+      telegram: 'https://t.me/+ajJtuJa1wVxmOTRl',
+      github: 'https://github.com/manjisama1/vinsmoke',
+      documentation: 'https://github.com/manjisama1/vinsmoke',
+      responseTime: '24 hours',
+      supportDescription: 'Get help with Vinsmoke bot setup, troubleshooting, and feature requests.'
+    };
+
+    res.json(supportData);
+  } catch (error) {
+    console.error('Admin Support Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get support data'
+    });
+  }
+});
+
+app.put('/api/admin/support', requirePermission(PERMISSIONS.SUPPORT_EDIT), async (req, res) => {
+  try {
+    const supportData = req.body;
+    // This would save to a config file or database
+    // For now, we'll just return success
+    await auditAdminAction(req, 'support.update', 'support', { after: supportData });
+
+    res.json({
+      success: true,
+      message: 'Support data updated successfully'
+    });
+  } catch (error) {
+    console.error('Admin Update Support Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update support data'
+    });
+  }
+});
+
+// Public FAQ Routes (no authentication required)
+app.get('/api/faqs', async (req, res) => {
+  try {
+    const faqs = await faqService.getAllFAQs();
+
+    res.json({
+      success: true,
+      faqs
+    });
+  } catch (error) {
+    console.error('Public FAQs Error:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get FAQs'
+    });
+  }
+});
+
+// Bulk Public Data Endpoint (FAQs + Plugins + Categories)
+app.get('/api/public-data', async (req, res) => {
+  try {
+    // Fetch all public data in parallel
+    const [faqs, pluginRequests] = await Promise.all([
+      faqService.getAllFAQs(),
+      pluginService.getAllPluginRequests() // Get plugin requests
+    ]);
+
+    // Only show approved and pending plugin requests in public view
+    // Exclude rejected plugins from public view
+    const publicPluginRequests = pluginRequests
+      .filter(request => request.status !== 'rejected')
+      .map(request => ({
+        ...request,
+        source: 'backend', // Mark as backend source
+        status: request.status || 'pending' // Ensure status is set
+      }));
+
+    // Extract categories from FAQs
+    const categories = ['All', ...new Set(faqs.map(faq => faq.category))];
+
+    res.json({
+      success: true,
+      faqs,
+      plugins: publicPluginRequests,
+      categories,
+      timestamp: new Date().toISOString(),
+      cacheFor: 30 * 60 * 1000 // 30 minutes
+    });
+  } catch (error) {
+    console.error('Public Data Error:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get public data'
+    });
+  }
+});
+
+// Bulk Admin Data Endpoint
+app.get('/api/admin-data', requirePermission(PERMISSIONS.STATS_READ), async (req, res) => {
+  try {
+    const can = (permission) => req.adminPermissions.includes(permission);
+
+    // Fetch all admin data in parallel
+    const [stats, sessions, faqs, pluginRequests] = await Promise.all([
+      // Stats
+      (async () => {
+        const allSessions = await whatsappService.getAllSessions();
+        const allRequests = await pluginService.getAllPluginRequests();
+        return {
+          totalSessions: allSessions.length,
+          activeSessions: allSessions.filter(s => s.connected).length,
+          totalPlugins: 0, // Plugins are now managed in frontend permanentPlugins.js
+          pendingPlugins: allRequests.filter(r => r.status === 'pending').length,
+          totalFAQs: (await faqService.getAllFAQs()).length
+        };
+      })(),
+
+      // Sessions
+      whatsappService.getAllSessions(),
+
+      // FAQs
+      faqService.getAllFAQs(),
+
+      // Plugin Requests (for admin management)
+      pluginService.getAllPluginRequests()
+    ]);
+
+    // Format plugin requests for admin view
+    const allPlugins = pluginRequests.map(request => ({
+      ...request,
+      source: 'backend',
+      status: request.status || 'pending'
+    }));
+
+    // Sections the admin's roles cannot read are returned empty
+    res.json({
+      success: true,
+      stats,
+      sessions: can(PERMISSIONS.SESSIONS_READ) ? sessions : [],
+      faqs: can(PERMISSIONS.FAQS_READ) ? faqs : [],
+      plugins: can(PERMISSIONS.PLUGINS_READ) ? allPlugins : [],
+      pluginRequests: can(PERMISSIONS.PLUGINS_READ) ? pluginRequests : [], // Separate access to raw requests for admin operations
+      roles: req.adminRoles,
+      permissions: req.adminPermissions,
+      timestamp: new Date().toISOString(),
+      cacheFor: 5 * 60 * 1000 // 5 minutes for admin data
+    });
+  } catch (error) {
+    console.error('Admin Data Error:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get admin data'
+    });
+  }
+});
+
+// Permission required by each bulk-save change type
+const BULK_CHANGE_PERMISSIONS = {
+  updatePlugin: PERMISSIONS.PLUGINS_MODERATE,
+  deletePlugin: PERMISSIONS.PLUGINS_MODERATE,
+  addFAQ: PERMISSIONS.FAQS_EDIT,
+  updateFAQ: PERMISSIONS.FAQS_EDIT,
+  deleteFAQ: PERMISSIONS.FAQS_EDIT
+};
+
+// Audit action recorded for each bulk-save change type
+const BULK_CHANGE_ACTIONS = {
+  updatePlugin: 'plugin.status',
+  deletePlugin: 'plugin.delete',
+  addFAQ: 'faq.create',
+  updateFAQ: 'faq.update',
+  deleteFAQ: 'faq.delete'
+};
+
+// Any admin may call bulk-save, each change is checked against BULK_CHANGE_PERMISSIONS
+app.post('/api/admin/bulk-save', verifyAdmin, async (req, res) => {
+  try {
+    const { changes } = req.body;
+
+    if (!Array.isArray(changes)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Changes must be an array'
+      });
+    }
+
+    const results = [];
+
+    for (const change of changes) {
+      const requiredPermission = BULK_CHANGE_PERMISSIONS[change.type];
+      if (requiredPermission && !req.adminPermissions.includes(requiredPermission)) {
+        results.push({
+          type: change.type,
+          id: change.id,
+          success: false,
+          error: `Missing permission: ${requiredPermission}`,
+          missingPermission: requiredPermission
+        });
+        continue;
+      }
+
+      // Snapshot the target before the change for the audit log
+      let before = null;
+      if (change.id && change.type.endsWith('Plugin')) {
+        before = await pluginService.getPluginRequestById(change.id);
+      } else if (change.id && change.type.endsWith('FAQ')) {
+        before = await faqService.getFAQById(change.id);
+      }
+
+      try {
+        switch (change.type) {
+          case 'updatePlugin':
+            if (change.data.status) {
+              await pluginService.updatePluginStatus(change.id, change.data.status);
+            }
+            results.push({ type: change.type, id: change.id, success: true });
+            break;
+
+          case 'deletePlugin':
+            await pluginService.deletePlugin(change.id);
+            results.push({ type: change.type, id: change.id, success: true });
+            break;
+
+          case 'addFAQ':
+            const newFAQ = await faqService.addFAQ(change.data);
+            results.push({ type: change.type, success: true, data: newFAQ });
+            break;
+
+          case 'updateFAQ':
+            const updatedFAQ = await faqService.updateFAQ(change.id, change.data);
+            results.push({ type: change.type, id: change.id, success: true, data: updatedFAQ });
+            break;
+
+          case 'deleteFAQ':
+            await faqService.deleteFAQ(change.id);
+            results.push({ type: change.type, id: change.id, success: true });
+            break;
+
+          default:
+            results.push({ type: change.type, success: false, error: 'Unknown change type' });
+        }
+      } catch (error) {
+        results.push({ type: change.type, success: false, error: error.message });
+      }
+
+      if (BULK_CHANGE_ACTIONS[change.type]) {
+        const result = results[results.length - 1];
+        await auditAdminAction(req, BULK_CHANGE_ACTIONS[change.type], (change.id ?? result.data?.id)?.toString() || null, {
+          before,
+          after: result.data || change.data || null,
+          success: result.success,
+          error: result.error || null,
+          details: { source: 'bulk-save' }
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      results,
+      message: `Processed ${results.length} changes`
+    });
+  } catch (error) {
+    console.error('Bulk Save Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save bulk changes'
+    });
+  }
+});
+
+// FAQ Admin Routes
+app.get('/api/admin/faqs', requirePermission(PERMISSIONS.FAQS_READ), async (req, res) => {
+  try {
+    const faqs = await faqService.getAllFAQs();
+    res.json({
+      success: true,
+      faqs
+    });
+  } catch (error) {
+    console.error('Admin FAQs Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get FAQs'
+    });
+  }
+});
+
+app.post('/api/admin/faqs', requirePermission(PERMISSIONS.FAQS_EDIT), async (req, res) => {
+  try {
+    const { question, answer, category, tags } = req.body;
+
+    if (!question || !answer || !category) {
+      return res.status(400).json({
+        success: false,
+        error: 'Question, answer, and category are required'
+      });
+    }
+
+    const faq = await faqService.addFAQ({
+      question,
+      answer,
+      category,
+      tags: Array.isArray(tags) ? tags : (tags ? tags.split(',').map(t => t.trim()) : [])
+    });
+    await auditAdminAction(req, 'faq.create', faq.id?.toString() || null, { after: faq });
+
+    res.json({
+      success: true,
+      faq
+    });
+  } catch (error) {
+    console.error('Admin Add FAQ Error:', error);
+    await auditAdminAction(req, 'faq.create', null, { after: req.body, success: false, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add FAQ'
+    });
+  }
+});
+
+app.put('/api/admin/faqs/:id', requirePermission(PERMISSIONS.FAQS_EDIT), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { question, answer, category, tags } = req.body;
+
+    const updateData = {
+      question,
+      answer,
+      category,
+      tags: Array.isArray(tags) ? tags : (tags ? tags.split(',').map(t => t.trim()) : [])
+    };
+
+    const before = await faqService.getFAQById(id);
+    const faq = await faqService.updateFAQ(id, updateData);
+    await auditAdminAction(req, 'faq.update', id, { before, after: faq });
+
+    res.json({
+      success: true,
+      faq
+    });
+  } catch (error) {
+    console.error('Admin Update FAQ Error:', error);
+    await auditAdminAction(req, 'faq.update', req.params.id, { success: false, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to update FAQ'
+    });
+  }
+});
+
+app.delete('/api/admin/faqs/:id', requirePermission(PERMISSIONS.FAQS_EDIT), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const before = await faqService.getFAQById(id);
+    await faqService.deleteFAQ(id);
+    await auditAdminAction(req, 'faq.delete', id, { before });
+
+    res.json({
+      success: true,
+      message: 'FAQ deleted successfully'
+    });
+  } catch (error) {
+    console.error('Admin Delete FAQ Error:', error);
+    await auditAdminAction(req, 'faq.delete', req.params.id, { success: false, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to delete FAQ'
+    });
+  }
+});
+
+app.get('/api/admin/faqs/download', requirePermission(PERMISSIONS.FAQS_READ), async (req, res) => {
+  try {
+    const faqs = await faqService.getAllFAQs();
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', 'attachment; filename=faqs.json');
+    res.json(faqs);
+  } catch (error) {
+    console.error('Admin Download FAQs Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download FAQs'
+    });
+  }
+});
+
+// Welcome Message Template Routes
+app.get('/api/admin/welcome-templates', requirePermission(PERMISSIONS.WELCOME_READ), async (req, res) => {
+  try {
+    const result = await welcomeTemplateService.getTemplates();
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Admin Welcome Templates Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get welcome templates'
+    });
+  }
+});
+
+// Render a stored template ({ locale }) or an unsaved draft ({ body }) with sample values
+app.post('/api/admin/welcome-templates/preview', requirePermission(PERMISSIONS.WELCOME_READ), async (req, res) => {
+  try {
+    const { locale, body, sample } = req.body || {};
+
+    if (!locale && !body) {
+      return res.status(400).json({
+        success: false,
+        error: 'Locale or body is required'
+      });
+    }
+
+    const preview = await welcomeTemplateService.preview({ locale, body, sample });
+    res.json({
+      success: true,
+      preview
+    });
+  } catch (error) {
+    console.error('Admin Preview Welcome Template Error:', error);
+    const status = error.code === 'INVALID_TEMPLATE' ? 400 : (error.message === 'Template not found' ? 404 : 500);
+    res.status(status).json({
+      success: false,
+      error: status === 500 ? 'Failed to preview welcome template' : error.message
+    });
+  }
+});
+
+app.put('/api/admin/welcome-templates/default', requirePermission(PERMISSIONS.WELCOME_EDIT), async (req, res) => {
+  try {
+    const { locale } = req.body || {};
+    const defaultLocale = await welcomeTemplateService.setDefaultLocale(locale);
+    await auditAdminAction(req, 'welcome-template.default', locale);
+
+    res.json({
+      success: true,
+      defaultLocale
+    });
+  } catch (error) {
+    console.error('Admin Default Welcome Template Error:', error);
+    await auditAdminAction(req, 'welcome-template.default', req.body?.locale || null, { success: false, error: error.message });
+    res.status(error.message === 'Template not found' ? 404 : 500).json({
+      success: false,
+      error: error.message || 'Failed to set default welcome template'
+    });
+  }
+});
+
+app.put('/api/admin/welcome-templates/:locale', requirePermission(PERMISSIONS.WELCOME_EDIT), async (req, res) => {
+  try {
+    const { locale } = req.params;
+    const { name, body, countryCodes } = req.body || {};
+
+    const { template, previous } = await welcomeTemplateService.saveTemplate(
+      locale,
+      { name, body, countryCodes },
+      getUserIdentities(req.adminUser).idIdentity
+    );
+    await auditAdminAction(req, 'welcome-template.update', locale, { before: previous, after: template });
+
+    res.json({
+      success: true,
+      template
+    });
+  } catch (error) {
+    console.error('Admin Save Welcome Template Error:', error);
+    await auditAdminAction(req, 'welcome-template.update', req.params.locale, { success: false, error: error.message });
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to save welcome template'
+    });
+  }
+});
+
+app.delete('/api/admin/welcome-templates/:locale', requirePermission(PERMISSIONS.WELCOME_EDIT), async (req, res) => {
+  try {
+    const { locale } = req.params;
+    const before = await welcomeTemplateService.deleteTemplate(locale);
+    await auditAdminAction(req, 'welcome-template.delete', locale, { before });
+
+    res.json({
+      success: true,
+      message: 'Welcome template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Admin Delete Welcome Template Error:', error);
+    await auditAdminAction(req, 'welcome-template.delete', req.params.locale, { success: false, error: error.message });
+    res.status(error.message === 'Template not found' ? 404 : 400).json({
+      success: false,
+      error: error.message || 'Failed to delete welcome template'
+    });
+  }
+});
+
+// Post-Link Delivery Bundle Routes
+app.get('/api/admin/delivery-bundle', requirePermission(PERMISSIONS.DELIVERY_READ), async (req, res) => {
+  try {
+    const bundle = await deliveryBundleService.getBundle();
+    res.json({
+      success: true,
+      bundle
+    });
+  } catch (error) {
+    console.error('Admin Delivery Bundle Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get delivery bundle'
+    });
+  }
+});
+
+// Replace the whole step sequence: { steps: [{ id, type, enabled, ephemeral, retries, ... }] }
+app.put('/api/admin/delivery-bundle', requirePermission(PERMISSIONS.DELIVERY_EDIT), async (req, res) => {
+  try {
+    const { bundle, previous } = await deliveryBundleService.saveSteps(
+      req.body?.steps,
+      getUserIdentities(req.adminUser).idIdentity
+    );
+    await auditAdminAction(req, 'delivery-bundle.update', null, { before: previous, after: bundle });
+
+    res.json({
+      success: true,
+      bundle
+    });
+  } catch (error) {
+    console.error('Admin Save Delivery Bundle Error:', error);
+    await auditAdminAction(req, 'delivery-bundle.update', null, { success: false, error: error.message });
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to save delivery bundle'
+    });
+  }
+});
+
+app.post('/api/admin/delivery-bundle/reset', requirePermission(PERMISSIONS.DELIVERY_EDIT), async (req, res) => {
+  try {
+    const { bundle, previous } = await deliveryBundleService.resetSteps(getUserIdentities(req.adminUser).idIdentity);
+    await auditAdminAction(req, 'delivery-bundle.reset', null, { before: previous, after: bundle });
+
+    res.json({
+      success: true,
+      bundle
+    });
+  } catch (error) {
+    console.error('Admin Reset Delivery Bundle Error:', error);
+    await auditAdminAction(req, 'delivery-bundle.reset', null, { success: false, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset delivery bundle'
+    });
+  }
+});
+
+app.get('/api/admin/delivery-media', requirePermission(PERMISSIONS.DELIVERY_READ), async (req, res) => {
+  try {
+    const media = await deliveryBundleService.listMedia();
+    res.json({
+      success: true,
+      media
     });
   } catch (error) {
-    console.error('Admin Plugin Requests Error:', error);
+    console.error('Admin Delivery Media Error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get plugin requests'
+      error: 'Failed to list delivery media'
     });
   }
 });
 
-app.put('/api/admin/plugins/:id/status', verifyAdmin, async (req, res) => {
+// Upload a banner, guide or other file for image/document steps (raw request body)
+app.put('/api/admin/delivery-media/:name', requirePermission(PERMISSIONS.DELIVERY_EDIT), express.raw({ type: () => true, limit: '16mb' }), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { status } = req.body;
-    const adminUser = req.user?.login || 'admin';
+    const media = await deliveryBundleService.saveMedia(req.params.name, req.body);
+    await auditAdminAction(req, 'delivery-media.upload', media.name, { after: media });
 
-    const request = await pluginService.updatePluginRequestStatus(id, status, adminUser);
     res.json({
       success: true,
-      plugin: request // Return request as "plugin" for frontend compatibility
+      media
     });
   } catch (error) {
-    console.error('Admin Update Plugin Request Status Error:', error);
-    res.status(500).json({
+    console.error('Admin Upload Delivery Media Error:', error);
+    await auditAdminAction(req, 'delivery-media.upload', req.params.name, { success: false, error: error.message });
+    res.status(400).json({
       success: false,
-      error: error.message || 'Failed to update plugin request status'
+      error: error.message || 'Failed to upload media'
     });
   }
 });
 
-app.delete('/api/admin/plugins/:id', verifyAdmin, async (req, res) => {
+app.delete('/api/admin/delivery-media/:name', requirePermission(PERMISSIONS.DELIVERY_EDIT), async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    const deletedRequest = await pluginService.deletePluginRequest(id);
-    
+    await deliveryBundleService.deleteMedia(req.params.name);
+    await auditAdminAction(req, 'delivery-media.delete', req.params.name);
+
     res.json({
       success: true,
-      message: 'Plugin request deleted successfully',
-      request: deletedRequest
+      message: 'Media deleted successfully'
     });
   } catch (error) {
-    console.error('Admin Delete Plugin Request Error:', error);
-    res.status(500).json({
+    console.error('Admin Delete Delivery Media Error:', error);
+    await auditAdminAction(req, 'delivery-media.delete', req.params.name, { success: false, error: error.message });
+    res.status(error.message === 'Media not found' ? 404 : 400).json({
       success: false,
-      error: error.message || 'Failed to delete plugin request'
+      error: error.message || 'Failed to delete media'
     });
   }
 });
 
-app.get('/api/admin/plugins/download', verifyAdmin, async (req, res) => {
+// Audit Log Routes
+app.get('/api/admin/audit', requirePermission(PERMISSIONS.AUDIT_READ), async (req, res) => {
   try {
-    const pluginRequests = await pluginService.getAllPluginRequests();
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Content-Disposition', 'attachment; filename=plugin-requests.json');
-    res.json(pluginRequests);
+    const { actor, action, target, success, from, to, page, limit } = req.query;
+    const result = await auditService.query({ actor, action, target, success, from, to }, { page, limit });
+
+    res.setHeader('X-Total-Count', result.total);
+    res.json({
+      success: true,
+      ...result
+    });
   } catch (error) {
-    console.error('Admin Download Plugin Requests Error:', error);
+    console.error('Admin Audit Log Error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to download plugin requests'
+      error: 'Failed to get audit log'
     });
   }
 });
 
-app.get('/api/admin/support', verifyAdmin, async (req, res) => {
+app.get('/api/admin/audit/export', requirePermission(PERMISSIONS.AUDIT_READ), async (req, res) => {
   try {
-    // This would read from a config file or database
-    const supportData = {
-      instagram: '@manjisama1',
-      email: 'manjisamaa@gmail.com',
-      telegram: 'https://t.me/+ajJtuJa1wVxmOTRl',
-      github: 'https://github.com/manjisama1/vinsmoke',
-      documentation: 'https://github.com/manjisama1/vinsmoke',
-      responseTime: '24 hours',
-      supportDescription: 'Get help with Vinsmoke bot setup, troubleshooting, and feature requests.'
-    };
+    const { actor, action, target, success, from, to, format } = req.query;
+    const exportFormat = format === 'csv' ? 'csv' : 'json';
+    const content = await auditService.exportEntries({ actor, action, target, success, from, to }, exportFormat);
 
-    res.json(supportData);
+    res.setHeader('Content-Type', exportFormat === 'csv' ? 'text/csv' : 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().split('T')[0]}.${exportFormat}"`);
+    res.send(content);
   } catch (error) {
-    console.error('Admin Support Error:', error);
+    console.error('Admin Audit Export Error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get support data'
+      error: 'Failed to export audit log'
     });
   }
 });
 
-app.put('/api/admin/support', verifyAdmin, async (req, res) => {
+// Admin Management Routes (runtime admins, stored in data/admin-roles.json)
+const ADMIN_ERROR_STATUS = {
+  INVALID_IDENTITY: 400,
+  INVALID_ROLE: 400,
+  BOOTSTRAP_ADMIN: 409,
+  ADMIN_NOT_FOUND: 404
+};
+
+app.get('/api/admin/admins', requirePermission(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
   try {
-    const supportData = req.body;
-    // This would save to a config file or database
-    // For now, we'll just return success
     res.json({
       success: true,
-      message: 'Support data updated successfully'
+      admins: listAdmins(),
+      roles: ROLES
     });
   } catch (error) {
-    console.error('Admin Update Support Error:', error);
+    console.error('Admin List Admins Error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update support data'
+      error: 'Failed to get admins'
     });
   }
 });
 
-// Public FAQ Routes (no authentication required)
-app.get('/api/faqs', async (req, res) => {
+app.post('/api/admin/admins', requirePermission(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
   try {
-    const faqs = await faqService.getAllFAQs();
+    const { identity, roles } = req.body;
+    const admin = await addAdmin(identity, roles, getUserIdentities(req.adminUser).idIdentity);
+
+    await auditAdminAction(req, 'admin.add', admin.identity, {
+      before: admin.previousRoles.length > 0 ? { roles: admin.previousRoles } : null,
+      after: { roles: admin.roles }
+    });
 
     res.json({
       success: true,
-      faqs
+      admin,
+      message: 'Admin saved successfully'
     });
   } catch (error) {
-    console.error('Public FAQs Error:', error);
-
-    res.status(500).json({
+    console.error('Admin Add Admin Error:', error);
+    res.status(ADMIN_ERROR_STATUS[error.code] || 500).json({
       success: false,
-      error: 'Failed to get FAQs'
+      error: ADMIN_ERROR_STATUS[error.code] ? error.message : 'Failed to save admin'
     });
   }
 });
 
-// Bulk Public Data Endpoint (FAQs + Plugins + Categories)
-app.get('/api/public-data', async (req, res) => {
+app.delete('/api/admin/admins/:identity', requirePermission(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
   try {
-    // Fetch all public data in parallel
-    const [faqs, pluginRequests] = await Promise.all([
-      faqService.getAllFAQs(),
-      pluginService.getAllPluginRequests() // Get plugin requests
-    ]);
+    const admin = await removeAdmin(req.params.identity);
 
-    // Only show approved and pending plugin requests in public view
-    // Exclude rejected plugins from public view
-    const publicPluginRequests = pluginRequests
-      .filter(request => request.status !== 'rejected')
-      .map(request => ({
-        ...request,
-        source: 'backend', // Mark as backend source
-        status: request.status || 'pending' // Ensure status is set
-      }));
+    // A removed admin is signed out everywhere right away
+    const revokedLogins = await adminLoginService.revokeAllForIdentity(admin.identity, 'admin_removed');
 
-    // Extract categories from FAQs
-    const categories = ['All', ...new Set(faqs.map(faq => faq.category))];
+    await auditAdminAction(req, 'admin.remove', admin.identity, {
+      before: { roles: admin.roles },
+      details: { revokedLogins }
+    });
 
     res.json({
       success: true,
-      faqs,
-      plugins: publicPluginRequests,
-      categories,
-      timestamp: new Date().toISOString(),
-      cacheFor: 30 * 60 * 1000 // 30 minutes
+      admin,
+      revokedLogins,
+      message: 'Admin removed successfully'
     });
   } catch (error) {
-    console.error('Public Data Error:', error);
-
-    res.status(500).json({
+    console.error('Admin Remove Admin Error:', error);
+    res.status(ADMIN_ERROR_STATUS[error.code] || 500).json({
       success: false,
-      error: 'Failed to get public data'
+      error: ADMIN_ERROR_STATUS[error.code] ? error.message : 'Failed to remove admin'
     });
   }
 });
 
-// Bulk Admin Data Endpoint
-app.get('/api/admin-data', verifyAdmin, async (req, res) => {
+// Admin Login Routes (active logins per admin, revocation)
+app.get('/api/admin/logins', requirePermission(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
   try {
-    // Fetch all admin data in parallel
-    const [stats, sessions, faqs, pluginRequests] = await Promise.all([
-      // Stats
-      (async () => {
-        const allSessions = await whatsappService.getAllSessions();
-        const allRequests = await pluginService.getAllPluginRequests();
-        return {
-          totalSessions: allSessions.length,
-          activeSessions: allSessions.filter(s => s.connected).length,
-          totalPlugins: 0, // Plugins are now managed in frontend permanentPlugins.js
-          pendingPlugins: allRequests.filter(r => r.status === 'pending').length,
-          totalFAQs: (await faqService.getAllFAQs()).length
-        };
-      })(),
-
-      // Sessions
-      whatsappService.getAllSessions(),
-
-      // FAQs
-      faqService.getAllFAQs(),
-
-      // Plugin Requests (for admin management)
-      pluginService.getAllPluginRequests()
-    ]);
-
-    // Format plugin requests for admin view
-    const allPlugins = pluginRequests.map(request => ({
-      ...request,
-      source: 'backend',
-      status: request.status || 'pending'
-    }));
+    const { identity, includeInactive } = req.query;
+    const logins = await adminLoginService.listLogins({
+      identity: identity ? normalizeIdentity(identity) : null,
+      includeInactive: includeInactive === 'true'
+    });
 
     res.json({
       success: true,
-      stats,
-      sessions,
-      faqs,
-      plugins: allPlugins,
-      pluginRequests, // Separate access to raw requests for admin operations
-      timestamp: new Date().toISOString(),
-      cacheFor: 5 * 60 * 1000 // 5 minutes for admin data
+      logins: logins.map(login => ({ ...login, current: login.id === req.adminLoginId }))
     });
   } catch (error) {
-    console.error('Admin Data Error:', error);
-
+    console.error('Admin Logins Error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get admin data'
+      error: 'Failed to get admin logins'
     });
   }
 });
 
-app.post('/api/admin/bulk-save', verifyAdmin, async (req, res) => {
+app.delete('/api/admin/logins/:id', requirePermission(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
   try {
-    const { changes } = req.body;
-
-    if (!Array.isArray(changes)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Changes must be an array'
-      });
-    }
-
-    const results = [];
-
-    for (const change of changes) {
-      try {
-        switch (change.type) {
-          case 'updatePlugin':
-            if (change.data.status) {
-              await pluginService.updatePluginStatus(change.id, change.data.status);
-            }
-            results.push({ type: change.type, id: change.id, success: true });
-            break;
-
-          case 'deletePlugin':
-            await pluginService.deletePlugin(change.id);
-            results.push({ type: change.type, id: change.id, success: true });
-            break;
-
-          case 'addFAQ':
-            const newFAQ = await faqService.addFAQ(change.data);
-            results.push({ type: change.type, success: true, data: newFAQ });
-            break;
-
-          case 'updateFAQ':
-            const updatedFAQ = await faqService.updateFAQ(change.id, change.data);
-            results.push({ type: change.type, id: change.id, success: true, data: updatedFAQ });
-            break;
+    const login = await adminLoginService.revokeLogin(req.params.id, 'revoked_by_admin');
+    await auditAdminAction(req, 'admin-login.revoke', login.id, {
+      details: { identities: login.identities, device: login.device, ip: login.ip }
+    });
 
-          case 'deleteFAQ':
-            await faqService.deleteFAQ(change.id);
-            results.push({ type: change.type, id: change.id, success: true });
-            break;
+    res.json({
+      success: true,
+      login,
+      message: 'Login revoked successfully'
+    });
+  } catch (error) {
+    console.error('Admin Revoke Login Error:', error);
+    res.status(error.message === 'Login not found' ? 404 : 500).json({
+      success: false,
+      error: error.message === 'Login not found' ? error.message : 'Failed to revoke login'
+    });
+  }
+});
 
-          default:
-            results.push({ type: change.type, success: false, error: 'Unknown change type' });
-        }
-      } catch (error) {
-        results.push({ type: change.type, success: false, error: error.message });
-      }
-    }
+// Sign an admin out of every device
+app.post('/api/admin/admins/:identity/revoke-logins', requirePermission(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+  try {
+    const identity = normalizeIdentity(req.params.identity);
+    const revokedLogins = await adminLoginService.revokeAllForIdentity(identity, 'revoked_by_admin');
+    await auditAdminAction(req, 'admin-login.revoke-all', identity, { details: { revokedLogins } });
 
     res.json({
       success: true,
-      results,
-      message: `Processed ${results.length} changes`
+      revokedLogins,
+      message: `Revoked ${revokedLogins} logins`
     });
   } catch (error) {
-    console.error('Bulk Save Error:', error);
+    console.error('Admin Revoke Logins Error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to save bulk changes'
+      error: 'Failed to revoke logins'
     });
   }
 });
 
-// FAQ Admin Routes
-app.get('/api/admin/faqs', verifyAdmin, async (req, res) => {
+// Bot API Key Admin Routes
+app.get('/api/admin/api-keys', requirePermission(PERMISSIONS.API_KEYS_MANAGE), async (req, res) => {
   try {
-    const faqs = await faqService.getAllFAQs();
+    const apiKeys = await apiKeyService.getAllKeys();
     res.json({
       success: true,
-      faqs
+      apiKeys
     });
   } catch (error) {
-    console.error('Admin FAQs Error:', error);
+    console.error('Admin API Keys Error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get FAQs'
+      error: 'Failed to get API keys'
     });
   }
 });
 
-app.post('/api/admin/faqs', verifyAdmin, async (req, res) => {
+app.post('/api/admin/api-keys', requirePermission(PERMISSIONS.API_KEYS_MANAGE), async (req, res) => {
   try {
-    const { question, answer, category, tags } = req.body;
+    const { label, sessionIds } = req.body;
 
-    if (!question || !answer || !category) {
+    if (sessionIds !== undefined && !Array.isArray(sessionIds)) {
       return res.status(400).json({
         success: false,
-        error: 'Question, answer, and category are required'
+        error: 'sessionIds must be an array'
       });
     }
 
-    const faq = await faqService.addFAQ({
-      question,
-      answer,
-      category,
-      tags: Array.isArray(tags) ? tags : (tags ? tags.split(',').map(t => t.trim()) : [])
-    });
+    const { key, apiKey } = await apiKeyService.createKey(
+      { label, sessionIds: sessionIds || [] },
+      req.adminUser?.login || null
+    );
+    await auditAdminAction(req, 'api-key.create', apiKey.id, { after: apiKey });
 
     res.json({
       success: true,
-      faq
+      key, // Shown only once
+      apiKey,
+      message: 'Store this key now, it cannot be retrieved again'
     });
   } catch (error) {
-    console.error('Admin Add FAQ Error:', error);
-    res.status(500).json({
+    console.error('Admin Create API Key Error:', error);
+    const isInputError = error.code === 'INVALID_API_KEY_INPUT';
+    res.status(isInputError ? 400 : 500).json({
       success: false,
-      error: 'Failed to add FAQ'
+      error: isInputError ? error.message : 'Failed to create API key'
     });
   }
 });
 
-app.put('/api/admin/faqs/:id', verifyAdmin, async (req, res) => {
+app.put('/api/admin/api-keys/:id', requirePermission(PERMISSIONS.API_KEYS_MANAGE), async (req, res) => {
   try {
     const { id } = req.params;
-    const { question, answer, category, tags } = req.body;
+    const { label, sessionIds } = req.body;
 
-    const updateData = {
-      question,
-      answer,
-      category,
-      tags: Array.isArray(tags) ? tags : (tags ? tags.split(',').map(t => t.trim()) : [])
-    };
+    if (sessionIds !== undefined && !Array.isArray(sessionIds)) {
+      return res.status(400).json({
+        success: false,
+        error: 'sessionIds must be an array'
+      });
+    }
 
-    const faq = await faqService.updateFAQ(id, updateData);
+    const before = await apiKeyService.getKeyById(id);
+    const apiKey = await apiKeyService.updateKey(id, { label, sessionIds });
+    await auditAdminAction(req, 'api-key.update', id, { before, after: apiKey });
 
     res.json({
       success: true,
-      faq
+      apiKey
     });
   } catch (error) {
-    console.error('Admin Update FAQ Error:', error);
-    res.status(500).json({
+    console.error('Admin Update API Key Error:', error);
+    const status = error.code === 'INVALID_API_KEY_INPUT' ? 400 : (error.message === 'API key not found' ? 404 : 500);
+    res.status(status).json({
       success: false,
-      error: error.message || 'Failed to update FAQ'
+      error: error.message || 'Failed to update API key'
     });
   }
 });
 
-app.delete('/api/admin/faqs/:id', verifyAdmin, async (req, res) => {
+app.delete('/api/admin/api-keys/:id', requirePermission(PERMISSIONS.API_KEYS_MANAGE), async (req, res) => {
   try {
     const { id } = req.params;
-    await faqService.deleteFAQ(id);
+    const before = await apiKeyService.getKeyById(id);
+    const apiKey = await apiKeyService.revokeKey(id);
+    await auditAdminAction(req, 'api-key.revoke', id, { before, after: apiKey });
 
     res.json({
       success: true,
-      message: 'FAQ deleted successfully'
-    });
-  } catch (error) {
-    console.error('Admin Delete FAQ Error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to delete FAQ'
+      apiKey,
+      message: 'API key revoked successfully'
     });
-  }
-});
-
-app.get('/api/admin/faqs/download', verifyAdmin, async (req, res) => {
-  try {
-    const faqs = await faqService.getAllFAQs();
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Content-Disposition', 'attachment; filename=faqs.json');
-    res.json(faqs);
   } catch (error) {
-    console.error('Admin Download FAQs Error:', error);
-    res.status(500).json({
+    console.error('Admin Revoke API Key Error:', error);
+    res.status(error.message === 'API key not found' ? 404 : 500).json({
       success: false,
-      error: 'Failed to download FAQs'
+      error: error.message || 'Failed to revoke API key'
     });
   }
 });
@@ -1482,6 +3028,12 @@ io.on('connection', (socket) => {
   socket.on('join-session', (sessionId) => {
     socket.join(sessionId);
     currentSessionId = sessionId;
+
+    // Late joiners get the QR that is valid right now instead of waiting for the next rotation
+    const currentQR = typeof sessionId === 'string' ? whatsappService.getCurrentQR(sessionId) : null;
+    if (currentQR) {
+      socket.emit('qr-code', currentQR);
+    }
   });
 
   socket.on('disconnect', () => {
@@ -1501,8 +3053,7 @@ io.on('connection', (socket) => {
               
               // Only delete if it's not a good session
               if (!sessionData || !sessionData.isGood || !sessionData.isPermanent) {
-                const sessionPath = path.join(__dirname, 'sessions', currentSessionId);
-                const hasFiles = fs.existsSync(sessionPath) && fs.readdirSync(sessionPath).length > 0;
+                const hasFiles = !!(await whatsappService.listSessionFiles(currentSessionId));
 
                 if (!hasFiles) {
                   await whatsappService.stopSession(currentSessionId);
@@ -1546,10 +3097,16 @@ app.get('*', (req, res) => {
         qr: 'POST /api/session/qr',
         pairing: 'POST /api/session/pairing',
         get: 'GET /api/session/:sessionId',
+        status: 'GET /api/session/:sessionId/status',
+        nextQr: 'GET /api/session/:sessionId/qr?after=<sequence>',
         delete: 'DELETE /api/session/:sessionId',
         files: 'GET /api/session/:sessionId/files',
         fileList: 'GET /api/session/:sessionId/filelist',
-        downloadFile: 'GET /api/session/:sessionId/file/:fileName'
+        downloadFile: 'GET /api/session/:sessionId/file/:fileName',
+        liveness: 'GET /api/session/:sessionId/liveness',
+        renew: 'POST /api/session/:sessionId/renew',
+        sessionString: 'GET /api/session/:sessionId/session-string',
+        decodeSessionString: 'POST /api/session-string/decode'
       },
       plugins: 'GET /api/plugins',
       faqs: 'GET /api/faqs'
@@ -1593,15 +3150,23 @@ server.listen(PORT, HOST, () => {
     log.warn(`CORS: Platform fallbacks`);
   }
 
-  // GitHub OAuth status
-  if (process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET) {
-    log.success(`OAuth: Enabled`);
+  // Login provider status
+  const loginProviders = getEnabledProviders().map(provider => provider.name);
+  if (loginProviders.length > 0) {
+    log.success(`Login providers: ${loginProviders.join(', ')}`);
+  } else {
+    log.warn(`Login providers: None configured`);
+  }
+
+  // Admin token signing status
+  if (getTokenConfig().isEphemeralSecret) {
+    log.warn(`Admin tokens: ADMIN_TOKEN_SECRET not set, using ephemeral secret`);
   } else {
-    log.warn(`OAuth: Disabled`);
+    log.success(`Admin tokens: Signed`);
   }
 });
 // Admin Plugin Requests Management
-app.get('/api/admin/plugin-requests', authenticateAdmin, async (req, res) => {
+app.get('/api/admin/plugin-requests', requirePermission(PERMISSIONS.PLUGINS_READ), async (req, res) => {
   try {
     const requests = await pluginService.getAllPluginRequests();
     
@@ -1618,7 +3183,7 @@ app.get('/api/admin/plugin-requests', authenticateAdmin, async (req, res) => {
   }
 });
 
-app.put('/api/admin/plugin-requests/:id/status', authenticateAdmin, async (req, res) => {
+app.put('/api/admin/plugin-requests/:id/status', requirePermission(PERMISSIONS.PLUGINS_MODERATE), async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
@@ -1631,8 +3196,10 @@ app.put('/api/admin/plugin-requests/:id/status', authenticateAdmin, async (req,
       });
     }
 
+    const before = await pluginService.getPluginRequestById(id);
     const request = await pluginService.updatePluginRequestStatus(id, status, adminUser);
-    
+    await auditAdminAction(req, 'plugin.status', id, { before, after: request });
+
     res.json({
       success: true,
       request,
@@ -1640,6 +3207,7 @@ app.put('/api/admin/plugin-requests/:id/status', authenticateAdmin, async (req,
     });
   } catch (error) {
     console.error('Update Plugin Request Status Error:', error);
+    await auditAdminAction(req, 'plugin.status', req.params.id, { success: false, error: error.message });
     res.status(500).json({
       success: false,
       error: error.message || 'Failed to update plugin request status'
@@ -1647,13 +3215,15 @@ app.put('/api/admin/plugin-requests/:id/status', authenticateAdmin, async (req,
   }
 });
 
-app.post('/api/admin/plugin-requests/:id/approve', authenticateAdmin, async (req, res) => {
+app.post('/api/admin/plugin-requests/:id/approve', requirePermission(PERMISSIONS.PLUGINS_MODERATE), async (req, res) => {
   try {
     const { id } = req.params;
     const adminUser = req.user?.login || 'admin';
 
+    const before = await pluginService.getPluginRequestById(id);
     const result = await pluginService.approvePluginRequest(id, adminUser);
-    
+    await auditAdminAction(req, 'plugin.approve', id, { before, after: result.request });
+
     res.json({
       success: true,
       request: result.request,
@@ -1662,6 +3232,7 @@ app.post('/api/admin/plugin-requests/:id/approve', authenticateAdmin, async (req
     });
   } catch (error) {
     console.error('Approve Plugin Request Error:', error);
+    await auditAdminAction(req, 'plugin.approve', req.params.id, { success: false, error: error.message });
     res.status(500).json({
       success: false,
       error: error.message || 'Failed to approve plugin request'
@@ -1669,12 +3240,13 @@ app.post('/api/admin/plugin-requests/:id/approve', authenticateAdmin, async (req
   }
 });
 
-app.delete('/api/admin/plugin-requests/:id', authenticateAdmin, async (req, res) => {
+app.delete('/api/admin/plugin-requests/:id', requirePermission(PERMISSIONS.PLUGINS_MODERATE), async (req, res) => {
   try {
     const { id } = req.params;
     
     const deletedRequest = await pluginService.deletePluginRequest(id);
-    
+    await auditAdminAction(req, 'plugin.delete', id, { before: deletedRequest });
+
     res.json({
       success: true,
       request: deletedRequest,
@@ -1682,6 +3254,7 @@ app.delete('/api/admin/plugin-requests/:id', authenticateAdmin, async (req, res)
     });
   } catch (error) {
     console.error('Delete Plugin Request Error:', error);
+    await auditAdminAction(req, 'plugin.delete', req.params.id, { success: false, error: error.message });
     res.status(500).json({
       success: false,
       error: error.message || 'Failed to delete plugin request'
@@ -1689,7 +3262,7 @@ app.delete('/api/admin/plugin-requests/:id', authenticateAdmin, async (req, res)
   }
 });
 
-app.get('/api/admin/plugin-requests/download', authenticateAdmin, async (req, res) => {
+app.get('/api/admin/plugin-requests/download', requirePermission(PERMISSIONS.PLUGINS_READ), async (req, res) => {
   try {
     const requests = await pluginService.getAllPluginRequests();
     
@@ -0,0 +1,222 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Clean logging system with colors and timestamps
+const getTimestamp = () => new Date().toTimeString().split(' ')[0] + '.' + new Date().getMilliseconds().toString().padStart(3, '0');
+
+const log = {
+    info: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[36m[INFO]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
+    success: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[32m[SUCCESS]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
+    warn: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[33m[WARN]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
+    error: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[31m[ERROR]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
+    debug: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[35m[DEBUG]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`)
+};
+
+// Only persist last-seen updates this often per login
+const LAST_SEEN_THROTTLE = 60 * 1000;
+
+// Keep revoked/expired logins this long for the admin panel, then prune
+const RETENTION = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Admin Login Registry
+ *
+ * Every token pair issued to an admin belongs to a login record (device, IP, created, last seen).
+ * Tokens are only accepted while their login is active, so logins can be revoked.
+ */
+class AdminLoginService {
+  constructor() {
+    this.loginsFile = path.join(__dirname, '../data/admin-logins.json');
+    this.initialized = false;
+    this.initPromise = this.initialize();
+
+    // Serialize read-modify-write cycles so concurrent requests never drop each other's changes
+    this.writeQueue = Promise.resolve();
+  }
+
+  async initialize() {
+    try {
+      await this.ensureDataDir();
+      await this.pruneLogins();
+      this.initialized = true;
+      log.success('Admin Login Service ready');
+    } catch (error) {
+      log.error('Admin Login Service init failed:', error.message);
+    }
+  }
+
+  async ensureInitialized() {
+    if (!this.initialized) {
+      await this.initPromise;
+    }
+  }
+
+  async ensureDataDir() {
+    const dataDir = path.dirname(this.loginsFile);
+    await fs.ensureDir(dataDir);
+
+    if (!(await fs.pathExists(this.loginsFile))) {
+      await fs.writeJson(this.loginsFile, [], { spaces: 2 });
+    }
+  }
+
+  async readLogins() {
+    try {
+      return await fs.readJson(this.loginsFile);
+    } catch (error) {
+      log.error('Error reading admin logins:', error.message);
+      return [];
+    }
+  }
+
+  async writeLogins(logins) {
+    await fs.writeJson(this.loginsFile, logins, { spaces: 2 });
+  }
+
+  // Run mutator(logins) in the write queue; the file is only rewritten when something changed
+  async updateLogins(mutator) {
+    const run = this.writeQueue.then(async () => {
+      const logins = await this.readLogins();
+      const before = JSON.stringify(logins);
+      const result = await mutator(logins);
+
+      if (JSON.stringify(logins) !== before) {
+        await this.writeLogins(logins);
+      }
+      return result;
+    });
+
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  isActive(login) {
+    return !!login && !login.revokedAt && new Date(login.expiresAt).getTime() > Date.now();
+  }
+
+  async createLogin({ identities, user, ip, userAgent, expiresAt }) {
+    await this.ensureInitialized();
+
+    const now = new Date().toISOString();
+    const login = {
+      id: uuidv4(),
+      identities: identities.filter(Boolean),
+      login: user.login || null,
+      provider: user.provider || 'github',
+      device: (userAgent || 'unknown').slice(0, 200),
+      ip,
+      createdAt: now,
+      lastSeenAt: now,
+      lastSeenIp: ip,
+      expiresAt,
+      revokedAt: null,
+      revokedReason: null
+    };
+
+    await this.updateLogins(logins => {
+      logins.push(login);
+    });
+    return login;
+  }
+
+  // Returns the login if it is still active and records the request as last seen
+  async touchLogin(id, ip, expiresAt = null) {
+    await this.ensureInitialized();
+
+    return this.updateLogins(logins => {
+      const login = logins.find(l => l.id === id);
+
+      if (!this.isActive(login)) {
+        return null;
+      }
+
+      const sinceLastSeen = Date.now() - new Date(login.lastSeenAt).getTime();
+      if (sinceLastSeen > LAST_SEEN_THROTTLE || login.lastSeenIp !== ip || expiresAt) {
+        login.lastSeenAt = new Date().toISOString();
+        login.lastSeenIp = ip;
+        if (expiresAt) {
+          login.expiresAt = expiresAt; // Refresh extends the login
+        }
+      }
+
+      return login;
+    });
+  }
+
+  async listLogins({ identity = null, includeInactive = false } = {}) {
+    await this.ensureInitialized();
+
+    const logins = await this.readLogins();
+    return logins
+      .filter(login => !identity || login.identities.includes(identity))
+      .filter(login => includeInactive || this.isActive(login))
+      .map(login => ({ ...login, active: this.isActive(login) }))
+      .sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt));
+  }
+
+  async revokeLogin(id, reason = 'revoked') {
+    await this.ensureInitialized();
+
+    return this.updateLogins(logins => {
+      const login = logins.find(l => l.id === id);
+
+      if (!login) {
+        throw new Error('Login not found');
+      }
+
+      if (!login.revokedAt) {
+        login.revokedAt = new Date().toISOString();
+        login.revokedReason = reason;
+        log.info(`Login revoked: ${login.login || login.identities[0]} (${reason})`);
+      }
+
+      return login;
+    });
+  }
+
+  // Revoke every active login of an identity; returns the number revoked
+  async revokeAllForIdentity(identity, reason = 'revoked') {
+    await this.ensureInitialized();
+
+    const now = new Date().toISOString();
+    const revokedCount = await this.updateLogins(logins => {
+      let count = 0;
+
+      logins.forEach(login => {
+        if (login.identities.includes(identity) && this.isActive(login)) {
+          login.revokedAt = now;
+          login.revokedReason = reason;
+          count++;
+        }
+      });
+
+      return count;
+    });
+
+    if (revokedCount > 0) {
+      log.info(`Revoked ${revokedCount} logins: ${identity} (${reason})`);
+    }
+
+    return revokedCount;
+  }
+
+  async pruneLogins() {
+    const cutoff = Date.now() - RETENTION;
+
+    await this.updateLogins(logins => {
+      const kept = logins.filter(login => {
+        const endedAt = login.revokedAt || login.expiresAt;
+        return new Date(endedAt).getTime() > cutoff;
+      });
+
+      logins.splice(0, logins.length, ...kept);
+    });
+  }
+}
+
+export default AdminLoginService;
@@ -0,0 +1,266 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Clean logging system with colors and timestamps
+const getTimestamp = () => new Date().toTimeString().split(' ')[0] + '.' + new Date().getMilliseconds().toString().padStart(3, '0');
+
+const log = {
+    info: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[36m[INFO]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
+    success: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[32m[SUCCESS]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
+    warn: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[33m[WARN]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
+    error: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[31m[ERROR]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
+    debug: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[35m[DEBUG]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`)
+};
+
+const KEY_PREFIX = 'vsk_';
+
+// Only persist last-used updates this often per key
+const LAST_USED_THROTTLE = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const normalizeSessionId = (sessionId) => sessionId.startsWith('VINSMOKE@') ? sessionId : `VINSMOKE@${sessionId}`;
+
+// Request bodies reach the service as-is: label must be a string, sessionIds non-empty strings
+// Throws an error with code INVALID_API_KEY_INPUT (answered with a 400)
+const validateKeyInput = ({ label, sessionIds }) => {
+  let message = null;
+
+  if (label !== undefined && label !== null && typeof label !== 'string') {
+    message = 'label must be a string';
+  } else if (sessionIds !== undefined && (!Array.isArray(sessionIds) || sessionIds.some(id => typeof id !== 'string' || !id.trim()))) {
+    message = 'sessionIds must be an array of session IDs';
+  }
+
+  if (message) {
+    const error = new Error(message);
+    error.code = 'INVALID_API_KEY_INPUT';
+    throw error;
+  }
+};
+
+class ApiKeyService {
+  constructor({ apiKeysFile } = {}) {
+    this.apiKeysFile = apiKeysFile || path.join(__dirname, '../data/api-keys.json');
+    this.initialized = false;
+    this.initPromise = this.initialize();
+
+    // Serialize read-modify-write cycles so a usage update never restores a revoked key
+    this.writeQueue = Promise.resolve();
+  }
+
+  async initialize() {
+    try {
+      await this.ensureDataDir();
+      this.initialized = true;
+      log.success('API Key Service ready');
+    } catch (error) {
+      log.error('API Key Service init failed:', error.message);
+    }
+  }
+
+  async ensureInitialized() {
+    if (!this.initialized) {
+      await this.initPromise;
+    }
+  }
+
+  async ensureDataDir() {
+    const dataDir = path.dirname(this.apiKeysFile);
+    await fs.ensureDir(dataDir);
+
+    if (!(await fs.pathExists(this.apiKeysFile))) {
+      await fs.writeJson(this.apiKeysFile, [], { spaces: 2 });
+    }
+  }
+
+  async readKeys() {
+    await this.ensureInitialized();
+    try {
+      return await fs.readJson(this.apiKeysFile);
+    } catch (error) {
+      log.error('Error reading API keys:', error.message);
+      return [];
+    }
+  }
+
+  // Write through a temp file so a crash never leaves a half-written key file
+  async writeKeys(keys) {
+    const tempPath = `${this.apiKeysFile}.${crypto.randomUUID()}.tmp`;
+
+    try {
+      await fs.writeJson(tempPath, keys, { spaces: 2 });
+      await fs.rename(tempPath, this.apiKeysFile);
+    } catch (error) {
+      await fs.remove(tempPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  // Run mutator(keys) in the write queue; the file is only rewritten when something changed
+  // Unlike readKeys, a read error fails the update instead of writing an empty list back
+  async updateKeys(mutator) {
+    await this.ensureInitialized();
+
+    const run = this.writeQueue.then(async () => {
+      const keys = await fs.readJson(this.apiKeysFile);
+      const before = JSON.stringify(keys);
+      const result = await mutator(keys);
+
+      if (JSON.stringify(keys) !== before) {
+        await this.writeKeys(keys);
+      }
+      return result;
+    });
+
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Strip the hash before handing records to callers
+  toPublicKey(record) {
+    const { keyHash, ...publicRecord } = record;
+    return publicRecord;
+  }
+
+  async getAllKeys() {
+    const keys = await this.readKeys();
+    return keys.map(record => this.toPublicKey(record));
+  }
+
+  async getKeyById(id) {
+    const keys = await this.readKeys();
+    const record = keys.find(k => k.id === id);
+    return record ? this.toPublicKey(record) : null;
+  }
+
+  async createKey({ label, sessionIds = [] } = {}, createdBy = null) {
+    try {
+      validateKeyInput({ label, sessionIds });
+
+      const rawKey = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+      const record = {
+        id: uuidv4(),
+        label: label?.trim() || 'Unnamed key',
+        keyPrefix: rawKey.slice(0, KEY_PREFIX.length + 6),
+        keyHash: hashKey(rawKey),
+        sessionIds: sessionIds.map(normalizeSessionId),
+        createdBy,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        revoked: false,
+        revokedAt: null
+      };
+
+      await this.updateKeys(keys => {
+        keys.push(record);
+      });
+
+      log.success(`API key created: ${record.label}`);
+
+      // The raw key is only ever returned here
+      return { key: rawKey, apiKey: this.toPublicKey(record) };
+    } catch (error) {
+      log.error('Create API key failed:', error.message);
+      throw error;
+    }
+  }
+
+  async updateKey(id, { label, sessionIds } = {}) {
+    try {
+      validateKeyInput({ label, sessionIds });
+
+      const record = await this.updateKeys(keys => {
+        const record = keys.find(k => k.id === id);
+
+        if (!record) {
+          throw new Error('API key not found');
+        }
+
+        if (typeof label === 'string') {
+          record.label = label.trim() || record.label;
+        }
+
+        if (Array.isArray(sessionIds)) {
+          record.sessionIds = sessionIds.map(normalizeSessionId);
+        }
+
+        record.updatedAt = new Date().toISOString();
+        return record;
+      });
+
+      log.success(`API key updated: ${record.label}`);
+      return this.toPublicKey(record);
+    } catch (error) {
+      log.error('Update API key failed:', error.message);
+      throw error;
+    }
+  }
+
+  async revokeKey(id) {
+    try {
+      const record = await this.updateKeys(keys => {
+        const record = keys.find(k => k.id === id);
+
+        if (!record) {
+          throw new Error('API key not found');
+        }
+
+        record.revoked = true;
+        record.revokedAt = record.revokedAt || new Date().toISOString();
+        return record;
+      });
+
+      log.success(`API key revoked: ${record.label}`);
+      return this.toPublicKey(record);
+    } catch (error) {
+      log.error('Revoke API key failed:', error.message);
+      throw error;
+    }
+  }
+
+  // Returns { valid, apiKey?, reason? } and records last use on success (throttled,
+  // so most checks never write; the update re-reads the file and skips revoked keys)
+  async verifyKey(rawKey, sessionId = null) {
+    if (!rawKey || !rawKey.startsWith(KEY_PREFIX)) {
+      return { valid: false, reason: 'Invalid API key' };
+    }
+
+    const keys = await this.readKeys();
+    const keyHash = hashKey(rawKey);
+    const record = keys.find(k => k.keyHash === keyHash);
+
+    if (!record || record.revoked) {
+      return { valid: false, reason: 'Invalid API key' };
+    }
+
+    if (sessionId && record.sessionIds.length > 0 && !record.sessionIds.includes(normalizeSessionId(sessionId))) {
+      return { valid: false, reason: 'API key not allowed for this session' };
+    }
+
+    const sinceLastUse = record.lastUsedAt ? Date.now() - new Date(record.lastUsedAt).getTime() : Infinity;
+    if (sinceLastUse > LAST_USED_THROTTLE) {
+      try {
+        await this.updateKeys(keys => {
+          const current = keys.find(k => k.keyHash === keyHash);
+          if (current && !current.revoked) {
+            current.lastUsedAt = new Date().toISOString();
+          }
+        });
+      } catch (error) {
+        log.warn('Could not record API key usage:', error.message);
+      }
+    }
+
+    return { valid: true, apiKey: this.toPublicKey(record) };
+  }
+}
+
+export default ApiKeyService;
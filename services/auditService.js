@@ -0,0 +1,177 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Clean logging system with colors and timestamps
+const getTimestamp = () => new Date().toTimeString().split(' ')[0] + '.' + new Date().getMilliseconds().toString().padStart(3, '0');
+
+const log = {
+    info: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[36m[INFO]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
+    success: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[32m[SUCCESS]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
+    warn: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[33m[WARN]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
+    error: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[31m[ERROR]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
+    debug: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[35m[DEBUG]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`)
+};
+
+const CSV_COLUMNS = ['id', 'timestamp', 'actorId', 'actorLogin', 'action', 'target', 'success', 'ip', 'error', 'before', 'after'];
+
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Admin Audit Log
+ *
+ * Append-only JSON Lines file, one entry per admin action:
+ * actor, action, target, before/after snapshot, IP and timestamp.
+ * Entries are never rewritten or deleted by the service.
+ */
+class AuditService {
+  constructor() {
+    this.auditFile = path.join(__dirname, '../data/audit-log.jsonl');
+    this.initialized = false;
+    this.initPromise = this.initialize();
+
+    // Serialize appends so concurrent actions never interleave lines
+    this.writeQueue = Promise.resolve();
+  }
+
+  async initialize() {
+    try {
+      await fs.ensureDir(path.dirname(this.auditFile));
+      await fs.ensureFile(this.auditFile);
+      this.initialized = true;
+      log.success('Audit Service ready');
+    } catch (error) {
+      log.error('Audit Service init failed:', error.message);
+    }
+  }
+
+  async ensureInitialized() {
+    if (!this.initialized) {
+      await this.initPromise;
+    }
+  }
+
+  // Never throws - a failed audit write must not fail the admin action itself
+  async record({ actor, action, target = null, before = null, after = null, ip = null, success = true, error = null, details = null }) {
+    await this.ensureInitialized();
+
+    const entry = {
+      id: uuidv4(),
+      timestamp: new Date().toISOString(),
+      actor: actor ? {
+        id: actor.id?.toString() || null,
+        login: actor.login || null,
+        provider: actor.provider || 'github',
+        roles: actor.roles || []
+      } : null,
+      action,
+      target,
+      before,
+      after,
+      ip,
+      success,
+      error,
+      details
+    };
+
+    this.writeQueue = this.writeQueue
+      .then(() => fs.appendFile(this.auditFile, JSON.stringify(entry) + '\n'))
+      .catch(writeError => log.error('Audit write failed:', writeError.message));
+
+    await this.writeQueue;
+    return entry;
+  }
+
+  async readEntries() {
+    await this.ensureInitialized();
+
+    try {
+      const content = await fs.readFile(this.auditFile, 'utf8');
+      const entries = [];
+
+      for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          entries.push(JSON.parse(line));
+        } catch (error) {
+          // Skip a torn line rather than hiding the whole log
+        }
+      }
+
+      return entries;
+    } catch (error) {
+      log.error('Error reading audit log:', error.message);
+      return [];
+    }
+  }
+
+  // Filters: actor, action (exact or prefix ending in '.'), target, success, from, to
+  filterEntries(entries, filters = {}) {
+    const { actor, action, target, success, from, to } = filters;
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    return entries.filter(entry => {
+      if (actor && entry.actor?.id !== actor && entry.actor?.login !== actor) return false;
+      if (action && (action.endsWith('.') ? !entry.action.startsWith(action) : entry.action !== action)) return false;
+      if (target && entry.target !== target) return false;
+      if (success !== undefined && success !== '' && entry.success !== (success === true || success === 'true')) return false;
+
+      const time = new Date(entry.timestamp).getTime();
+      if (fromTime && time < fromTime) return false;
+      if (toTime && time > toTime) return false;
+
+      return true;
+    });
+  }
+
+  async query(filters = {}, { page = 1, limit = 50 } = {}) {
+    const entries = this.filterEntries(await this.readEntries(), filters).reverse(); // Newest first
+
+    const safeLimit = Math.min(Math.max(parseInt(limit) || 50, 1), 500);
+    const safePage = Math.max(parseInt(page) || 1, 1);
+    const start = (safePage - 1) * safeLimit;
+
+    return {
+      entries: entries.slice(start, start + safeLimit),
+      total: entries.length,
+      page: safePage,
+      limit: safeLimit,
+      totalPages: Math.ceil(entries.length / safeLimit)
+    };
+  }
+
+  async exportEntries(filters = {}, format = 'json') {
+    const entries = this.filterEntries(await this.readEntries(), filters);
+
+    if (format !== 'csv') {
+      return JSON.stringify(entries, null, 2);
+    }
+
+    const rows = entries.map(entry => [
+      entry.id,
+      entry.timestamp,
+      entry.actor?.id,
+      entry.actor?.login,
+      entry.action,
+      entry.target,
+      entry.success,
+      entry.ip,
+      entry.error,
+      entry.before,
+      entry.after
+    ].map(toCsvValue).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\n');
+  }
+}
+
+export default AuditService;
@@ -0,0 +1,29 @@
+import OAuthProvider from './oauthProvider.js';
+
+class GitHubProvider extends OAuthProvider {
+  constructor(config) {
+    super('github', 'GitHub', config);
+
+    // Matches the callback URL already registered on existing GitHub OAuth apps
+    this.callbackPath = config.callbackPath || '/auth/callback';
+  }
+
+  normalizeProfile(profile) {
+    if (!profile.id) {
+      throw new Error('GitHub profile has no id');
+    }
+
+    return {
+      id: `github:${profile.id}`,
+      provider: 'github',
+      providerId: profile.id.toString(),
+      login: profile.login,
+      name: profile.name || profile.login,
+      avatar_url: profile.avatar_url,
+      html_url: profile.html_url,
+      email: profile.email
+    };
+  }
+}
+
+export default GitHubProvider;
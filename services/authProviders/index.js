@@ -0,0 +1,35 @@
+// Login provider registry
+// Every provider is served by the same /auth/:provider and /auth/:provider/callback routes
+
+import { getOAuthConfig } from '../../config/oauth.js';
+import GitHubProvider from './githubProvider.js';
+import OIDCProvider from './oidcProvider.js';
+import LocalProvider from './localProvider.js';
+
+let PROVIDERS = null;
+
+// Lazy loading function to ensure environment variables are loaded
+const getProviders = () => {
+  if (!PROVIDERS) {
+    const config = getOAuthConfig();
+    PROVIDERS = {
+      github: new GitHubProvider(config.github),
+      oidc: new OIDCProvider(config.oidc),
+      local: new LocalProvider(config.local)
+    };
+  }
+  return PROVIDERS;
+};
+
+// Get an enabled provider by name (null if unknown or not configured)
+const getProvider = (name) => {
+  const provider = getProviders()[name];
+  return provider && provider.isEnabled() ? provider : null;
+};
+
+const getEnabledProviders = () => Object.values(getProviders()).filter(provider => provider.isEnabled());
+
+export {
+  getProvider,
+  getEnabledProviders
+};
@@ -0,0 +1,77 @@
+import fs from 'fs-extra';
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Hash format: scrypt$<salt>$<hash> (base64url)
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64url')}$${hash.toString('base64url')}`;
+};
+
+const verifyPassword = async (password, storedHash) => {
+  const [scheme, salt, hash] = (storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64url');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64url'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Username/password provider for self-hosted installs
+// Users live in a JSON file: [{ "username", "passwordHash", "name" }]
+class LocalProvider {
+  constructor(config) {
+    this.name = 'local';
+    this.displayName = config.displayName || 'Username & Password';
+    this.type = 'credentials';
+    this.config = config;
+    this.callbackPath = '/auth/local/callback';
+  }
+
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  async readUsers() {
+    if (!(await fs.pathExists(this.config.usersFile))) {
+      return [];
+    }
+    return fs.readJson(this.config.usersFile);
+  }
+
+  // Returns a normalized user profile or null for bad credentials
+  async authenticate({ username, password }) {
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return null;
+    }
+
+    const users = await this.readUsers();
+    const user = users.find(u => u.username === username.trim());
+
+    // Hash anyway so unknown usernames take as long as wrong passwords
+    const valid = user
+      ? await verifyPassword(password, user.passwordHash)
+      : (await hashPassword(password), false);
+
+    if (!valid) {
+      return null;
+    }
+
+    return {
+      id: `local:${user.username}`,
+      provider: 'local',
+      providerId: user.username,
+      login: user.username,
+      name: user.name || user.username,
+      avatar_url: null,
+      html_url: null,
+      email: user.email || null
+    };
+  }
+}
+
+export { hashPassword, verifyPassword };
+export default LocalProvider;
@@ -0,0 +1,107 @@
+// Base class for redirect-based (OAuth 2.0 authorization code) login providers
+
+class OAuthProvider {
+  constructor(name, displayName, config) {
+    this.name = name;
+    this.displayName = displayName;
+    this.type = 'redirect';
+    this.config = config;
+    this.callbackPath = `/auth/${name}/callback`;
+  }
+
+  isEnabled() {
+    return !!(this.config.clientId && this.config.clientSecret);
+  }
+
+  get usesPKCE() {
+    return this.config.usePKCE !== false;
+  }
+
+  // Returns { authorizeUrl, tokenUrl, userUrl }
+  async getEndpoints() {
+    return {
+      authorizeUrl: this.config.authorizeUrl,
+      tokenUrl: this.config.tokenUrl,
+      userUrl: this.config.userUrl
+    };
+  }
+
+  async fetchJson(url, options = {}, timeout = 10000) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await fetch(url, { ...options, signal: controller.signal });
+      return await response.json();
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  async getAuthorizationUrl({ state, redirectUri, codeChallenge }) {
+    const { authorizeUrl } = await this.getEndpoints();
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.config.clientId,
+      redirect_uri: redirectUri,
+      scope: this.config.scope,
+      state
+    });
+
+    if (codeChallenge) {
+      params.set('code_challenge', codeChallenge);
+      params.set('code_challenge_method', 'S256');
+    }
+
+    return `${authorizeUrl}?${params.toString()}`;
+  }
+
+  // Exchange the authorization code and load the user's profile
+  async handleCallback({ code, redirectUri, codeVerifier }) {
+    const { tokenUrl, userUrl } = await this.getEndpoints();
+
+    const tokenRequest = new URLSearchParams({
+      grant_type: 'authorization_code',
+      client_id: this.config.clientId,
+      client_secret: this.config.clientSecret,
+      code,
+      redirect_uri: redirectUri
+    });
+
+    if (codeVerifier) {
+      tokenRequest.set('code_verifier', codeVerifier);
+    }
+
+    const tokenData = await this.fetchJson(tokenUrl, {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: tokenRequest.toString()
+    });
+
+    if (!tokenData.access_token) {
+      const error = new Error(tokenData.error_description || tokenData.error || 'No access token returned');
+      error.code = 'token_error';
+      throw error;
+    }
+
+    const profile = await this.fetchJson(userUrl, {
+      headers: {
+        'Authorization': `Bearer ${tokenData.access_token}`,
+        'Accept': 'application/json',
+      }
+    });
+
+    return this.normalizeProfile(profile);
+  }
+
+  // Map a provider profile to { id, provider, providerId, login, name, avatar_url, html_url, email }
+  normalizeProfile(profile) {
+    throw new Error(`${this.name} provider must implement normalizeProfile`);
+  }
+}
+
+export default OAuthProvider;
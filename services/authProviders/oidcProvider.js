@@ -0,0 +1,48 @@
+import OAuthProvider from './oauthProvider.js';
+
+// Generic OpenID Connect provider (Keycloak, Authentik, Google, Auth0, ...)
+// Endpoints come from the issuer's discovery document unless overridden
+class OIDCProvider extends OAuthProvider {
+  constructor(config) {
+    super('oidc', config.displayName || 'OpenID Connect', config);
+    this.discovery = null;
+  }
+
+  isEnabled() {
+    return !!(this.config.issuer && this.config.clientId && this.config.clientSecret);
+  }
+
+  async getEndpoints() {
+    if (!this.discovery) {
+      const issuer = this.config.issuer.replace(/\/$/, '');
+      this.discovery = await this.fetchJson(`${issuer}/.well-known/openid-configuration`);
+    }
+
+    return {
+      authorizeUrl: this.config.authorizeUrl || this.discovery.authorization_endpoint,
+      tokenUrl: this.config.tokenUrl || this.discovery.token_endpoint,
+      userUrl: this.config.userUrl || this.discovery.userinfo_endpoint
+    };
+  }
+
+  normalizeProfile(profile) {
+    if (!profile.sub) {
+      throw new Error('OIDC userinfo has no subject');
+    }
+
+    const login = profile.preferred_username || profile.email || profile.sub;
+
+    return {
+      id: `oidc:${profile.sub}`,
+      provider: 'oidc',
+      providerId: profile.sub,
+      login,
+      name: profile.name || login,
+      avatar_url: profile.picture || null,
+      html_url: profile.profile || null,
+      email: profile.email || null
+    };
+  }
+}
+
+export default OIDCProvider;
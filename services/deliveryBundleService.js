@@ -0,0 +1,347 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Clean logging system with colors and timestamps
+const getTimestamp = () => new Date().toTimeString().split(' ')[0] + '.' + new Date().getMilliseconds().toString().padStart(3, '0');
+
+const log = {
+    info: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[36m[INFO]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
+    success: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[32m[SUCCESS]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
+    warn: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[33m[WARN]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
+    error: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[31m[ERROR]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
+    debug: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[35m[DEBUG]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`)
+};
+
+// Step types and the fields each one accepts (besides id, type, enabled, ephemeral, retries)
+// - session-id: the session ID as plain text
+// - welcome:    the rendered welcome template
+// - text:       { body } with the welcome placeholders
+// - image:      { media | url, caption }
+// - document:   { source: creds | media | url, media | url, fileName, caption }
+// - links:      { title, links: [{ label, url }] } sent as one text message
+//   (interactive buttons are not delivered to regular WhatsApp accounts, so links are plain text)
+const STEP_TYPES = ['session-id', 'welcome', 'text', 'image', 'document', 'links'];
+const DOCUMENT_SOURCES = ['creds', 'media', 'url'];
+
+// Same two messages the service always sent: session ID (disappears after 24h), then the welcome
+const DEFAULT_BUNDLE = {
+  steps: [
+    { id: 'session-id', type: 'session-id', enabled: true, ephemeral: 86400, retries: 2 },
+    { id: 'welcome', type: 'welcome', enabled: true, ephemeral: 0, retries: 2 }
+  ]
+};
+
+const MAX_STEPS = 20;
+const MAX_RETRIES = 5;
+const MAX_MEDIA_SIZE = 16 * 1024 * 1024; // WhatsApp's limit for images and videos
+
+const STEP_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const MEDIA_NAME_PATTERN = /^[\w][\w.-]{0,99}$/;
+
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.json': 'application/json',
+  '.zip': 'application/zip'
+};
+
+// Optional text fields of a step must be strings when given
+const isOptionalText = (value) => value === undefined || value === null || typeof value === 'string';
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Post-Link Delivery Bundle
+ *
+ * Admin-configured sequence of messages sent to a freshly linked account: text, images,
+ * documents and links, each with its own disappearing-message setting and retry budget.
+ * Media files live in data/delivery-media and are referenced by file name.
+ */
+class DeliveryBundleService {
+  constructor({ welcomeTemplateService = null } = {}) {
+    this.welcomeTemplateService = welcomeTemplateService;
+    this.bundleFile = path.join(__dirname, '../data/delivery-bundle.json');
+    this.mediaDir = path.join(__dirname, '../data/delivery-media');
+    this.initialized = false;
+    this.initPromise = this.initialize();
+  }
+
+  async initialize() {
+    try {
+      await this.ensureDataDir();
+      this.initialized = true;
+      log.success('Delivery Bundle Service ready');
+    } catch (error) {
+      log.error('Delivery Bundle Service init failed:', error.message);
+    }
+  }
+
+  async ensureInitialized() {
+    if (!this.initialized) {
+      await this.initPromise;
+    }
+  }
+
+  async ensureDataDir() {
+    await fs.ensureDir(this.mediaDir);
+
+    if (!(await fs.pathExists(this.bundleFile))) {
+      await fs.writeJson(this.bundleFile, DEFAULT_BUNDLE, { spaces: 2 });
+    }
+  }
+
+  async getBundle() {
+    await this.ensureInitialized();
+    try {
+      return await fs.readJson(this.bundleFile);
+    } catch (error) {
+      log.error('Error reading delivery bundle:', error.message);
+      return DEFAULT_BUNDLE;
+    }
+  }
+
+  // Steps that will actually be sent, in order
+  async getActiveSteps() {
+    const { steps } = await this.getBundle();
+    return steps.filter(step => step.enabled !== false);
+  }
+
+  // Replace the whole sequence (validated as a unit so a bad step never half-applies)
+  async saveSteps(steps, updatedBy = null) {
+    try {
+      const normalized = await this.validateSteps(steps);
+      const previous = await this.getBundle();
+      const bundle = { steps: normalized, updatedBy, updatedAt: new Date().toISOString() };
+
+      await fs.writeJson(this.bundleFile, bundle, { spaces: 2 });
+      log.debug('Delivery bundle saved:', `${normalized.length} steps`);
+      return { bundle, previous };
+    } catch (error) {
+      log.error('Error saving delivery bundle:', error.message);
+      throw error;
+    }
+  }
+
+  async resetSteps(updatedBy = null) {
+    return this.saveSteps(DEFAULT_BUNDLE.steps, updatedBy);
+  }
+
+  async validateSteps(steps) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw new Error('steps must be a non-empty array');
+    }
+
+    if (steps.length > MAX_STEPS) {
+      throw new Error(`A bundle can have at most ${MAX_STEPS} steps`);
+    }
+
+    const ids = new Set();
+    const normalized = [];
+
+    for (const step of steps) {
+      if (!step || typeof step !== 'object' || Array.isArray(step)) {
+        throw new Error('Every step must be an object');
+      }
+
+      const label = step.id || step.type || 'step';
+
+      if (!STEP_ID_PATTERN.test(step.id || '')) {
+        throw new Error(`Invalid step id: ${label} (lowercase letters, digits and dashes)`);
+      }
+      if (ids.has(step.id)) {
+        throw new Error(`Duplicate step id: ${step.id}`);
+      }
+      ids.add(step.id);
+
+      if (!STEP_TYPES.includes(step.type)) {
+        throw new Error(`Unknown step type for ${label}: ${step.type}`);
+      }
+
+      const ephemeral = parseInt(step.ephemeral) || 0;
+      const retries = step.retries === undefined ? 2 : parseInt(step.retries);
+      if (ephemeral < 0 || Number.isNaN(retries) || retries < 0 || retries > MAX_RETRIES) {
+        throw new Error(`Invalid ephemeral or retries for ${label} (retries 0-${MAX_RETRIES})`);
+      }
+
+      const base = { id: step.id, type: step.type, enabled: step.enabled !== false, ephemeral, retries };
+      normalized.push({ ...base, ...(await this.validateStepFields(step, label)) });
+    }
+
+    return normalized;
+  }
+
+  async validateStepFields(step, label) {
+    const textField = ['body', 'caption', 'title', 'fileName'].find(field => !isOptionalText(step[field]));
+    if (textField) {
+      throw new Error(`Step ${label}: ${textField} must be a string`);
+    }
+
+    switch (step.type) {
+      case 'text':
+        if (!step.body?.trim()) {
+          throw new Error(`Step ${label} needs a body`);
+        }
+        return { body: step.body };
+
+      case 'image':
+        await this.validateSource(step, label);
+        return { media: step.media || null, url: step.url || null, caption: step.caption || '' };
+
+      case 'document':
+        if (!DOCUMENT_SOURCES.includes(step.source)) {
+          throw new Error(`Step ${label} needs a source (${DOCUMENT_SOURCES.join(', ')})`);
+        }
+        if (step.source !== 'creds') {
+          await this.validateSource(step, label);
+        }
+        return {
+          source: step.source,
+          media: step.source === 'media' ? step.media : null,
+          url: step.source === 'url' ? step.url : null,
+          fileName: step.fileName || null,
+          caption: step.caption || ''
+        };
+
+      case 'links':
+        if (!Array.isArray(step.links) || step.links.length === 0
+          || !step.links.every(link => typeof link?.label === 'string' && link.label && typeof link.url === 'string' && isHttpUrl(link.url))) {
+          throw new Error(`Step ${label} needs links with a label and an http(s) url`);
+        }
+        return { title: step.title || '', links: step.links.map(({ label: text, url }) => ({ label: text, url })) };
+
+      default:
+        return {};
+    }
+  }
+
+  async validateSource(step, label) {
+    if (step.media) {
+      if (!MEDIA_NAME_PATTERN.test(step.media) || !(await fs.pathExists(path.join(this.mediaDir, step.media)))) {
+        throw new Error(`Step ${label} references unknown media: ${step.media}`);
+      }
+    } else if (!isHttpUrl(step.url || '')) {
+      throw new Error(`Step ${label} needs an uploaded media file or an http(s) url`);
+    }
+  }
+
+  // Media Files
+  async listMedia() {
+    await this.ensureInitialized();
+    const files = await fs.readdir(this.mediaDir);
+
+    return Promise.all(files.filter(name => MEDIA_NAME_PATTERN.test(name)).map(async name => {
+      const stats = await fs.stat(path.join(this.mediaDir, name));
+      return { name, size: stats.size, mimetype: this.getMimeType(name), updatedAt: stats.mtime.toISOString() };
+    }));
+  }
+
+  async saveMedia(name, buffer) {
+    if (!MEDIA_NAME_PATTERN.test(name || '')) {
+      throw new Error('Invalid file name');
+    }
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+      throw new Error('File content is required');
+    }
+    if (buffer.length > MAX_MEDIA_SIZE) {
+      throw new Error('File is too large (max 16 MB)');
+    }
+
+    await this.ensureInitialized();
+    await fs.writeFile(path.join(this.mediaDir, name), buffer);
+    return { name, size: buffer.length, mimetype: this.getMimeType(name) };
+  }
+
+  async deleteMedia(name) {
+    const filePath = path.join(this.mediaDir, name);
+
+    if (!MEDIA_NAME_PATTERN.test(name || '') || !(await fs.pathExists(filePath))) {
+      throw new Error('Media not found');
+    }
+
+    const { steps } = await this.getBundle();
+    const usedBy = steps.filter(step => step.media === name).map(step => step.id);
+    if (usedBy.length > 0) {
+      throw new Error(`Media is used by steps: ${usedBy.join(', ')}`);
+    }
+
+    await fs.remove(filePath);
+  }
+
+  getMimeType(name) {
+    return MIME_TYPES[path.extname(name).toLowerCase()] || 'application/octet-stream';
+  }
+
+  // Build the Baileys message for a step
+  // context: { sessionId, name, phone, locale, welcomeText, credsBuffer }
+  async buildMessage(step, context) {
+    const render = (text) => (text
+      ? this.welcomeTemplateService.render(text, context.locale || 'en', {
+        name: context.name,
+        sessionId: context.sessionId,
+        phone: context.phone
+      })
+      : undefined);
+
+    const source = async () => (step.media
+      ? fs.readFile(path.join(this.mediaDir, step.media))
+      : { url: step.url });
+
+    switch (step.type) {
+      case 'session-id':
+        return { text: context.sessionId };
+
+      case 'welcome':
+        return { text: context.welcomeText };
+
+      case 'text':
+        return { text: render(step.body) };
+
+      case 'image':
+        return { image: await source(), caption: render(step.caption) };
+
+      case 'document':
+        if (step.source === 'creds') {
+          return {
+            document: context.credsBuffer,
+            fileName: step.fileName || 'creds.json',
+            mimetype: 'application/json',
+            caption: render(step.caption)
+          };
+        }
+        return {
+          document: await source(),
+          fileName: step.fileName || step.media || path.basename(new URL(step.url).pathname) || 'document',
+          mimetype: this.getMimeType(step.fileName || step.media || step.url),
+          caption: render(step.caption)
+        };
+
+      case 'links':
+        return {
+          text: [render(step.title), ...step.links.map(link => `• ${link.label}: ${link.url}`)]
+            .filter(Boolean)
+            .join('\n')
+        };
+
+      default:
+        throw new Error(`Unknown step type: ${step.type}`);
+    }
+  }
+}
+
+export default DeliveryBundleService;
@@ -0,0 +1,303 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import nodemailer from 'nodemailer';
+import { Agent, fetch } from 'undici';
+import { getFallbackConfig } from '../config/fallback.js';
+
+// Clean logging system with colors and timestamps
+const getTimestamp = () => new Date().toTimeString().split(' ')[0] + '.' + new Date().getMilliseconds().toString().padStart(3, '0');
+
+const log = {
+    info: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[36m[INFO]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
+    success: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[32m[SUCCESS]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
+    warn: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[33m[WARN]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
+    error: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[31m[ERROR]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
+    debug: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[35m[DEBUG]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`)
+};
+
+const EMAIL_PATTERN = /^[^\s@]{1,64}@[^\s@]+\.[^\s@]{2,}$/;
+
+// Webhooks must not point back into the server's own network (private, loopback, link-local,
+// shared, benchmark, documentation, multicast and reserved ranges)
+// BlockList checks IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) against the IPv4 ranges
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64],
+  ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => PRIVATE_RANGES.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+
+const isPrivateHost = (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) {
+    return true;
+  }
+
+  return net.isIP(host) !== 0 && isPrivateAddress(host);
+};
+
+// Resolve the webhook host once when sending and check every address
+// Returns [{ address, family }] - the connection is pinned to these (see sendWebhook),
+// so a host that re-resolves to a private address (DNS rebinding) is never reached
+const resolvePublicHost = async (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '');
+
+  if (isPrivateHost(host)) {
+    throw new Error('Webhook host is a private address');
+  }
+  if (net.isIP(host) !== 0) {
+    return [{ address: host, family: net.isIP(host) }];
+  }
+
+  const addresses = await dns.promises.lookup(host, { all: true });
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error('Webhook host resolves to a private address');
+  }
+  return addresses;
+};
+
+const maskEmail = (email) => {
+  const [local, domain] = email.split('@');
+  return `${local.slice(0, 1)}***@${domain}`;
+};
+
+/**
+ * Fallback Delivery Channels
+ *
+ * Delivers the session ID when the WhatsApp self-message fails, so a linked session
+ * is kept instead of discarded. Channels are registered by the creator when linking:
+ * - socket:  the Socket.IO client waiting in the session room ('session-fallback' event)
+ * - webhook: POST JSON to an https URL, signed with HMAC-SHA256 keyed by sha256(claimToken)
+ * - email:   a plain text email through the configured SMTP server
+ */
+class FallbackDeliveryService {
+  constructor(io) {
+    this.io = io;
+    this.transporter = null;
+    this.emailsSent = new Map(); // Recipient -> send timestamps within the rate limit window
+  }
+
+  getAvailableChannels() {
+    return getFallbackConfig().channels;
+  }
+
+  // Validate the creator's channels: { socket: true, webhookUrl, email }
+  // Returns the normalized channels, or null when none were requested
+  validateChannels(input) {
+    if (input === undefined || input === null) {
+      return null;
+    }
+
+    if (typeof input !== 'object' || Array.isArray(input)) {
+      throw new Error('fallback must be an object with socket, webhookUrl or email');
+    }
+
+    const { channels, allowHttpWebhooks } = getFallbackConfig();
+    const requireChannel = (channel) => {
+      if (!channels.includes(channel)) {
+        throw new Error(`Fallback channel not available: ${channel}`);
+      }
+    };
+
+    const normalized = {};
+
+    if (input.socket === true) {
+      requireChannel('socket');
+      normalized.socket = true;
+    }
+
+    if (input.webhookUrl) {
+      requireChannel('webhook');
+
+      let url;
+      try {
+        url = new URL(input.webhookUrl);
+      } catch (error) {
+        throw new Error('Invalid fallback webhook URL');
+      }
+
+      const protocols = allowHttpWebhooks ? ['https:', 'http:'] : ['https:'];
+      if (!protocols.includes(url.protocol) || url.username || url.password) {
+        throw new Error(`Fallback webhook URL must use ${allowHttpWebhooks ? 'http(s)' : 'https'} without credentials`);
+      }
+      if (isPrivateHost(url.hostname)) {
+        throw new Error('Fallback webhook URL must not point to a private address');
+      }
+
+      normalized.webhookUrl = url.toString();
+    }
+
+    if (input.email) {
+      requireChannel('email');
+
+      if (typeof input.email !== 'string' || input.email.length > 254 || !EMAIL_PATTERN.test(input.email)) {
+        throw new Error('Invalid fallback email address');
+      }
+
+      normalized.email = input.email.trim().toLowerCase();
+    }
+
+    return Object.keys(normalized).length > 0 ? normalized : null;
+  }
+
+  // Try every registered channel (they are independent, one success is enough)
+  // Returns { status: delivered | failed, deliveredVia, channels: [{ channel, target, status, error, at }] }
+  async deliver(sessionId, channels, { claimTokenHash = null, phone = null, reason = null } = {}) {
+    const payload = {
+      event: 'session.linked',
+      sessionId,
+      phone,
+      reason,
+      linkedAt: new Date().toISOString()
+    };
+
+    const attempts = [];
+    if (channels.socket) {
+      attempts.push({ channel: 'socket', target: 'socket', send: () => this.sendSocket(sessionId, payload) });
+    }
+    if (channels.webhookUrl) {
+      attempts.push({
+        channel: 'webhook',
+        target: new URL(channels.webhookUrl).origin,
+        send: () => this.sendWebhook(channels.webhookUrl, payload, claimTokenHash)
+      });
+    }
+    if (channels.email) {
+      attempts.push({ channel: 'email', target: maskEmail(channels.email), send: () => this.sendEmail(channels.email, payload) });
+    }
+
+    const results = [];
+    for (const { channel, target, send } of attempts) {
+      try {
+        await send();
+        results.push({ channel, target, status: 'sent', error: null, at: new Date().toISOString() });
+        log.success(`Fallback delivered via ${channel}:`, sessionId);
+      } catch (error) {
+        results.push({ channel, target, status: 'failed', error: error.message, at: new Date().toISOString() });
+        log.warn(`Fallback ${channel} failed (${sessionId}):`, error.message);
+      }
+    }
+
+    const deliveredVia = results.filter(r => r.status === 'sent').map(r => r.channel);
+    return {
+      status: deliveredVia.length > 0 ? 'delivered' : 'failed',
+      deliveredVia,
+      channels: results
+    };
+  }
+
+  async sendSocket(sessionId, payload) {
+    const sockets = await this.io.in(sessionId).fetchSockets();
+
+    if (sockets.length === 0) {
+      throw new Error('No client is waiting for this session');
+    }
+
+    this.io.to(sessionId).emit('session-fallback', payload);
+  }
+
+  async sendWebhook(webhookUrl, payload, claimTokenHash) {
+    const body = JSON.stringify(payload);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Vinsmoke-Session-Webhook',
+      'X-Vinsmoke-Event': payload.event
+    };
+
+    // The creator can verify the sender: key = hex SHA-256 of their claim token
+    if (claimTokenHash) {
+      headers['X-Vinsmoke-Signature'] = `sha256=${crypto.createHmac('sha256', claimTokenHash).update(body).digest('hex')}`;
+    }
+
+    // Connect only to the addresses checked above instead of letting fetch resolve the name again
+    const addresses = await resolvePublicHost(new URL(webhookUrl).hostname);
+    const dispatcher = new Agent({
+      connect: {
+        lookup: (hostname, options, callback) => options?.all
+          ? callback(null, addresses)
+          : callback(null, addresses[0].address, addresses[0].family)
+      }
+    });
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), getFallbackConfig().webhookTimeout);
+
+    try {
+      // Redirects are not followed: the target could be any (private) address
+      const response = await fetch(webhookUrl, {
+        method: 'POST',
+        headers,
+        body,
+        redirect: 'manual',
+        dispatcher,
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`Webhook responded with ${response.status}`);
+      }
+    } finally {
+      clearTimeout(timeoutId);
+      await dispatcher.close().catch(() => {});
+    }
+  }
+
+  // Recipients are chosen by whoever links a session, so each address gets a few mails per window at most
+  checkEmailRateLimit(email) {
+    const { emailLimit, emailWindow } = getFallbackConfig();
+    const now = Date.now();
+
+    for (const [recipient, sentAt] of this.emailsSent) {
+      const recent = sentAt.filter(time => now - time < emailWindow);
+      if (recent.length > 0) {
+        this.emailsSent.set(recipient, recent);
+      } else {
+        this.emailsSent.delete(recipient);
+      }
+    }
+
+    const sentAt = this.emailsSent.get(email) || [];
+    if (sentAt.length >= emailLimit) {
+      throw new Error('Too many fallback emails to this address, try again later');
+    }
+    this.emailsSent.set(email, [...sentAt, now]);
+  }
+
+  async sendEmail(email, payload) {
+    const { smtp } = getFallbackConfig();
+    this.checkEmailRateLimit(email);
+
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: smtp.host,
+        port: smtp.port,
+        secure: smtp.secure,
+        auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+      });
+    }
+
+    await this.transporter.sendMail({
+      from: smtp.from,
+      to: email,
+      subject: 'Your Vinsmoke session ID',
+      text: [
+        'Your WhatsApp account was linked, but we could not message you on WhatsApp.',
+        '',
+        'Session ID:',
+        payload.sessionId,
+        '',
+        'Keep it private: anyone with this ID and its claim token can download the session.'
+      ].join('\n')
+    });
+  }
+}
+
+export default FallbackDeliveryService;
@@ -0,0 +1,237 @@
+// Filesystem session store (default)
+// Auth files in sessions/<sessionId>/, tracking in data/session-tracking.json
+// Tracking writes go through a temp file + rename and roll the previous version into
+// session-tracking.json.bak; a corrupt file is set aside and restored from that backup
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import SessionStore from './sessionStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Clean logging system with colors and timestamps
+const getTimestamp = () => new Date().toTimeString().split(' ')[0] + '.' + new Date().getMilliseconds().toString().padStart(3, '0');
+
+const log = {
+    info: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[36m[INFO]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
+    success: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[32m[SUCCESS]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
+    warn: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[33m[WARN]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
+    error: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[31m[ERROR]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
+    debug: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[35m[DEBUG]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`)
+};
+
+const isValidTracking = (data) => !!data && typeof data === 'object' && Array.isArray(data.sessions);
+
+// Broken content (bad JSON, wrong shape) or a missing file; I/O errors such as EMFILE,
+// EACCES or EBUSY say nothing about the content and are rethrown instead of recovered
+const isUnusableTracking = (error) => error instanceof SyntaxError
+  || error.code === 'INVALID_TRACKING'
+  || error.code === 'ENOENT';
+
+// Write through a temp file so a crash never leaves a half-written file
+// sync flushes the data to disk before the rename (tracking), key files skip it for speed
+const writeFileAtomic = async (filePath, content, { sync = false } = {}) => {
+  const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+  try {
+    const handle = await fs.promises.open(tempPath, 'w');
+    try {
+      await handle.writeFile(content);
+      if (sync) {
+        await handle.sync();
+      }
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.remove(tempPath).catch(() => {});
+    throw error;
+  }
+};
+
+class FsSessionStore extends SessionStore {
+  constructor({ sessionsDir, trackingFile } = {}) {
+    super('fs');
+    this.sessionsDir = sessionsDir || path.join(__dirname, '../../sessions');
+    this.trackingFile = trackingFile || path.join(__dirname, '../../data/session-tracking.json');
+    this.backupFile = `${this.trackingFile}.bak`;
+    this.recovery = null; // Pending recovery, shared by every reader that hit the corrupt file
+  }
+
+  async initialize() {
+    await fs.ensureDir(this.sessionsDir);
+    await fs.ensureDir(path.dirname(this.trackingFile));
+    await this.removeTempFiles();
+
+    // First start; a missing file with a backup next to it is recovered below
+    if (!(await fs.pathExists(this.trackingFile)) && !(await fs.pathExists(this.backupFile))) {
+      await writeFileAtomic(this.trackingFile, JSON.stringify({ sessions: [] }), { sync: true });
+    }
+
+    // Recover a corrupt file now instead of on the first request
+    await this.readTracking();
+  }
+
+  // Temp files of tracking writes interrupted by a crash
+  async removeTempFiles() {
+    const dataDir = path.dirname(this.trackingFile);
+    const prefix = `${path.basename(this.trackingFile)}.`;
+
+    for (const name of await fs.readdir(dataDir)) {
+      if (name.startsWith(prefix) && name.endsWith('.tmp')) {
+        await fs.remove(path.join(dataDir, name));
+      }
+    }
+  }
+
+  // Tracking
+
+  async listSessions() {
+    const tracking = await this.readTracking();
+    return tracking.sessions;
+  }
+
+  async applyTrackingUpdate(mutator) {
+    const tracking = await this.readTracking();
+    const result = await mutator(tracking);
+    await this.writeTracking(tracking);
+    return result;
+  }
+
+  async readTrackingFile(filePath) {
+    const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    if (!isValidTracking(data)) {
+      const error = new Error('No sessions array');
+      error.code = 'INVALID_TRACKING';
+      throw error;
+    }
+    return data;
+  }
+
+  async readTracking() {
+    try {
+      return await this.readTrackingFile(this.trackingFile);
+    } catch (error) {
+      if (!isUnusableTracking(error)) {
+        throw error;
+      }
+
+      if (!this.recovery) {
+        this.recovery = this.recoverTracking(error).finally(() => {
+          this.recovery = null;
+        });
+      }
+      return structuredClone(await this.recovery);
+    }
+  }
+
+  // The current file becomes the backup, then the new content replaces it in one rename
+  async writeTracking(tracking) {
+    if (await fs.pathExists(this.trackingFile)) {
+      await writeFileAtomic(this.backupFile, await fs.readFile(this.trackingFile));
+    }
+    await writeFileAtomic(this.trackingFile, JSON.stringify(tracking, null, 2), { sync: true });
+  }
+
+  // Set the unreadable file aside (kept for inspection) and restore the backup,
+  // or start empty when the backup is unusable too
+  async recoverTracking(error) {
+    log.error('Session tracking unreadable:', error.message);
+
+    if (await fs.pathExists(this.trackingFile)) {
+      const corruptFile = `${this.trackingFile}.corrupt-${Date.now()}`;
+      await fs.move(this.trackingFile, corruptFile);
+      log.warn('Corrupt session tracking kept as:', path.basename(corruptFile));
+    }
+
+    let tracking = { sessions: [] };
+    try {
+      tracking = await this.readTrackingFile(this.backupFile);
+      log.success(`Session tracking restored from backup (${tracking.sessions.length} sessions)`);
+    } catch (backupError) {
+      if (!isUnusableTracking(backupError)) {
+        throw backupError;
+      }
+      log.error('No usable session tracking backup, starting empty:', backupError.message);
+    }
+
+    await writeFileAtomic(this.trackingFile, JSON.stringify(tracking, null, 2), { sync: true });
+    return tracking;
+  }
+
+  // Files
+
+  sessionPath(sessionId) {
+    this.assertSafeName(sessionId, 'session ID');
+    return path.join(this.sessionsDir, sessionId);
+  }
+
+  filePath(sessionId, name) {
+    this.assertSafeName(name);
+    return path.join(this.sessionPath(sessionId), name);
+  }
+
+  async listSessionIds() {
+    const entries = await fs.readdir(this.sessionsDir, { withFileTypes: true });
+    return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+  }
+
+  async listFiles(sessionId) {
+    const sessionPath = this.sessionPath(sessionId);
+    if (!(await fs.pathExists(sessionPath))) {
+      return [];
+    }
+
+    const files = [];
+    for (const name of await fs.readdir(sessionPath)) {
+      // Leftovers of interrupted writes are not part of the auth state
+      if (name.endsWith('.tmp')) continue;
+
+      const stats = await fs.stat(path.join(sessionPath, name));
+      if (stats.isFile()) {
+        files.push({ name, size: stats.size, modified: stats.mtime });
+      }
+    }
+    return files;
+  }
+
+  async statFile(sessionId, name) {
+    try {
+      const stats = await fs.stat(this.filePath(sessionId, name));
+      return stats.isFile() ? { name, size: stats.size, modified: stats.mtime } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async readFile(sessionId, name) {
+    try {
+      return await fs.readFile(this.filePath(sessionId, name));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async writeFile(sessionId, name, data) {
+    const filePath = this.filePath(sessionId, name);
+
+    await fs.ensureDir(path.dirname(filePath));
+    await writeFileAtomic(filePath, data);
+  }
+
+  async removeFile(sessionId, name) {
+    await fs.remove(this.filePath(sessionId, name));
+  }
+
+  async removeFiles(sessionId) {
+    await fs.remove(this.sessionPath(sessionId));
+  }
+}
+
+export default FsSessionStore;
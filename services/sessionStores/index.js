@@ -0,0 +1,24 @@
+// Session store registry
+// The backend is picked by SESSION_STORE (config/storage.js); every store has the SessionStore interface
+
+import { getStorageConfig } from '../../config/storage.js';
+import FsSessionStore from './fsSessionStore.js';
+import SqliteSessionStore from './sqliteSessionStore.js';
+import MemorySessionStore from './memorySessionStore.js';
+
+const STORES = {
+  fs: () => new FsSessionStore(),
+  sqlite: () => new SqliteSessionStore({ filePath: getStorageConfig().sqlitePath }),
+  memory: () => new MemorySessionStore()
+};
+
+// New store instance for the configured (or given) backend
+const createSessionStore = (name = getStorageConfig().store) => {
+  const create = STORES[name];
+  if (!create) {
+    throw new Error(`Unknown session store: ${name}`);
+  }
+  return create();
+};
+
+export { createSessionStore };
@@ -0,0 +1,71 @@
+// In-memory session store
+// Nothing survives a restart; meant for tests and throwaway instances
+
+import SessionStore from './sessionStore.js';
+
+class MemorySessionStore extends SessionStore {
+  constructor() {
+    super('memory');
+    this.sessions = [];
+    this.files = new Map(); // sessionId -> Map(name -> { data, modified })
+  }
+
+  // Tracking (callers get copies, like reading the file would)
+
+  async listSessions() {
+    return structuredClone(this.sessions);
+  }
+
+  async applyTrackingUpdate(mutator) {
+    const tracking = { sessions: structuredClone(this.sessions) };
+    const result = await mutator(tracking);
+    this.sessions = structuredClone(tracking.sessions);
+    return result;
+  }
+
+  // Files
+
+  async listSessionIds() {
+    return [...this.files.keys()];
+  }
+
+  async listFiles(sessionId) {
+    const files = this.files.get(sessionId);
+    if (!files) {
+      return [];
+    }
+
+    return [...files.entries()].map(([name, file]) => ({ name, size: file.data.length, modified: file.modified }));
+  }
+
+  async readFile(sessionId, name) {
+    const file = this.files.get(sessionId)?.get(name);
+    return file ? Buffer.from(file.data) : null;
+  }
+
+  async writeFile(sessionId, name, data) {
+    this.assertSafeName(sessionId, 'session ID');
+    this.assertSafeName(name);
+
+    if (!this.files.has(sessionId)) {
+      this.files.set(sessionId, new Map());
+    }
+    this.files.get(sessionId).set(name, { data: Buffer.from(data), modified: new Date() });
+  }
+
+  async removeFile(sessionId, name) {
+    const files = this.files.get(sessionId);
+    if (!files) return;
+
+    files.delete(name);
+    if (files.size === 0) {
+      this.files.delete(sessionId);
+    }
+  }
+
+  async removeFiles(sessionId) {
+    this.files.delete(sessionId);
+  }
+}
+
+export default MemorySessionStore;
@@ -0,0 +1,116 @@
+// Base class for session storage backends
+// A store keeps two kinds of data:
+// - tracking: one JSON entry per session ({ sessionId, status, claimTokenHash, expiresAt, ... })
+// - files:    the Baileys auth state of each session (creds.json and key files) as raw buffers
+// Backends implement the primitives, the helpers at the bottom build on them
+
+// Session IDs and file names become paths in the filesystem store, so no separators or dot names
+const isSafeName = (name) => typeof name === 'string'
+  && name.length > 0
+  && name.length <= 255
+  && name !== '.'
+  && name !== '..'
+  && !/[/\\\0]/.test(name);
+
+class SessionStore {
+  constructor(name) {
+    this.name = name;
+    this.trackingQueue = Promise.resolve(); // Tail of the pending tracking mutations
+  }
+
+  async initialize() {}
+
+  assertSafeName(name, label = 'file name') {
+    if (!isSafeName(name)) {
+      throw new Error(`Invalid ${label}: ${name}`);
+    }
+  }
+
+  notImplemented(method) {
+    return new Error(`${this.name} session store does not implement ${method}`);
+  }
+
+  // Tracking
+
+  // Every entry, in insertion order
+  async listSessions() {
+    throw this.notImplemented('listSessions');
+  }
+
+  // Read-modify-write of the whole tracking data: mutator(tracking) edits tracking.sessions
+  // in place and its return value is passed through. Mutators must not call the store.
+  // Mutations run one at a time (single writer), so concurrent pairings never lose each other's entries
+  async updateTracking(mutator) {
+    const run = this.trackingQueue.then(() => this.applyTrackingUpdate(mutator));
+    this.trackingQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Backend part of updateTracking: read, run the mutator, persist
+  async applyTrackingUpdate(mutator) {
+    throw this.notImplemented('applyTrackingUpdate');
+  }
+
+  // Files
+
+  // Session IDs that have at least one stored file
+  async listSessionIds() {
+    throw this.notImplemented('listSessionIds');
+  }
+
+  // [{ name, size, modified }] for one session ([] when it has no files)
+  async listFiles(sessionId) {
+    throw this.notImplemented('listFiles');
+  }
+
+  // Raw file content, null when missing
+  async readFile(sessionId, name) {
+    throw this.notImplemented('readFile');
+  }
+
+  async writeFile(sessionId, name, data) {
+    throw this.notImplemented('writeFile');
+  }
+
+  async removeFile(sessionId, name) {
+    throw this.notImplemented('removeFile');
+  }
+
+  // Remove every file of a session
+  async removeFiles(sessionId) {
+    throw this.notImplemented('removeFiles');
+  }
+
+  // Helpers
+
+  async getSession(sessionId) {
+    const sessions = await this.listSessions();
+    return sessions.find(s => s.sessionId === sessionId) || null;
+  }
+
+  // Merge updates into an existing entry; returns the updated entry or null if unknown
+  async updateSession(sessionId, updates) {
+    return this.updateTracking((tracking) => {
+      const session = tracking.sessions.find(s => s.sessionId === sessionId);
+      return session ? Object.assign(session, updates) : null;
+    });
+  }
+
+  async removeSession(sessionId) {
+    return this.updateTracking((tracking) => {
+      tracking.sessions = tracking.sessions.filter(s => s.sessionId !== sessionId);
+    });
+  }
+
+  // { name, size, modified } of one file, null when missing
+  async statFile(sessionId, name) {
+    const files = await this.listFiles(sessionId);
+    return files.find(file => file.name === name) || null;
+  }
+
+  async hasFiles(sessionId) {
+    return (await this.listFiles(sessionId)).length > 0;
+  }
+}
+
+export default SessionStore;
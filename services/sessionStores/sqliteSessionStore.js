@@ -0,0 +1,157 @@
+// SQLite session store
+// Tracking entries and auth files in one database file (better-sqlite3, optional dependency)
+// Each tracking entry is a JSON row; files are BLOBs keyed by (session_id, name)
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import SessionStore from './sessionStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS sessions (
+    session_id TEXT PRIMARY KEY,
+    position INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS session_files (
+    session_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    data BLOB NOT NULL,
+    modified_at TEXT NOT NULL,
+    PRIMARY KEY (session_id, name)
+  );
+`;
+
+class SqliteSessionStore extends SessionStore {
+  constructor({ filePath } = {}) {
+    super('sqlite');
+    this.filePath = filePath || path.join(__dirname, '../../data/sessions.db');
+    this.db = null;
+    this.initPromise = null;
+  }
+
+  // Opened once; every method waits for it so early callers do not race the startup
+  async initialize() {
+    if (!this.initPromise) {
+      this.initPromise = this.open();
+    }
+    return this.initPromise;
+  }
+
+  async open() {
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+      throw new Error('SESSION_STORE=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    await fs.ensureDir(path.dirname(this.filePath));
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+  }
+
+  async getDb() {
+    await this.initialize();
+    return this.db;
+  }
+
+  // Tracking
+
+  async listSessions() {
+    const db = await this.getDb();
+    return db.prepare('SELECT data FROM sessions ORDER BY position').all().map(row => JSON.parse(row.data));
+  }
+
+  // Only rows that changed are written, all in one transaction
+  async applyTrackingUpdate(mutator) {
+    const db = await this.getDb();
+    const rows = db.prepare('SELECT session_id, position, data FROM sessions ORDER BY position').all();
+    const tracking = { sessions: rows.map(row => JSON.parse(row.data)) };
+
+    const result = await mutator(tracking);
+
+    const previous = new Map(rows.map(row => [row.session_id, row]));
+    const upsert = db.prepare(`
+      INSERT INTO sessions (session_id, position, data) VALUES (?, ?, ?)
+      ON CONFLICT(session_id) DO UPDATE SET position = excluded.position, data = excluded.data
+    `);
+    const remove = db.prepare('DELETE FROM sessions WHERE session_id = ?');
+
+    db.transaction(() => {
+      const kept = new Set();
+
+      tracking.sessions.forEach((session, position) => {
+        const data = JSON.stringify(session);
+        const row = previous.get(session.sessionId);
+        kept.add(session.sessionId);
+
+        if (!row || row.position !== position || row.data !== data) {
+          upsert.run(session.sessionId, position, data);
+        }
+      });
+
+      for (const sessionId of previous.keys()) {
+        if (!kept.has(sessionId)) {
+          remove.run(sessionId);
+        }
+      }
+    })();
+
+    return result;
+  }
+
+  // Files
+
+  async listSessionIds() {
+    const db = await this.getDb();
+    return db.prepare('SELECT DISTINCT session_id FROM session_files').all().map(row => row.session_id);
+  }
+
+  async listFiles(sessionId) {
+    const db = await this.getDb();
+    return db.prepare('SELECT name, length(data) AS size, modified_at FROM session_files WHERE session_id = ? ORDER BY name')
+      .all(sessionId)
+      .map(row => ({ name: row.name, size: row.size, modified: new Date(row.modified_at) }));
+  }
+
+  async statFile(sessionId, name) {
+    const db = await this.getDb();
+    const row = db.prepare('SELECT length(data) AS size, modified_at FROM session_files WHERE session_id = ? AND name = ?')
+      .get(sessionId, name);
+    return row ? { name, size: row.size, modified: new Date(row.modified_at) } : null;
+  }
+
+  async readFile(sessionId, name) {
+    const db = await this.getDb();
+    const row = db.prepare('SELECT data FROM session_files WHERE session_id = ? AND name = ?').get(sessionId, name);
+    return row ? row.data : null;
+  }
+
+  async writeFile(sessionId, name, data) {
+    this.assertSafeName(sessionId, 'session ID');
+    this.assertSafeName(name);
+
+    const db = await this.getDb();
+    db.prepare(`
+      INSERT INTO session_files (session_id, name, data, modified_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT(session_id, name) DO UPDATE SET data = excluded.data, modified_at = excluded.modified_at
+    `).run(sessionId, name, Buffer.from(data), new Date().toISOString());
+  }
+
+  async removeFile(sessionId, name) {
+    const db = await this.getDb();
+    db.prepare('DELETE FROM session_files WHERE session_id = ? AND name = ?').run(sessionId, name);
+  }
+
+  async removeFiles(sessionId) {
+    const db = await this.getDb();
+    db.prepare('DELETE FROM session_files WHERE session_id = ?').run(sessionId);
+  }
+}
+
+export default SqliteSessionStore;
@@ -0,0 +1,293 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Clean logging system with colors and timestamps
+const getTimestamp = () => new Date().toTimeString().split(' ')[0] + '.' + new Date().getMilliseconds().toString().padStart(3, '0');
+
+const log = {
+    info: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[36m[INFO]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
+    success: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[32m[SUCCESS]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
+    warn: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[33m[WARN]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
+    error: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[31m[ERROR]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
+    debug: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[35m[DEBUG]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`)
+};
+
+// Shipped English welcome message, used to seed the templates file and as last-resort fallback
+const DEFAULT_WELCOME_MSG = [
+    'Welcome to Vinsmoke Bot!',
+    'Thanks for adding me 🤍',
+    '~----------------------------------~',
+    'I’m still working on it and improving, so you might run into a bug or two. If you do, just report it on my community or contact me and I’ll squash it quickly.',
+    '',
+    '*Community*',
+    'https://t.me/+ajJtuJa1wVxmOTRl',
+    '',
+    '*Need help?*',
+    '• Check the FAQ: https://vinsmoke-ten.vercel.app/faq',
+    '• Having deployment or other issues? Ask in the community, happy to help.',
+    '',
+    '*For developers*',
+    'You can easily create custom commands using plugins.',
+    '• Plugin guide: https://github.com/manjisama1/vinsmoke/blob/main/plugins/z-guide.md',
+    '',
+    'Want to share or try plugins from others?',
+    'Upload them here: https://vinsmoke-ten.vercel.app/plugins',
+    '~----------------------------------~',
+    'Tip: developer or not, you can copy the whole guide into Gemini and ask what command you need (just don’t ask it to make GTA-5).',
+    '',
+    'enjoy !'
+].join('\n');
+
+const DEFAULT_TEMPLATES = {
+  defaultLocale: 'en',
+  templates: [
+    {
+      locale: 'en',
+      name: 'English',
+      countryCodes: [],
+      body: DEFAULT_WELCOME_MSG
+    }
+  ]
+};
+
+// Supported placeholders, e.g. "Hi {name}, your session {sessionId} is ready"
+const PLACEHOLDERS = ['name', 'sessionId', 'phone', 'date'];
+
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+
+const SAMPLE_DATA = {
+  name: 'Sanji',
+  sessionId: 'VINSMOKE@00000000-0000-4000-8000-000000000000',
+  phone: '994403163701'
+};
+
+// Request bodies reach the service as-is, so wrong types are rejected with code INVALID_TEMPLATE (a 400)
+const createTemplateError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_TEMPLATE';
+  return error;
+};
+
+// Text fields must be strings (null/undefined = not given)
+const assertText = (value, field) => {
+  if (value !== undefined && value !== null && typeof value !== 'string') {
+    throw createTemplateError(`${field} must be a string`);
+  }
+};
+
+/**
+ * Welcome Message Templates
+ *
+ * Admin-editable welcome messages sent after a session is linked, one per locale.
+ * The locale comes from the link request or from the phone's country calling code.
+ */
+class WelcomeTemplateService {
+  constructor() {
+    this.templatesFile = path.join(__dirname, '../data/welcome-templates.json');
+    this.initialized = false;
+    this.initPromise = this.initialize();
+  }
+
+  async initialize() {
+    try {
+      await this.ensureDataDir();
+      this.initialized = true;
+      log.success('Welcome Template Service ready');
+    } catch (error) {
+      log.error('Welcome Template Service init failed:', error.message);
+    }
+  }
+
+  async ensureInitialized() {
+    if (!this.initialized) {
+      await this.initPromise;
+    }
+  }
+
+  async ensureDataDir() {
+    const dataDir = path.dirname(this.templatesFile);
+    await fs.ensureDir(dataDir);
+
+    if (!(await fs.pathExists(this.templatesFile))) {
+      await fs.writeJson(this.templatesFile, DEFAULT_TEMPLATES, { spaces: 2 });
+    }
+  }
+
+  async readTemplates() {
+    await this.ensureInitialized();
+    try {
+      return await fs.readJson(this.templatesFile);
+    } catch (error) {
+      log.error('Error reading welcome templates:', error.message);
+      return DEFAULT_TEMPLATES;
+    }
+  }
+
+  async writeTemplates(data) {
+    await fs.writeJson(this.templatesFile, data, { spaces: 2 });
+  }
+
+  async getTemplates() {
+    const data = await this.readTemplates();
+    return { ...data, placeholders: PLACEHOLDERS };
+  }
+
+  async getTemplate(locale) {
+    const data = await this.readTemplates();
+    return data.templates.find(t => t.locale === locale) || null;
+  }
+
+  async saveTemplate(locale, { name, body, countryCodes } = {}, updatedBy = null) {
+    try {
+      if (!LOCALE_PATTERN.test(locale || '')) {
+        throw new Error('Invalid locale (use e.g. en, pt-BR)');
+      }
+
+      assertText(name, 'name');
+      assertText(body, 'body');
+
+      const data = await this.readTemplates();
+      const existing = data.templates.find(t => t.locale === locale);
+
+      if (!existing && !body?.trim()) {
+        throw new Error('Template body is required');
+      }
+
+      if (countryCodes !== undefined && (!Array.isArray(countryCodes) || !countryCodes.every(code => /^\d{1,4}$/.test(code)))) {
+        throw new Error('countryCodes must be an array of calling codes (e.g. ["55", "351"])');
+      }
+
+      const template = {
+        ...existing,
+        locale,
+        name: name?.trim() || existing?.name || locale,
+        countryCodes: countryCodes ?? existing?.countryCodes ?? [],
+        body: body?.trim() ? body : existing.body,
+        updatedBy,
+        updatedAt: new Date().toISOString()
+      };
+
+      data.templates = [...data.templates.filter(t => t.locale !== locale), template];
+      await this.writeTemplates(data);
+
+      log.debug('Welcome template saved:', locale);
+      return { template, previous: existing || null };
+    } catch (error) {
+      log.error('Error saving welcome template:', error.message);
+      throw error;
+    }
+  }
+
+  async deleteTemplate(locale) {
+    try {
+      const data = await this.readTemplates();
+      const existing = data.templates.find(t => t.locale === locale);
+
+      if (!existing) {
+        throw new Error('Template not found');
+      }
+
+      if (locale === data.defaultLocale) {
+        throw new Error('Cannot delete the default template');
+      }
+
+      data.templates = data.templates.filter(t => t.locale !== locale);
+      await this.writeTemplates(data);
+
+      log.debug('Welcome template deleted:', locale);
+      return existing;
+    } catch (error) {
+      log.error('Error deleting welcome template:', error.message);
+      throw error;
+    }
+  }
+
+  async setDefaultLocale(locale) {
+    const data = await this.readTemplates();
+
+    if (!data.templates.some(t => t.locale === locale)) {
+      throw new Error('Template not found');
+    }
+
+    data.defaultLocale = locale;
+    await this.writeTemplates(data);
+    return data.defaultLocale;
+  }
+
+  // Requested locale first (exact, then same language), then the longest matching
+  // country calling code of the phone number, then the default template
+  selectTemplate(data, { locale = null, phone = null } = {}) {
+    const { templates, defaultLocale } = data;
+
+    if (locale) {
+      const language = locale.split('-')[0];
+      const match = templates.find(t => t.locale === locale)
+        || templates.find(t => t.locale === language)
+        || templates.find(t => t.locale.split('-')[0] === language);
+      if (match) return match;
+    }
+
+    if (phone) {
+      const digits = phone.toString().replace(/\D/g, '');
+      const byCountry = templates
+        .flatMap(t => (t.countryCodes || []).map(code => ({ code, template: t })))
+        .filter(({ code }) => digits.startsWith(code))
+        .sort((a, b) => b.code.length - a.code.length)[0];
+      if (byCountry) return byCountry.template;
+    }
+
+    return templates.find(t => t.locale === defaultLocale) || templates[0] || DEFAULT_TEMPLATES.templates[0];
+  }
+
+  // Replace known placeholders, unknown ones are left as written
+  render(body, locale, values = {}) {
+    let date;
+    try {
+      date = new Date().toLocaleDateString(locale, { dateStyle: 'long' });
+    } catch (error) {
+      date = new Date().toISOString().split('T')[0];
+    }
+
+    const data = { date, ...values };
+    return body.replace(/\{(\w+)\}/g, (match, key) => (PLACEHOLDERS.includes(key) && data[key] != null ? data[key] : match));
+  }
+
+  // Welcome text for a linked session: { name, sessionId, phone, locale }
+  async renderWelcome({ locale = null, ...values } = {}) {
+    try {
+      const data = await this.readTemplates();
+      const template = this.selectTemplate(data, { locale, phone: values.phone });
+      return { locale: template.locale, text: this.render(template.body, template.locale, values) };
+    } catch (error) {
+      log.error('Welcome template render failed:', error.message);
+      return { locale: 'en', text: DEFAULT_WELCOME_MSG };
+    }
+  }
+
+  // Render a stored template, or an unsaved body, with sample data
+  async preview({ locale, body, sample = {} } = {}) {
+    assertText(locale, 'locale');
+    assertText(body, 'body');
+    if (!sample || typeof sample !== 'object' || Array.isArray(sample)) {
+      throw createTemplateError('sample must be an object');
+    }
+    Object.entries(sample).forEach(([key, value]) => assertText(value, `sample.${key}`));
+
+    const template = body ? null : await this.getTemplate(locale);
+
+    if (!body && !template) {
+      throw new Error('Template not found');
+    }
+
+    return {
+      locale: locale || 'en',
+      text: this.render(body || template.body, locale || 'en', { ...SAMPLE_DATA, ...sample })
+    };
+  }
+}
+
+export default WelcomeTemplateService;
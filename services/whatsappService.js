@@ -8,54 +8,67 @@
  * - Automatic cleanup every 2 minutes for bad sessions
  * - Only permanent, good sessions are retained
  * - File downloads restricted to creds.json only for security
+ * - Stored creds.json encrypted at rest when CREDS_ENCRYPTION_KEY is set
+ * - Optional keep-alive hosting keeps linked sessions connected and reconnects them
+ * - Liveness verification re-checks stored creds (scheduled or on demand)
+ * - Existing sessions can be imported from creds.json files or ZIP archives
+ * - Stored creds can be exported as a self-contained session string
+ * - Sessions expire at expiresAt (warning, grace, removal) unless renewed
+ * - Linking progress tracked as a state machine ('session-state' events, /status polling)
+ * - Every QR rotation kept with a sequence number and expiry (late joiners, long-poll)
+ * - Welcome message rendered from admin-editable, per-locale templates
+ * - Post-link delivery bundle (text, media, documents, links) with per-step retries and results
+ * - Fallback channels (socket, webhook, email) deliver the session ID when WhatsApp messages fail
+ * - Requests beyond MAX_SESSIONS wait in a bounded FIFO queue (position pushed over Socket.IO)
+ * - Sessions grouped per phone number; re-links keep, supersede or ask about older sessions
+ * - Auth state and tracking kept in a pluggable session store (filesystem, SQLite or memory)
  */
 
 import {
     default as makeWASocket,
     DisconnectReason,
-    useMultiFileAuthState,
     fetchLatestBaileysVersion,
     Browsers,
     jidNormalizedUser
 } from '@whiskeysockets/baileys';
 import QRCode from 'qrcode';
-import fs from 'fs-extra';
-import path from 'path';
+import crypto from 'crypto';
 import pino from 'pino';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import {
+    isEncryptionEnabled,
+    decodeCredsBuffer,
+    parseCredsBuffer,
+    reencryptCreds
+} from '../utils/credsCrypto.js';
+import { useStoreAuthState } from '../utils/storeAuthState.js';
+import { createSessionStore } from './sessionStores/index.js';
+import ConnectionHelper from '../utils/connectionHelper.js';
+import { getHostingConfig } from '../config/hosting.js';
+import { getVerificationConfig } from '../config/verification.js';
+import { getExpiryConfig } from '../config/expiry.js';
+import { encodeSessionString } from '../utils/sessionString.js';
+import { normalizePhoneNumber } from '../utils/phoneNumber.js';
+import { getQueueConfig } from '../config/queue.js';
+import { getRelinkConfig } from '../config/relink.js';
 
 // Clean logging system with colors and timestamps
 const getTimestamp = () => new Date().toTimeString().split(' ')[0] + '.' + new Date().getMilliseconds().toString().padStart(3, '0');
 
+// Linking states that never change again (timed-out can still turn into a late link)
+const FINAL_LINK_STATES = ['stored', 'failed'];
+
+// States in which QR codes can still be issued (QR streams end once a session leaves them)
+const QR_PHASE_STATES = ['created', 'queued', 'awaiting-scan'];
+
+// Baileys QR lifetimes: the first code is valid for 60s, every rotation after it for 20s
+const QR_FIRST_TTL = 60 * 1000;
+const QR_ROTATION_TTL = 20 * 1000;
 
-const WELCOME_MSG = [
-    'Welcome to Vinsmoke Bot!',
-    'Thanks for adding me 🤍',
-    '~----------------------------------~',
-    'I’m still working on it and improving, so you might run into a bug or two. If you do, just report it on my community or contact me and I’ll squash it quickly.',
-    '',
-    '*Community*',
-    'https://t.me/+ajJtuJa1wVxmOTRl',
-    '',
-    '*Need help?*',
-    '• Check the FAQ: https://vinsmoke-ten.vercel.app/faq',
-    '• Having deployment or other issues? Ask in the community, happy to help.',
-    '',
-    '*For developers*',
-    'You can easily create custom commands using plugins.',
-    '• Plugin guide: https://github.com/manjisama1/vinsmoke/blob/main/plugins/z-guide.md',
-    '',
-    'Want to share or try plugins from others?',
-    'Upload them here: https://vinsmoke-ten.vercel.app/plugins',
-    '~----------------------------------~',
-    'Tip: developer or not, you can copy the whole guide into Gemini and ask what command you need (just don’t ask it to make GTA-5).',
-    '',
-    'enjoy !'
-].join('\n');
+// Linking states are kept this long after their last change for polling clients
+const LINK_STATE_TTL = 60 * 60 * 1000;
 
+// Hosting statuses without a socket; the entries stay listed for admins but take no hosting slot
+const ENDED_HOSTED_STATUSES = ['logged_out', 'failed'];
 
 const log = {
     info: (msg, data = '') => console.log(`\x1b[90m${getTimestamp()}\x1b[0m \x1b[36m[INFO]\x1b[0m ${msg}${data ? ` \x1b[90m${data}\x1b[0m` : ''}`),
@@ -66,24 +79,38 @@ const log = {
 };
 
 class WhatsAppService {
-    constructor(io) {
+    constructor(io, { welcomeTemplateService = null, deliveryBundleService = null, fallbackDeliveryService = null, store = null } = {}) {
         this.io = io;
-        this.sessionsDir = path.join(__dirname, '../sessions');
-        this.sessionTrackingFile = path.join(__dirname, '../data/session-tracking.json');
+        this.welcomeTemplateService = welcomeTemplateService;
+        this.deliveryBundleService = deliveryBundleService;
+        this.fallbackDeliveryService = fallbackDeliveryService;
+        this.store = store || createSessionStore(); // Auth files and tracking (SESSION_STORE)
         this.activeSessions = new Map();
+        this.hostedSessions = new Map(); // Keep-alive sessions and their live status
+        this.verificationRun = null; // Last (or current) verify-all run
+        this.verifyingSessions = new Set(); // Sessions with a liveness probe socket open
+        this.linkStates = new Map(); // Linking state machine per in-flight session
+        this.qrStreams = new Map(); // Current QR rotation and long-poll waiters per session
+        this.creationQueue = []; // QR/pairing requests waiting for a free linking slot (FIFO)
+        this.reservedSlots = new Set(); // Sessions whose linking socket is being set up
+        this.queueStarts = []; // Recent dequeue times, for wait estimates
+        this.queueTimer = null;
         this.initialized = false;
         this.initPromise = this.initialize();
-        
-        // Configurable startup message
-        this.startUpMessage = WELCOME_MSG;
     }
 
     async initialize() {
         try {
-            await this.ensureDirectories();
+            await this.store.initialize();
+            log.info(`Session store: ${this.store.name}`);
+            await this.migratePlaintextCreds();
             this.startCleanupTimer();
+            this.startVerificationTimer();
             this.initialized = true;
             log.success('WhatsApp Service ready');
+
+            // Reconnect sessions that were hosted before the restart (in background)
+            this.resumeHostedSessions();
         } catch (error) {
             log.error('Service init failed:', error.message);
         }
@@ -95,15 +122,6 @@ class WhatsAppService {
         }
     }
 
-    async ensureDirectories() {
-        await fs.ensureDir(this.sessionsDir);
-        await fs.ensureDir(path.dirname(this.sessionTrackingFile));
-
-        if (!(await fs.pathExists(this.sessionTrackingFile))) {
-            await fs.writeJson(this.sessionTrackingFile, { sessions: [] });
-        }
-    }
-
     async checkVersion() {
         const { version } = await fetchLatestBaileysVersion();
         return version;
@@ -133,58 +151,291 @@ class WhatsAppService {
         return sock;
     }
 
-    async generateQR(sessionId) {
+    // Returns { qrCode, sequence, expiresAt, claimToken }, or { queued: true, queue, claimToken }
+    // when every linking slot is busy (the QR then arrives over Socket.IO / the QR long-poll)
+    async generateQR(sessionId, { keepAlive = false, locale = null, fallback = null, relink = null, clientId = null } = {}) {
+        // Ensure VINSMOKE@ prefix
+        const fullSessionId = sessionId.startsWith('VINSMOKE@') ? sessionId : `VINSMOKE@${sessionId}`;
+        let claimToken = null;
+
         try {
-            const maxSessions = parseInt(process.env.MAX_SESSIONS) || 100;
-            if (this.activeSessions.size >= maxSessions) {
-                throw new Error(`Maximum sessions limit reached (${maxSessions})`);
+            // Checked and reserved before any await, so concurrent requests cannot share a slot
+            const mustQueue = !this.tryReserveSlot(fullSessionId);
+            if (mustQueue) {
+                this.checkQueueCapacity(clientId);
             }
 
-            // Ensure VINSMOKE@ prefix
-            const fullSessionId = sessionId.startsWith('VINSMOKE@') ? sessionId : `VINSMOKE@${sessionId}`;
-            const sessionPath = path.join(this.sessionsDir, fullSessionId);
-            await fs.ensureDir(sessionPath);
+            // Bind the session to its creator before anything else can see it
+            claimToken = await this.createClaimToken(fullSessionId);
+            this.setLinkState(fullSessionId, 'created', { claimTokenHash: this.hashClaimToken(claimToken) });
+            if (keepAlive || locale || fallback || relink) {
+                await this.updateTrackedSession(fullSessionId, { keepAlive, welcomeLocale: locale, fallback, relinkChoice: relink });
+            }
 
-            log.debug(`QR: ${fullSessionId}`);
-            const version = await this.checkVersion();
-            const { state, saveCreds } = await useMultiFileAuthState(sessionPath);
-            const sock = this.createSocket(state, version);
+            const start = () => this.withReservedSlot(fullSessionId, async () => {
+                log.debug(`QR: ${fullSessionId}`);
+                const version = await this.checkVersion();
+                const { state, saveCreds } = await useStoreAuthState(this.store, fullSessionId);
+                const sock = this.createSocket(state, version);
+
+                return this.handleQRConnection(sock, fullSessionId, saveCreds);
+            });
+
+            if (mustQueue) {
+                const queue = this.enqueueCreation(fullSessionId, { type: 'qr', clientId, start });
+                return { queued: true, queue, claimToken };
+            }
 
-            return await this.handleQRConnection(sock, fullSessionId, saveCreds);
+            const result = await start();
+            return { ...result, claimToken };
         } catch (error) {
             log.error('QR generation error:', error.message);
+            this.releaseSlot(fullSessionId);
+            if (claimToken) {
+                await this.abortCreation(fullSessionId, error.message);
+            }
             throw error;
         }
     }
 
-    async generatePairingCode(sessionId, phoneNumber) {
+    // phoneNumber is validated before anything is created; malformed numbers throw
+    // an error with code INVALID_PHONE_NUMBER (see utils/phoneNumber.js)
+    // Queued requests return { queued: true, queue, claimToken } like generateQR
+    async generatePairingCode(sessionId, phoneNumber, { keepAlive = false, locale = null, fallback = null, relink = null, country = null, clientId = null } = {}) {
+        // Ensure VINSMOKE@ prefix
+        const fullSessionId = sessionId.startsWith('VINSMOKE@') ? sessionId : `VINSMOKE@${sessionId}`;
+        let claimToken = null;
+
         try {
-            const maxSessions = parseInt(process.env.MAX_SESSIONS) || 100;
-            if (this.activeSessions.size >= maxSessions) {
-                throw new Error(`Maximum sessions limit reached (${maxSessions})`);
+            // E.164 digits without '+', the form Baileys expects and creds.me.id uses
+            const formattedPhone = normalizePhoneNumber(phoneNumber, { country }).digits;
+
+            // Checked and reserved before any await, so concurrent requests cannot share a slot
+            const mustQueue = !this.tryReserveSlot(fullSessionId);
+            if (mustQueue) {
+                this.checkQueueCapacity(clientId);
             }
 
-            // Clean phone number
-            const cleanPhone = phoneNumber.replace(/[\s\-\(\)]/g, '');
-            const formattedPhone = cleanPhone.startsWith('+') ? cleanPhone.slice(1) : cleanPhone;
+            // Bind the session to its creator before anything else can see it
+            claimToken = await this.createClaimToken(fullSessionId);
+            this.setLinkState(fullSessionId, 'created', { claimTokenHash: this.hashClaimToken(claimToken) });
+            await this.updateTrackedSession(fullSessionId, {
+                keepAlive,
+                welcomeLocale: locale,
+                fallback,
+                relinkChoice: relink,
+                requestedPhoneNumber: formattedPhone
+            });
 
-            // Ensure VINSMOKE@ prefix
-            const fullSessionId = sessionId.startsWith('VINSMOKE@') ? sessionId : `VINSMOKE@${sessionId}`;
-            const sessionPath = path.join(this.sessionsDir, fullSessionId);
-            await fs.ensureDir(sessionPath);
+            const start = () => this.withReservedSlot(fullSessionId, async () => {
+                log.debug(`Pairing: ${fullSessionId}`);
+                const version = await this.checkVersion();
+                const { state, saveCreds } = await useStoreAuthState(this.store, fullSessionId);
+                const sock = this.createSocket(state, version, true);
 
-            log.debug(`Pairing: ${fullSessionId}`);
-            const version = await this.checkVersion();
-            const { state, saveCreds } = await useMultiFileAuthState(sessionPath);
-            const sock = this.createSocket(state, version, true);
+                return this.handlePairingConnection(sock, fullSessionId, saveCreds, formattedPhone);
+            });
+
+            if (mustQueue) {
+                const queue = this.enqueueCreation(fullSessionId, { type: 'pairing', clientId, start });
+                return { queued: true, queue, claimToken };
+            }
 
-            return await this.handlePairingConnection(sock, fullSessionId, saveCreds, formattedPhone);
+            const result = await start();
+            return { ...result, claimToken };
         } catch (error) {
             log.error('Pairing code generation error:', error.message);
+            this.releaseSlot(fullSessionId);
+            if (claimToken) {
+                await this.abortCreation(fullSessionId, error.message);
+            }
+            throw error;
+        }
+    }
+
+    async abortCreation(sessionId, reason) {
+        this.setLinkState(sessionId, 'failed', { reason });
+        await this.removeSessionFromTracking(sessionId);
+    }
+
+    // Session creation queue
+    // Linking sockets are capped at MAX_SESSIONS; further requests wait in FIFO order.
+    // Once anyone is waiting, new requests queue too, so nobody can overtake them.
+    hasFreeSlot() {
+        const { maxSessions } = getQueueConfig();
+        return this.activeSessions.size + this.reservedSlots.size < maxSessions;
+    }
+
+    mustQueueCreation() {
+        return this.creationQueue.length > 0 || !this.hasFreeSlot();
+    }
+
+    // Throws QUEUE_FULL (with retryAfter in seconds) when a request can neither start nor wait
+    checkQueueCapacity(clientId) {
+        const { size, maxPerClient } = getQueueConfig();
+        let message = null;
+
+        if (this.creationQueue.length >= size) {
+            message = size > 0 ? 'Session queue is full' : `Maximum sessions limit reached (${getQueueConfig().maxSessions})`;
+        } else if (clientId && this.creationQueue.filter(entry => entry.clientId === clientId).length >= maxPerClient) {
+            message = `Too many queued requests from this client (max ${maxPerClient})`;
+        }
+
+        if (message) {
+            const error = new Error(message);
+            error.code = 'QUEUE_FULL';
+            error.retryAfter = Math.max(1, Math.ceil(this.estimateQueueWait(this.creationQueue.length + 1) / 1000));
             throw error;
         }
     }
 
+    // Take a free slot for a new request in the same synchronous step as the capacity check;
+    // false when the request has to queue
+    tryReserveSlot(sessionId) {
+        if (this.mustQueueCreation()) {
+            return false;
+        }
+        this.reservedSlots.add(sessionId);
+        return true;
+    }
+
+    releaseSlot(sessionId) {
+        this.reservedSlots.delete(sessionId);
+    }
+
+    // Count a slot as taken while the socket is being set up (before it is an active session)
+    // Requests that started right away already hold theirs, dequeued ones take it here
+    async withReservedSlot(sessionId, task) {
+        this.reservedSlots.add(sessionId);
+        try {
+            return await task();
+        } finally {
+            this.releaseSlot(sessionId);
+        }
+    }
+
+    enqueueCreation(sessionId, { type, clientId, start }) {
+        const { timeout } = getQueueConfig();
+        const now = Date.now();
+        const entry = {
+            sessionId,
+            type,
+            clientId,
+            start,
+            enqueuedAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + timeout).toISOString(),
+            timer: setTimeout(() => this.removeFromQueue(sessionId, 'Timed out waiting in the session queue'), timeout)
+        };
+
+        this.creationQueue.push(entry);
+        this.setLinkState(sessionId, 'queued');
+        log.info(`Queued (${this.creationQueue.length}):`, sessionId);
+
+        if (!this.queueTimer) {
+            this.queueTimer = setInterval(() => this.processQueue(), 2000);
+        }
+
+        this.emitQueuePositions();
+        return this.getQueuePosition(sessionId);
+    }
+
+    // Start waiting requests while slots are free
+    processQueue() {
+        while (this.creationQueue.length > 0 && this.hasFreeSlot()) {
+            const entry = this.creationQueue.shift();
+            clearTimeout(entry.timer);
+            this.queueStarts = [...this.queueStarts.slice(-9), Date.now()];
+
+            log.info(`Dequeued (${entry.type}):`, entry.sessionId);
+            entry.start().catch(async (error) => {
+                log.error(`Queued ${entry.type} start failed (${entry.sessionId}):`, error.message);
+                await this.abortCreation(entry.sessionId, error.message);
+            });
+        }
+
+        if (this.creationQueue.length === 0) {
+            clearInterval(this.queueTimer);
+            this.queueTimer = null;
+            this.queueStarts = [];
+        }
+
+        this.emitQueuePositions();
+    }
+
+    // Measured from recent dequeues when possible, else from the assumed link time
+    estimateQueueWait(position) {
+        if (this.queueStarts.length >= 2) {
+            const first = this.queueStarts[0];
+            const last = this.queueStarts[this.queueStarts.length - 1];
+            return Math.round(position * (last - first) / (this.queueStarts.length - 1));
+        }
+
+        const { maxSessions, averageLinkTime } = getQueueConfig();
+        return Math.ceil(position / maxSessions) * averageLinkTime;
+    }
+
+    // { position (1-based), size, estimatedWait (ms), enqueuedAt, expiresAt } or null when not queued
+    getQueuePosition(sessionId) {
+        const index = this.creationQueue.findIndex(entry => entry.sessionId === sessionId);
+        if (index === -1) return null;
+
+        const entry = this.creationQueue[index];
+        return {
+            position: index + 1,
+            size: this.creationQueue.length,
+            estimatedWait: this.estimateQueueWait(index + 1),
+            enqueuedAt: entry.enqueuedAt,
+            expiresAt: entry.expiresAt
+        };
+    }
+
+    emitQueuePositions() {
+        this.creationQueue.forEach(entry => {
+            this.io.to(entry.sessionId).emit('queue-position', {
+                sessionId: entry.sessionId,
+                ...this.getQueuePosition(entry.sessionId)
+            });
+        });
+    }
+
+    listQueue() {
+        const { size, maxSessions } = getQueueConfig();
+        return {
+            capacity: size,
+            maxSessions,
+            activeSessions: this.activeSessions.size + this.reservedSlots.size,
+            entries: this.creationQueue.map(entry => ({
+                sessionId: entry.sessionId,
+                type: entry.type,
+                clientId: entry.clientId,
+                ...this.getQueuePosition(entry.sessionId)
+            }))
+        };
+    }
+
+    // Drop a queued request (timeout, admin); returns false when it was not queued
+    async removeFromQueue(sessionId, reason) {
+        const entry = this.creationQueue.find(e => e.sessionId === sessionId);
+        if (!entry) return false;
+
+        clearTimeout(entry.timer);
+        this.creationQueue = this.creationQueue.filter(e => e !== entry);
+        log.warn(`Removed from queue (${reason}):`, sessionId);
+
+        await this.abortCreation(sessionId, reason);
+        this.emitQueuePositions();
+        return true;
+    }
+
+    // Remove every waiting request; returns the number removed
+    async drainQueue(reason = 'Session queue drained by an admin') {
+        const sessionIds = this.creationQueue.map(entry => entry.sessionId);
+        for (const sessionId of sessionIds) {
+            await this.removeFromQueue(sessionId, reason);
+        }
+        return sessionIds.length;
+    }
+
     async handleQRConnection(sock, sessionId, saveCreds) {
         return new Promise((resolve, reject) => {
             let resolved = false;
@@ -195,19 +446,23 @@ class WhatsAppService {
             sock.ev.on('connection.update', async (update) => {
                 const { connection, lastDisconnect, qr } = update;
 
-                if (qr && !resolved) {
+                // Every rotation is published; only the first one answers the create request
+                if (qr) {
                     try {
                         const qrCodeDataURL = await QRCode.toDataURL(qr);
-                        this.io.to(sessionId).emit('qr-code', { qrCode: qrCodeDataURL });
+                        this.setLinkState(sessionId, 'awaiting-scan');
+                        this.publishQRCode(sessionId, qrCodeDataURL);
 
                         if (!resolved) {
                             resolved = true;
-                            resolve({ qrCode: qrCodeDataURL });
+                            resolve(this.getCurrentQR(sessionId));
                         }
                     } catch (error) {
                         if (!resolved) {
                             resolved = true;
                             reject(error);
+                        } else {
+                            log.error('QR rotation error:', error.message);
                         }
                     }
                 }
@@ -222,7 +477,7 @@ class WhatsAppService {
             });
 
             this.storeActiveSession(sessionId, sock);
-            this.setConnectionTimeout(sessionId, resolved, connected, reject, 90000);
+            this.setConnectionTimeout(sessionId, () => resolved || connected, reject, 90000);
         });
     }
 
@@ -268,6 +523,7 @@ class WhatsAppService {
                             pairingCode: code,
                             phoneNumber: `+${phoneNumber}`
                         });
+                        this.setLinkState(sessionId, 'code-issued', { pairingCode: code });
 
                         if (!resolved) {
                             resolved = true;
@@ -297,13 +553,15 @@ class WhatsAppService {
             });
 
             this.storeActiveSession(sessionId, sock, true);
-            this.setConnectionTimeout(sessionId, resolved, connected, reject, 180000); // 3 minutes timeout for pairing
+            this.setConnectionTimeout(sessionId, () => resolved || connected, reject, 180000); // 3 minutes timeout for pairing
         });
     }
 
     async handleSuccessfulConnection(sock, sessionId) {
         const fullSessionId = sessionId.startsWith('VINSMOKE@') ? sessionId : `VINSMOKE@${sessionId}`;
 
+        this.setLinkState(fullSessionId, 'linked');
+
         try {
             const normalizedJid = jidNormalizedUser(sock.user.id);
             const user = sock.user || {};
@@ -311,22 +569,25 @@ class WhatsAppService {
             
             log.success(`Connected: ${name}`);
 
-            // Send session ID as disappearing message
-            await sock.sendMessage(normalizedJid, {
-                text: fullSessionId
-            }, {
-                ephemeralExpiration: 86400
-            });
+            // Send the configured delivery bundle; a step that keeps failing is recorded, not fatal
+            const delivery = await this.deliverBundle(sock, normalizedJid, fullSessionId, user);
 
-            // Send configurable startup message
-            await sock.sendMessage(normalizedJid, {
-                text: this.startUpMessage
-            });
+            // Session ID step failed on WhatsApp: use the creator's fallback channels instead
+            // (a bundle without a session-id step is a configuration choice, not a failure)
+            const sessionIdSteps = delivery.steps.filter(step => step.type === 'session-id');
+            const sessionIdFailed = sessionIdSteps.length > 0 && !sessionIdSteps.some(step => step.status === 'sent');
+            const fallbackDelivery = sessionIdFailed ? await this.deliverFallback(fullSessionId, user) : null;
+
+            if (delivery.status === 'failed' && fallbackDelivery?.status !== 'delivered') {
+                throw new Error('No delivery step could be sent');
+            }
 
-            log.success(`Messages sent: ${fullSessionId}`);
+            log.success(`Messages sent: ${fullSessionId}${delivery.status === 'partial' ? ' (partial)' : ''}${fallbackDelivery ? ` (fallback ${fallbackDelivery.status})` : ''}`);
+            this.setLinkState(fullSessionId, 'welcome-sent');
 
             // Only after successful message sending, mark as good session
-            await this.markSessionAsGoodSession(fullSessionId);
+            const storedSession = await this.markSessionAsGoodSession(fullSessionId, { delivery, fallbackDelivery });
+            this.setLinkState(fullSessionId, 'stored');
             
             this.io.to(sessionId).emit('session-connected', {
                 sessionId: fullSessionId,
@@ -335,101 +596,434 @@ class WhatsAppService {
             
             this.activeSessions.delete(sessionId);
 
-            // Disconnect after sending messages
-            setTimeout(() => {
+            // Disconnect after sending messages, then encrypt the stored creds
+            // (only once the socket is closed, so Baileys cannot rewrite them in plaintext)
+            // Keep-alive sessions are then reconnected from the stored creds
+            setTimeout(async () => {
                 try {
                     sock.end();
                 } catch (error) {
                     // Silent fail
                 }
+                await this.encryptSessionCreds(fullSessionId);
+
+                if (storedSession.keepAlive) {
+                    try {
+                        await this.startHosting(fullSessionId);
+                    } catch (error) {
+                        log.error(`Keep-alive start failed (${fullSessionId}):`, error.message);
+                    }
+                }
             }, 2000);
 
         } catch (error) {
             log.error('Message send failed:', error.message);
             // Mark session as BAD and clean up
-            await this.markSessionAsBad(fullSessionId, 'Failed to send welcome messages');
+            await this.markSessionAsBad(fullSessionId, 'Failed to deliver messages');
             await this.cleanupFailedSession(fullSessionId);
             throw error;
         }
     }
 
-    async markSessionAsGoodSession(sessionId) {
+    // Send every active bundle step in order, each with its own retries
+    // Returns { status: complete | partial | failed, steps: [{ id, type, status, attempts, sentAt, error }] }
+    async deliverBundle(sock, jid, sessionId, user) {
+        const context = await this.buildDeliveryContext(sessionId, user);
+        const steps = await this.deliveryBundleService.getActiveSteps();
+        const results = [];
+
+        for (const step of steps) {
+            const result = { id: step.id, type: step.type, status: 'failed', attempts: 0, sentAt: null, error: null };
+
+            while (result.attempts <= step.retries) {
+                result.attempts++;
+                try {
+                    const message = await this.deliveryBundleService.buildMessage(step, context);
+                    await sock.sendMessage(jid, message, step.ephemeral ? { ephemeralExpiration: step.ephemeral } : {});
+                    result.status = 'sent';
+                    result.sentAt = new Date().toISOString();
+                    result.error = null;
+                    break;
+                } catch (error) {
+                    result.error = error.message;
+                    log.warn(`Delivery step ${step.id} failed (attempt ${result.attempts}):`, error.message);
+                    if (result.attempts <= step.retries) {
+                        await new Promise(r => setTimeout(r, 2000 * result.attempts));
+                    }
+                }
+            }
+
+            results.push(result);
+        }
+
+        const sent = results.filter(r => r.status === 'sent').length;
+        return {
+            status: sent === results.length ? 'complete' : (sent > 0 ? 'partial' : 'failed'),
+            deliveredAt: new Date().toISOString(),
+            steps: results
+        };
+    }
+
+    // Deliver the session ID through the fallback channels registered at creation
+    // Returns null when the creator registered none
+    async deliverFallback(sessionId, user) {
+        try {
+            const entry = await this.store.getSession(sessionId);
+
+            if (!entry?.fallback || !this.fallbackDeliveryService) {
+                return null;
+            }
+
+            return await this.fallbackDeliveryService.deliver(sessionId, entry.fallback, {
+                claimTokenHash: entry.claimTokenHash,
+                phone: (user.id || '').split(/[:@]/)[0] || null,
+                reason: 'whatsapp_delivery_failed'
+            });
+        } catch (error) {
+            log.error('Fallback delivery error:', error.message);
+            return { status: 'failed', deliveredVia: [], channels: [], error: error.message };
+        }
+    }
+
+    // Values the bundle steps can use; the welcome locale picked at creation wins,
+    // otherwise the template is chosen by the phone's country code
+    async buildDeliveryContext(sessionId, user) {
+        const phone = (user.id || '').split(/[:@]/)[0];
+        const name = user.name || user.verifiedName || phone;
+        let locale = null;
+
+        try {
+            locale = (await this.store.getSession(sessionId))?.welcomeLocale || null;
+        } catch (error) {
+            log.warn('Could not read welcome locale:', error.message);
+        }
+
+        const welcome = await this.welcomeTemplateService.renderWelcome({ locale, phone, name, sessionId });
+        let credsBuffer = null;
+
+        try {
+            credsBuffer = await this.readCreds(sessionId);
+        } catch (error) {
+            log.warn('Could not read creds for delivery:', error.message);
+        }
+
+        return { sessionId, name, phone, locale: welcome.locale, welcomeText: welcome.text, credsBuffer };
+    }
+
+    async markSessionAsGoodSession(sessionId, { delivery = null, fallbackDelivery = null } = {}) {
         try {
             // First, clean up all files except creds.json
             await this.keepOnlyCredsFile(sessionId);
             
             // Extract user phone number from creds.json
-            const sessionPath = path.join(this.sessionsDir, sessionId);
-            const credsPath = path.join(sessionPath, 'creds.json');
             let userPhoneNumber = null;
             
             try {
-                const creds = await fs.readJson(credsPath);
-                if (creds.me && creds.me.id) {
-                    // Extract phone number from WhatsApp ID (format: "994403163701:XX@s.whatsapp.net")
-                    userPhoneNumber = creds.me.id.split(':')[0];
-                }
+                userPhoneNumber = this.extractPhoneNumber(await this.readCredsJson(sessionId));
             } catch (error) {
                 log.warn('Could not extract phone number:', error.message);
             }
             
             // Update session tracking - mark as GOOD session
-            const tracking = await fs.readJson(this.sessionTrackingFile);
-            
-            // Remove any existing entry for this session
-            tracking.sessions = tracking.sessions.filter(s => s.sessionId !== sessionId);
-            
-            // Add new GOOD session entry
-            const sessionData = {
-                sessionId,
-                userPhoneNumber,
-                createdAt: new Date().toISOString(),
-                connectedAt: new Date().toISOString(),
-                expiresAt: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString(), // 1 year
-                isPermanent: true,
-                isGood: true, // GOOD SESSION - successfully sent messages
-                status: 'active'
-            };
+            const sessionData = await this.store.updateTracking((tracking) => {
+                const pendingEntry = tracking.sessions.find(s => s.sessionId === sessionId);
+
+                const requestedPhoneNumber = pendingEntry?.requestedPhoneNumber || null;
+                if (requestedPhoneNumber && userPhoneNumber && requestedPhoneNumber !== userPhoneNumber) {
+                    log.warn(`Linked number differs from requested (${requestedPhoneNumber}):`, userPhoneNumber);
+                }
+
+                // Remove any existing entry for this session
+                tracking.sessions = tracking.sessions.filter(s => s.sessionId !== sessionId);
+
+                // Add new GOOD session entry (keeps the creator's claim token)
+                const entry = {
+                    sessionId,
+                    userPhoneNumber,
+                    requestedPhoneNumber, // Pairing-code sessions only
+                    claimTokenHash: pendingEntry?.claimTokenHash || null,
+                    createdAt: pendingEntry?.createdAt || new Date().toISOString(),
+                    connectedAt: new Date().toISOString(),
+                    expiresAt: new Date(Date.now() + getExpiryConfig().lifetime).toISOString(),
+                    expiryState: 'active',
+                    expiryStateAt: new Date().toISOString(),
+                    isPermanent: true,
+                    isGood: true, // GOOD SESSION - successfully sent messages
+                    keepAlive: !!pendingEntry?.keepAlive,
+                    delivery, // Per-step result of the post-link delivery bundle
+                    fallbackDelivery, // Set when the session ID had to go through a fallback channel
+                    relink: this.applyRelinkPolicy(tracking, sessionId, userPhoneNumber, pendingEntry?.relinkChoice),
+                    status: 'active'
+                };
 
-            tracking.sessions.push(sessionData);
-            await fs.writeJson(this.sessionTrackingFile, tracking, { spaces: 2 });
+                tracking.sessions.push(entry);
+                return entry;
+            });
             
             log.success(`Session stored: ${sessionId}${userPhoneNumber ? ` (${userPhoneNumber})` : ''}`);
+            await this.notifyRelink(sessionData);
+            return sessionData;
         } catch (error) {
             log.error('Error marking session as good:', error.message);
             throw error;
         }
     }
 
+    // Re-linking a number that already has stored sessions (policy from config/relink.js)
+    // Returns { policy, status: superseded | kept | pending, previousSessionIds } or null for a first link
+    // Superseding edits the given tracking object (inside store.updateTracking)
+    applyRelinkPolicy(tracking, sessionId, phoneNumber, choice = null) {
+        if (!phoneNumber) return null;
+
+        const previousSessionIds = tracking.sessions
+            .filter(s => s.sessionId !== sessionId && s.userPhoneNumber === phoneNumber
+                && s.isGood && s.isPermanent && s.status !== 'superseded')
+            .map(s => s.sessionId);
+
+        if (previousSessionIds.length === 0) return null;
+
+        const { policy } = getRelinkConfig();
+        const decision = policy === 'ask' ? choice : policy;
+        const relink = { policy, status: 'pending', previousSessionIds, decidedAt: null };
+
+        if (decision === 'supersede') {
+            this.supersedeSessions(tracking, previousSessionIds, sessionId);
+            relink.status = 'superseded';
+        } else if (decision === 'keep') {
+            relink.status = 'kept';
+        }
+
+        if (relink.status !== 'pending') {
+            relink.decidedAt = new Date().toISOString();
+        }
+        return relink;
+    }
+
+    supersedeSessions(tracking, sessionIds, supersededBy) {
+        const now = new Date().toISOString();
+
+        tracking.sessions
+            .filter(s => sessionIds.includes(s.sessionId) && s.status !== 'superseded')
+            .forEach(s => {
+                s.status = 'superseded';
+                s.supersededAt = now;
+                s.supersededBy = supersededBy;
+                log.info(`Superseded by ${supersededBy}:`, s.sessionId);
+            });
+    }
+
+    // Tell the rooms what happened: old sessions are told they were superseded (and stop being
+    // hosted), the new session's creator is asked to decide when the policy is 'ask'
+    async notifyRelink(session) {
+        const { relink } = session;
+        if (!relink) return;
+
+        if (relink.status === 'pending') {
+            this.io.to(session.sessionId).emit('relink-required', {
+                sessionId: session.sessionId,
+                previousSessionIds: relink.previousSessionIds
+            });
+            return;
+        }
+
+        if (relink.status === 'superseded') {
+            for (const previousId of relink.previousSessionIds) {
+                this.io.to(previousId).emit('session-superseded', {
+                    sessionId: previousId,
+                    supersededBy: session.sessionId
+                });
+                if (this.hostedSessions.has(previousId)) {
+                    await this.stopHosting(previousId);
+                }
+            }
+        }
+    }
+
+    // The creator's answer to a pending re-link: supersede the older sessions or keep them
+    async resolveRelink(sessionId, action) {
+        const fullSessionId = sessionId.startsWith('VINSMOKE@') ? sessionId : `VINSMOKE@${sessionId}`;
+
+        if (!['supersede', 'keep'].includes(action)) {
+            throw new Error('Action must be supersede or keep');
+        }
+
+        const session = await this.store.updateTracking((tracking) => {
+            const entry = tracking.sessions.find(s => s.sessionId === fullSessionId);
+
+            if (entry?.relink?.status !== 'pending') {
+                throw new Error('No re-link decision pending');
+            }
+
+            if (action === 'supersede') {
+                this.supersedeSessions(tracking, entry.relink.previousSessionIds, fullSessionId);
+            }
+            entry.relink = {
+                ...entry.relink,
+                status: action === 'supersede' ? 'superseded' : 'kept',
+                decidedAt: new Date().toISOString()
+            };
+            return entry;
+        });
+
+        await this.notifyRelink(session);
+        return session.relink;
+    }
+
+    // Every stored session of a number, oldest first (superseded ones included)
+    async getPhoneHistory(phoneNumber) {
+        const sessions = (await this.store.listSessions())
+            .filter(s => s.isGood && s.isPermanent
+                && (s.userPhoneNumber === phoneNumber || s.requestedPhoneNumber === phoneNumber))
+            .map(({ claimTokenHash, fallback, ...session }) => ({
+                ...session,
+                hostedStatus: this.hostedSessions.get(session.sessionId)?.status || null,
+                expiry: this.getExpiryInfo(session)
+            }))
+            .sort((a, b) => this.getLinkedAt(a).localeCompare(this.getLinkedAt(b)));
+
+        const current = sessions.filter(s => s.status !== 'superseded').pop();
+        return {
+            phoneNumber,
+            currentSessionId: current?.sessionId || null,
+            sessions
+        };
+    }
+
+    // Stored sessions grouped per phone number, most recently linked first
+    async listPhoneNumbers() {
+        const groups = new Map();
+
+        for (const session of await this.getAllSessions()) {
+            if (!session.userPhoneNumber) continue;
+
+            const group = groups.get(session.userPhoneNumber) || {
+                phoneNumber: session.userPhoneNumber,
+                sessionCount: 0,
+                activeCount: 0,
+                supersededCount: 0,
+                latestSessionId: null,
+                lastLinkedAt: null
+            };
+            const linkedAt = this.getLinkedAt(session);
+
+            group.sessionCount++;
+            if (session.status === 'superseded') {
+                group.supersededCount++;
+            } else {
+                group.activeCount++;
+            }
+            if (!group.lastLinkedAt || linkedAt > group.lastLinkedAt) {
+                group.lastLinkedAt = linkedAt;
+                group.latestSessionId = session.sessionId;
+            }
+
+            groups.set(session.userPhoneNumber, group);
+        }
+
+        return [...groups.values()].sort((a, b) => b.lastLinkedAt.localeCompare(a.lastLinkedAt));
+    }
+
+    getLinkedAt(session) {
+        return session.connectedAt || session.importedAt || session.createdAt || '';
+    }
+
+    extractPhoneNumber(creds) {
+        if (!creds.me || !creds.me.id) return null;
+        // Extract phone number from WhatsApp ID (format: "994403163701:XX@s.whatsapp.net")
+        return creds.me.id.split(':')[0];
+    }
+
+    // Plaintext creds.json from the store (decrypted in memory), null when missing
+    async readCreds(sessionId) {
+        const raw = await this.store.readFile(sessionId, 'creds.json');
+        return raw ? decodeCredsBuffer(raw) : null;
+    }
+
+    // Parsed creds.json; throws when missing or unreadable
+    async readCredsJson(sessionId) {
+        const raw = await this.store.readFile(sessionId, 'creds.json');
+        if (!raw) {
+            throw new Error('creds.json not found');
+        }
+        return parseCredsBuffer(raw);
+    }
+
+    async encryptSessionCreds(sessionId) {
+        if (!isEncryptionEnabled()) return false;
+
+        try {
+            const raw = await this.store.readFile(sessionId, 'creds.json');
+            if (!raw) return false;
+
+            const encrypted = reencryptCreds(raw);
+            if (encrypted) {
+                await this.store.writeFile(sessionId, 'creds.json', encrypted);
+                log.debug(`Encrypted creds: ${sessionId}`);
+            }
+            return !!encrypted;
+        } catch (error) {
+            log.error(`Creds encryption failed (${sessionId}):`, error.message);
+            return false;
+        }
+    }
+
+    // Encrypt every stored good session (startup migration and key rotation)
+    // Sessions still pairing are skipped, Baileys is writing their creds
+    async encryptAllStoredCreds() {
+        const storedSessions = (await this.store.listSessions()).filter(s => s.isGood && s.isPermanent);
+        let encryptedCount = 0;
+
+        for (const session of storedSessions) {
+            if (await this.encryptSessionCreds(session.sessionId)) {
+                encryptedCount++;
+            }
+        }
+
+        return { total: storedSessions.length, encrypted: encryptedCount };
+    }
+
+    async migratePlaintextCreds() {
+        if (!isEncryptionEnabled()) {
+            log.warn('CREDS_ENCRYPTION_KEY not set, creds stored in plaintext');
+            return;
+        }
+
+        try {
+            const { encrypted } = await this.encryptAllStoredCreds();
+            if (encrypted > 0) {
+                log.success(`Encrypted ${encrypted} stored sessions`);
+            }
+        } catch (error) {
+            log.error('Creds migration failed:', error.message);
+        }
+    }
+
     async keepOnlyCredsFile(sessionId) {
         try {
-            const sessionPath = path.join(this.sessionsDir, sessionId);
-            if (!(await fs.pathExists(sessionPath))) return;
+            const files = await this.store.listFiles(sessionId);
+            if (files.length === 0) return;
 
-            const files = await fs.readdir(sessionPath);
             let deletedCount = 0;
             
             // Keep only creds.json, remove ALL other files
-            for (const file of files) {
-                if (file !== 'creds.json') {
-                    const filePath = path.join(sessionPath, file);
+            for (const { name } of files) {
+                if (name !== 'creds.json') {
                     try {
-                        await fs.remove(filePath);
+                        await this.store.removeFile(sessionId, name);
                         deletedCount++;
                     } catch (error) {
-                        log.warn(`Failed to delete ${file}:`, error.message);
+                        log.warn(`Failed to delete ${name}:`, error.message);
                     }
                 }
             }
             
             // Verify creds.json exists and is valid
-            const credsPath = path.join(sessionPath, 'creds.json');
-            if (!(await fs.pathExists(credsPath))) {
+            if (!files.some(file => file.name === 'creds.json')) {
                 throw new Error('creds.json not found after cleanup');
             }
 
             // Validate creds.json content
-            const creds = await fs.readJson(credsPath);
+            const creds = await this.readCredsJson(sessionId);
             if (!creds.me || !creds.me.id) {
                 throw new Error('Invalid creds.json content');
             }
@@ -445,9 +1039,8 @@ class WhatsAppService {
 
     async cleanupFailedSession(sessionId) {
         try {
-            const sessionPath = path.join(this.sessionsDir, sessionId);
-            if (await fs.pathExists(sessionPath)) {
-                await fs.remove(sessionPath);
+            if (await this.store.hasFiles(sessionId)) {
+                await this.store.removeFiles(sessionId);
                 log.debug(`Removed bad session: ${sessionId}`);
             }
             await this.removeSessionFromTracking(sessionId);
@@ -457,20 +1050,17 @@ class WhatsAppService {
     }
 
     async markSessionAsBad(sessionId, reason = 'Failed to send messages') {
+        this.setLinkState(sessionId, 'failed', { reason });
+
         try {
             // Mark session as BAD in tracking
-            const tracking = await fs.readJson(this.sessionTrackingFile);
-            const sessionIndex = tracking.sessions.findIndex(s => s.sessionId === sessionId);
-            
-            if (sessionIndex !== -1) {
-                tracking.sessions[sessionIndex].isGood = false;
-                tracking.sessions[sessionIndex].isPermanent = false;
-                tracking.sessions[sessionIndex].status = 'failed';
-                tracking.sessions[sessionIndex].failureReason = reason;
-                tracking.sessions[sessionIndex].failedAt = new Date().toISOString();
-                
-                await fs.writeJson(this.sessionTrackingFile, tracking, { spaces: 2 });
-            }
+            await this.store.updateSession(sessionId, {
+                isGood: false,
+                isPermanent: false,
+                status: 'failed',
+                failureReason: reason,
+                failedAt: new Date().toISOString()
+            });
             
             log.debug(`Marked session as bad: ${sessionId} - ${reason}`);
         } catch (error) {
@@ -487,6 +1077,7 @@ class WhatsAppService {
 
         // Clean up session if logged out or bad session
         if (reason === DisconnectReason.loggedOut) {
+            this.setLinkState(sessionId, 'failed', { reason: 'Session logged out' });
             await this.cleanupFailedSession(sessionId);
             if (!resolved) {
                 this.activeSessions.delete(sessionId);
@@ -495,6 +1086,20 @@ class WhatsAppService {
             return;
         }
 
+        // Baileys closes with timedOut once every QR rotation expired without a scan
+        const fullSessionId = sessionId.startsWith('VINSMOKE@') ? sessionId : `VINSMOKE@${sessionId}`;
+        if (reason === DisconnectReason.timedOut && this.linkStates.get(fullSessionId)?.state === 'awaiting-scan') {
+            log.debug(`QR attempts exhausted: ${sessionId}`);
+            this.setLinkState(sessionId, 'failed', { reason: 'QR attempts exhausted' });
+            this.io.to(sessionId).emit('qr-exhausted', { sessionId: fullSessionId });
+            await this.cleanupFailedSession(sessionId);
+            this.activeSessions.delete(sessionId);
+            if (!resolved) {
+                reject(new Error('QR attempts exhausted'));
+            }
+            return;
+        }
+
         // For other disconnection reasons, try simple reconnect
         await new Promise(r => setTimeout(r, 2000));
 
@@ -509,6 +1114,7 @@ class WhatsAppService {
             }
         } catch (error) {
             log.error('Reconnection failed:', error.message);
+            this.setLinkState(sessionId, 'failed', { reason: `Reconnection failed: ${error.message}` });
             await this.cleanupFailedSession(sessionId);
             if (!resolved) {
                 this.activeSessions.delete(sessionId);
@@ -521,7 +1127,6 @@ class WhatsAppService {
         this.activeSessions.set(sessionId, {
             socket: sock,
             createdAt: Date.now(),
-            sessionPath: path.join(this.sessionsDir, sessionId),
             isPairing
         });
     }
@@ -531,7 +1136,7 @@ class WhatsAppService {
         if (!sessionData) return;
 
         const version = await this.checkVersion();
-        const { state, saveCreds } = await useMultiFileAuthState(sessionData.sessionPath);
+        const { state, saveCreds } = await useStoreAuthState(this.store, sessionId);
         const sock = this.createSocket(state, version);
 
         sessionData.socket = sock;
@@ -545,7 +1150,8 @@ class WhatsAppService {
             if (qr) {
                 try {
                     const qrCodeDataURL = await QRCode.toDataURL(qr);
-                    this.io.to(sessionId).emit('qr-code', { qrCode: qrCodeDataURL });
+                    this.setLinkState(sessionId, 'awaiting-scan');
+                    this.publishQRCode(sessionId, qrCodeDataURL);
                 } catch (error) {
                     log.error('QR generation error:', error.message);
                 }
@@ -565,7 +1171,7 @@ class WhatsAppService {
         if (!sessionData) return;
 
         const version = await this.checkVersion();
-        const { state, saveCreds } = await useMultiFileAuthState(sessionData.sessionPath);
+        const { state, saveCreds } = await useStoreAuthState(this.store, sessionId);
         const sock = this.createSocket(state, version, true); // Pass true for pairing mode
 
         sessionData.socket = sock;
@@ -583,53 +1189,266 @@ class WhatsAppService {
         });
     }
 
-    setConnectionTimeout(sessionId, resolved, connected, reject, timeout) {
+    // isSettled is checked when the timer fires (a QR/code was issued or the socket connected)
+    // Issued codes that are never used are timed out by cleanupUnscannedSessions
+    setConnectionTimeout(sessionId, isSettled, reject, timeout) {
         setTimeout(() => {
-            if (!resolved && !connected) {
+            if (!isSettled()) {
+                this.setLinkState(sessionId, 'timed-out');
                 this.activeSessions.delete(sessionId);
                 reject(new Error('Connection timeout'));
             }
         }, timeout);
     }
 
-    async trackSession(sessionId) {
-        try {
-            const tracking = await fs.readJson(this.sessionTrackingFile);
-            const sessionData = {
-                sessionId,
-                createdAt: new Date().toISOString(),
-                expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(), // 30 days expiry
-                isPermanent: true // Mark as permanent to prevent deletion
-            };
+    // Linking state machine:
+    // created -> [queued ->] awaiting-scan | code-issued -> linked -> welcome-sent -> stored
+    // failed (with reason) or timed-out can happen at any step before stored
+    setLinkState(sessionId, state, { reason = null, claimTokenHash = null, pairingCode = null } = {}) {
+        const fullSessionId = sessionId.startsWith('VINSMOKE@') ? sessionId : `VINSMOKE@${sessionId}`;
+        const now = new Date().toISOString();
+        let link = this.linkStates.get(fullSessionId);
 
-            tracking.sessions.push(sessionData);
-            await fs.writeJson(this.sessionTrackingFile, tracking, { spaces: 2 });
-        } catch (error) {
-            log.error('Error tracking session:', error.message);
+        if (!link || state === 'created') {
+            link = { sessionId: fullSessionId, state: null, reason: null, createdAt: now, updatedAt: now, history: [], claimTokenHash: null };
+            this.linkStates.set(fullSessionId, link);
         }
-    }
 
-    async markSessionAsGood(sessionId) {
-        try {
-            const tracking = await fs.readJson(this.sessionTrackingFile);
-            const session = tracking.sessions.find(s => s.sessionId === sessionId);
+        if (FINAL_LINK_STATES.includes(link.state)) {
+            return link;
+        }
 
-            if (session) {
-                session.isGood = true;
-                session.isPermanent = true;
-                session.connectedAt = new Date().toISOString();
-                await fs.writeJson(this.sessionTrackingFile, tracking, { spaces: 2 });
-            }
-        } catch (error) {
+        if (claimTokenHash) {
+            link.claimTokenHash = claimTokenHash;
+        }
+        if (pairingCode) {
+            link.pairingCode = pairingCode;
+        }
+
+        // Repeated states (e.g. every QR refresh) are emitted but not added to the history
+        if (link.state !== state) {
+            link.history.push(reason ? { state, at: now, reason } : { state, at: now });
+        }
+
+        link.state = state;
+        link.reason = reason;
+        link.updatedAt = now;
+
+        this.io.to(fullSessionId).emit('session-state', this.toPublicLinkState(link));
+
+        if (!QR_PHASE_STATES.includes(state)) {
+            this.endQRStream(fullSessionId);
+        }
+        return link;
+    }
+
+    // Store a QR rotation with sequence number and expiry, then notify the room and long-pollers
+    publishQRCode(sessionId, qrCode) {
+        const fullSessionId = sessionId.startsWith('VINSMOKE@') ? sessionId : `VINSMOKE@${sessionId}`;
+        const stream = this.qrStreams.get(fullSessionId) || { current: null, waiters: [] };
+        const sequence = (stream.current?.sequence || 0) + 1;
+        const issuedAt = Date.now();
+
+        stream.current = {
+            sessionId: fullSessionId,
+            qrCode,
+            sequence,
+            issuedAt: new Date(issuedAt).toISOString(),
+            expiresAt: new Date(issuedAt + (sequence === 1 ? QR_FIRST_TTL : QR_ROTATION_TTL)).toISOString()
+        };
+        this.qrStreams.set(fullSessionId, stream);
+
+        this.io.to(fullSessionId).emit('qr-code', stream.current);
+
+        const waiters = stream.waiters;
+        stream.waiters = [];
+        waiters.forEach(waiter => waiter({ qr: stream.current }));
+    }
+
+    // The QR still valid right now, for late joiners (null if none or expired)
+    getCurrentQR(sessionId) {
+        const fullSessionId = sessionId.startsWith('VINSMOKE@') ? sessionId : `VINSMOKE@${sessionId}`;
+        const current = this.qrStreams.get(fullSessionId)?.current;
+
+        if (!current || new Date(current.expiresAt).getTime() <= Date.now()) {
+            return null;
+        }
+        return current;
+    }
+
+    // Long-poll: resolves with { qr } for the first rotation after afterSequence,
+    // { ended } once linking has left the QR phase, or null when the timeout passes
+    async waitForQR(sessionId, afterSequence = 0, timeout = 25000) {
+        const fullSessionId = sessionId.startsWith('VINSMOKE@') ? sessionId : `VINSMOKE@${sessionId}`;
+        const current = this.getCurrentQR(fullSessionId);
+
+        if (current && current.sequence > afterSequence) {
+            return { qr: current };
+        }
+
+        if (!QR_PHASE_STATES.includes(this.linkStates.get(fullSessionId)?.state)) {
+            const linkState = await this.getLinkState(fullSessionId);
+            return linkState ? { ended: linkState } : null;
+        }
+
+        const stream = this.qrStreams.get(fullSessionId) || { current: null, waiters: [] };
+        this.qrStreams.set(fullSessionId, stream);
+
+        return new Promise((resolve) => {
+            const waiter = (result) => {
+                clearTimeout(timer);
+                resolve(result);
+            };
+            const timer = setTimeout(() => {
+                stream.waiters = stream.waiters.filter(w => w !== waiter);
+                resolve(null);
+            }, timeout);
+
+            stream.waiters.push(waiter);
+        });
+    }
+
+    endQRStream(sessionId) {
+        const stream = this.qrStreams.get(sessionId);
+        if (!stream) return;
+
+        this.qrStreams.delete(sessionId);
+        const link = this.linkStates.get(sessionId);
+        const ended = link ? this.toPublicLinkState(link) : null;
+        stream.waiters.forEach(waiter => waiter({ ended }));
+    }
+
+    isAwaitingLink(sessionId) {
+        const fullSessionId = sessionId.startsWith('VINSMOKE@') ? sessionId : `VINSMOKE@${sessionId}`;
+        return ['created', 'queued', 'awaiting-scan', 'code-issued'].includes(this.linkStates.get(fullSessionId)?.state);
+    }
+
+    // Queued sessions include their queue position, code-issued ones the pairing code
+    toPublicLinkState(link) {
+        const { claimTokenHash, pairingCode, ...publicState } = link;
+
+        if (link.state === 'queued') {
+            publicState.queue = this.getQueuePosition(link.sessionId);
+        }
+        if (link.state === 'code-issued') {
+            publicState.pairingCode = pairingCode;
+        }
+        return publicState;
+    }
+
+    // Current linking state; stored sessions without in-memory state (e.g. after a restart) report 'stored'
+    async getLinkState(sessionId) {
+        const fullSessionId = sessionId.startsWith('VINSMOKE@') ? sessionId : `VINSMOKE@${sessionId}`;
+        const link = this.linkStates.get(fullSessionId);
+
+        if (link) {
+            return this.toPublicLinkState(link);
+        }
+
+        const session = await this.store.getSession(fullSessionId);
+
+        if (!session || !session.isGood || !session.isPermanent) {
+            return null;
+        }
+
+        const storedAt = session.connectedAt || session.importedAt || session.createdAt;
+        return {
+            sessionId: fullSessionId,
+            state: 'stored',
+            reason: null,
+            createdAt: session.createdAt,
+            updatedAt: storedAt,
+            history: [{ state: 'stored', at: storedAt }]
+        };
+    }
+
+    hashClaimToken(claimToken) {
+        return crypto.createHash('sha256').update(claimToken).digest('hex');
+    }
+
+    // Create the creator's secret for a new session; only its hash is stored
+    async createClaimToken(sessionId) {
+        const claimToken = crypto.randomBytes(32).toString('base64url');
+
+        await this.store.updateTracking((tracking) => {
+            tracking.sessions = tracking.sessions.filter(s => s.sessionId !== sessionId);
+            tracking.sessions.push({
+                sessionId,
+                claimTokenHash: this.hashClaimToken(claimToken),
+                createdAt: new Date().toISOString(),
+                status: 'pending'
+            });
+        });
+
+        return claimToken;
+    }
+
+    async verifyClaimToken(sessionId, claimToken) {
+        try {
+            if (!claimToken || typeof claimToken !== 'string') {
+                return false;
+            }
+
+            const fullSessionId = sessionId.startsWith('VINSMOKE@') ? sessionId : `VINSMOKE@${sessionId}`;
+            const session = await this.store.getSession(fullSessionId);
+
+            // Failed links are gone from tracking, their state is still readable by the creator
+            const claimTokenHash = session?.claimTokenHash || this.linkStates.get(fullSessionId)?.claimTokenHash;
+
+            // Sessions created before claim tokens existed can only be reached by admins
+            if (!claimTokenHash) {
+                return false;
+            }
+
+            const expected = Buffer.from(claimTokenHash, 'hex');
+            const received = Buffer.from(this.hashClaimToken(claimToken), 'hex');
+            return crypto.timingSafeEqual(expected, received);
+        } catch (error) {
+            log.error('Claim token check error:', error.message);
+            return false;
+        }
+    }
+
+    async trackSession(sessionId) {
+        try {
+            const sessionData = {
+                sessionId,
+                createdAt: new Date().toISOString(),
+                expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(), // 30 days expiry
+                isPermanent: true // Mark as permanent to prevent deletion
+            };
+
+            await this.store.updateTracking((tracking) => {
+                tracking.sessions.push(sessionData);
+            });
+        } catch (error) {
+            log.error('Error tracking session:', error.message);
+        }
+    }
+
+    async markSessionAsGood(sessionId) {
+        try {
+            await this.store.updateSession(sessionId, {
+                isGood: true,
+                isPermanent: true,
+                connectedAt: new Date().toISOString()
+            });
+        } catch (error) {
             log.error('Error marking session as good:', error.message);
         }
     }
 
+    async updateTrackedSession(sessionId, updates) {
+        try {
+            await this.store.updateSession(sessionId, updates);
+        } catch (error) {
+            log.error('Error updating session tracking:', error.message);
+        }
+    }
+
     async removeSessionFromTracking(sessionId) {
         try {
-            const tracking = await fs.readJson(this.sessionTrackingFile);
-            tracking.sessions = tracking.sessions.filter(s => s.sessionId !== sessionId);
-            await fs.writeJson(this.sessionTrackingFile, tracking, { spaces: 2 });
+            await this.store.removeSession(sessionId);
         } catch (error) {
             log.error('Error removing session tracking:', error.message);
         }
@@ -641,8 +1460,7 @@ class WhatsAppService {
             const fullSessionId = sessionId.startsWith('VINSMOKE@') ? sessionId : `VINSMOKE@${sessionId}`;
             
             // Check if this is a good session before stopping
-            const tracking = await fs.readJson(this.sessionTrackingFile);
-            const session = tracking.sessions.find(s => s.sessionId === fullSessionId);
+            const session = await this.store.getSession(fullSessionId);
             
             // Protect good sessions from accidental deletion
             if (session && session.isGood && session.isPermanent) {
@@ -679,8 +1497,7 @@ class WhatsAppService {
             const fullSessionId = sessionId.startsWith('VINSMOKE@') ? sessionId : `VINSMOKE@${sessionId}`;
             
             // Check if session is tracked as good/permanent
-            const tracking = await fs.readJson(this.sessionTrackingFile);
-            const session = tracking.sessions.find(s => s.sessionId === fullSessionId);
+            const session = await this.store.getSession(fullSessionId);
             
             // If it's a good session and not an admin request, protect it
             if (session && session.isGood && session.isPermanent && !isAdminRequest) {
@@ -692,6 +1509,8 @@ class WhatsAppService {
             }
             
             // For admin requests or non-good sessions, proceed with deletion
+            await this.stopHosting(fullSessionId);
+
             const sessionData = this.activeSessions.get(fullSessionId);
             if (sessionData && sessionData.socket) {
                 try {
@@ -704,9 +1523,8 @@ class WhatsAppService {
             this.activeSessions.delete(fullSessionId);
             
             // Remove session files and tracking
-            const sessionPath = path.join(this.sessionsDir, fullSessionId);
-            if (await fs.pathExists(sessionPath)) {
-                await fs.remove(sessionPath);
+            if (await this.store.hasFiles(fullSessionId)) {
+                await this.store.removeFiles(fullSessionId);
                 log.debug(`Removed session: ${fullSessionId}`);
             }
             
@@ -724,9 +1542,10 @@ class WhatsAppService {
     }
 
     startCleanupTimer() {
-        // Cleanup bad sessions every 10 minutes
+        // Cleanup bad sessions and sweep expired ones every 10 minutes
         setInterval(() => {
             this.cleanupBadSessions();
+            this.sweepExpiredSessions();
         }, 10 * 60 * 1000);
 
         // Cleanup unscanned sessions every 5 minutes
@@ -737,43 +1556,50 @@ class WhatsAppService {
         // Initial cleanup after 30 seconds
         setTimeout(() => {
             this.cleanupBadSessions();
+            this.sweepExpiredSessions();
         }, 30000);
     }
 
+    // Linking socket open, slot reserved, queued, or a link state that can still change
+    isLinkInProgress(sessionId) {
+        const linkState = this.linkStates.get(sessionId)?.state;
+        return this.activeSessions.has(sessionId)
+            || this.reservedSlots.has(sessionId)
+            || this.creationQueue.some(entry => entry.sessionId === sessionId)
+            || (!!linkState && !FINAL_LINK_STATES.includes(linkState));
+    }
+
     async cleanupBadSessions() {
         try {
-            if (!(await fs.pathExists(this.sessionsDir))) {
-                return;
-            }
-
-            const tracking = await fs.readJson(this.sessionTrackingFile);
-            const sessionDirs = await fs.readdir(this.sessionsDir);
+            const sessions = await this.store.listSessions();
+            const sessionIds = await this.store.listSessionIds();
             let cleanedCount = 0;
 
-            for (const dirName of sessionDirs) {
-                if (dirName === '.gitkeep') continue;
+            for (const sessionId of sessionIds) {
+                const trackedSession = sessions.find(s => s.sessionId === sessionId);
 
-                const sessionPath = path.join(this.sessionsDir, dirName);
-                const stat = await fs.stat(sessionPath);
+                // Protect good sessions - only clean extra files
+                // (hosted and probed sessions keep their key files while connected)
+                if (trackedSession && trackedSession.isPermanent && trackedSession.isGood) {
+                    if (this.hostedSessions.has(sessionId) || this.verifyingSessions.has(sessionId)) continue;
 
-                if (stat.isDirectory()) {
-                    const trackedSession = tracking.sessions.find(s => s.sessionId === dirName);
-                    
-                    // Protect good sessions - only clean extra files
-                    if (trackedSession && trackedSession.isPermanent && trackedSession.isGood) {
-                        await this.ensureOnlyCredsExists(dirName);
-                        continue;
-                    }
+                    await this.ensureOnlyCredsExists(sessionId);
+                    await this.encryptSessionCreds(sessionId);
+                    continue;
+                }
 
-                    // Only remove bad sessions (failed to send messages or invalid)
-                    const isValidSession = await this.isValidSession(dirName);
-                    const isBadSession = trackedSession && trackedSession.isGood === false;
-                    
-                    if (!isValidSession || isBadSession) {
-                        await fs.remove(sessionPath);
-                        await this.removeSessionFromTracking(dirName);
-                        cleanedCount++;
-                    }
+                // A link in progress has no valid creds yet, but its tracking entry holds the claim token
+                // and the creator's options - leave it to the linking flow
+                if (this.isLinkInProgress(sessionId)) continue;
+
+                // Only remove bad sessions (failed to send messages or invalid)
+                const isValidSession = await this.isValidSession(sessionId);
+                const isBadSession = trackedSession && trackedSession.isGood === false;
+
+                if (!isValidSession || isBadSession) {
+                    await this.store.removeFiles(sessionId);
+                    await this.removeSessionFromTracking(sessionId);
+                    cleanedCount++;
                 }
             }
 
@@ -785,16 +1611,130 @@ class WhatsAppService {
         }
     }
 
-    async isValidSession(sessionId) {
+    // Expiry state from expiresAt: active, warning, grace (expired but renewable) or expired
+    // Removal comes a full grace period after the sweep moved the session into grace,
+    // so a server that was down past expiresAt still leaves the owner time to renew
+    getExpiryInfo(session) {
+        const { enabled, warningPeriod, gracePeriod } = getExpiryConfig();
+        const expiresAt = session.expiresAt ? new Date(session.expiresAt).getTime() : null;
+
+        if (!enabled || !expiresAt) {
+            return { state: 'active', expiresAt: session.expiresAt || null, removeAt: null, warning: null };
+        }
+
+        const now = Date.now();
+        const graceStartedAt = session.expiryState === 'grace' && session.expiryStateAt
+            ? new Date(session.expiryStateAt).getTime()
+            : null;
+        const removeAtMs = Math.max(expiresAt, graceStartedAt ?? now) + gracePeriod;
+        const removeAt = new Date(removeAtMs).toISOString();
+        let state = 'active';
+        let warning = null;
+
+        if (graceStartedAt !== null && now >= removeAtMs) {
+            state = 'expired';
+            warning = 'Session expired and is being removed';
+        } else if (now >= expiresAt) {
+            state = 'grace';
+            warning = `Session expired, renew it before ${removeAt} or it will be removed`;
+        } else if (now >= expiresAt - warningPeriod) {
+            state = 'warning';
+            warning = `Session expires at ${session.expiresAt}, renew it to keep it`;
+        }
+
+        return { state, expiresAt: session.expiresAt, removeAt, warning };
+    }
+
+    emitExpiry(sessionId, expiry) {
+        this.io.to(sessionId).emit('session-expiry', { sessionId, ...expiry });
+    }
+
+    // Move stored sessions through warning -> grace -> removal, notifying on each change
+    async sweepExpiredSessions() {
+        if (!getExpiryConfig().enabled) return;
+
         try {
-            const sessionPath = path.join(this.sessionsDir, sessionId);
-            const credsPath = path.join(sessionPath, 'creds.json');
+            const expiredSessions = [];
+
+            await this.store.updateTracking((tracking) => {
+                for (const session of tracking.sessions.filter(s => s.isGood && s.isPermanent)) {
+                    // Entries stored before expiry was tracked (or by trackSession) start a full lifetime now
+                    if (!session.expiryState) {
+                        session.expiresAt = new Date(Date.now() + getExpiryConfig().lifetime).toISOString();
+                        session.expiryState = 'active';
+                        session.expiryStateAt = new Date().toISOString();
+                        continue;
+                    }
 
-            if (!(await fs.pathExists(credsPath))) {
-                return false;
+                    const expiry = this.getExpiryInfo(session);
+
+                    if (expiry.state === 'expired') {
+                        expiredSessions.push({ sessionId: session.sessionId, expiry });
+                        continue;
+                    }
+
+                    if (session.expiryState !== expiry.state) {
+                        session.expiryState = expiry.state;
+                        session.expiryStateAt = new Date().toISOString();
+
+                        if (expiry.state !== 'active') {
+                            this.emitExpiry(session.sessionId, expiry);
+                        }
+                    }
+                }
+            });
+
+            for (const { sessionId, expiry } of expiredSessions) {
+                this.emitExpiry(sessionId, expiry);
+                await this.stopSessionSafely(sessionId, true);
+            }
+
+            if (expiredSessions.length > 0) {
+                log.info(`Removed ${expiredSessions.length} expired sessions`);
+            }
+        } catch (error) {
+            log.error('Expiry sweep error:', error.message);
+        }
+    }
+
+    // Extend expiresAt by the renewal period (never shortens it)
+    async renewSession(sessionId) {
+        const fullSessionId = sessionId.startsWith('VINSMOKE@') ? sessionId : `VINSMOKE@${sessionId}`;
+
+        let previousExpiresAt = null;
+        const session = await this.store.updateTracking((tracking) => {
+            const entry = tracking.sessions.find(s => s.sessionId === fullSessionId && s.isGood && s.isPermanent);
+            if (!entry) {
+                return null;
             }
 
-            const creds = await fs.readJson(credsPath);
+            previousExpiresAt = entry.expiresAt || null;
+            const renewedUntil = Date.now() + getExpiryConfig().renewalPeriod;
+            const currentExpiry = previousExpiresAt ? new Date(previousExpiresAt).getTime() : 0;
+            const now = new Date().toISOString();
+
+            entry.expiresAt = new Date(Math.max(renewedUntil, currentExpiry)).toISOString();
+            entry.expiryState = 'active';
+            entry.expiryStateAt = now;
+            entry.renewedAt = now;
+            entry.renewalCount = (entry.renewalCount || 0) + 1;
+            return entry;
+        });
+
+        if (!session) {
+            return null;
+        }
+
+        const expiry = this.getExpiryInfo(session);
+        this.emitExpiry(fullSessionId, expiry);
+        log.info(`Session renewed: ${fullSessionId} until ${session.expiresAt}`);
+
+        return { sessionId: fullSessionId, previousExpiresAt, expiresAt: session.expiresAt, expiry };
+    }
+
+    async isValidSession(sessionId) {
+        try {
+            const creds = await this.readCredsJson(sessionId);
             return !!(creds.me && creds.me.id);
         } catch (error) {
             return false;
@@ -803,14 +1743,12 @@ class WhatsAppService {
 
     async ensureOnlyCredsExists(sessionId) {
         try {
-            const sessionPath = path.join(this.sessionsDir, sessionId);
-            const files = await fs.readdir(sessionPath);
+            const files = await this.store.listFiles(sessionId);
             
-            for (const file of files) {
-                if (file !== 'creds.json') {
-                    const filePath = path.join(sessionPath, file);
+            for (const { name } of files) {
+                if (name !== 'creds.json') {
                     try {
-                        await fs.remove(filePath);
+                        await this.store.removeFile(sessionId, name);
                     } catch (error) {
                         // Silent fail
                     }
@@ -831,31 +1769,495 @@ class WhatsAppService {
 
                 if (age > maxAge && !sessionData.connected) {
                     log.debug(`Timeout unscanned session: ${sessionId}`);
+                    if (this.isAwaitingLink(sessionId)) {
+                        this.setLinkState(sessionId, 'timed-out');
+                    }
                     await this.cleanupFailedSession(sessionId);
                     this.activeSessions.delete(sessionId);
                 }
             }
+
+            // Forget linking states once polling clients had time to read them
+            for (const [sessionId, link] of this.linkStates.entries()) {
+                if (now - new Date(link.updatedAt).getTime() > LINK_STATE_TTL) {
+                    this.linkStates.delete(sessionId);
+                }
+            }
         } catch (error) {
             log.error('Unscanned cleanup error:', error.message);
         }
     }
 
+    // Keep-alive hosting: the linked socket stays connected and is reconnected on drop
+    // Status: starting, online, reconnecting, logged_out, failed
+    async startHosting(sessionId) {
+        const fullSessionId = sessionId.startsWith('VINSMOKE@') ? sessionId : `VINSMOKE@${sessionId}`;
+
+        const existing = this.hostedSessions.get(fullSessionId);
+        if (existing && !ENDED_HOSTED_STATUSES.includes(existing.status)) {
+            return this.getHostedStatus(existing);
+        }
+
+        const session = await this.store.getSession(fullSessionId);
+        if (!session || !session.isGood || !(await this.isValidSession(fullSessionId))) {
+            throw new Error('Session not found');
+        }
+
+        const { maxHostedSessions } = getHostingConfig();
+        const liveHosted = [...this.hostedSessions.values()].filter(h => !ENDED_HOSTED_STATUSES.includes(h.status));
+        if (liveHosted.length >= maxHostedSessions) {
+            throw new Error(`Maximum hosted sessions limit reached (${maxHostedSessions})`);
+        }
+
+        const hosted = {
+            sessionId: fullSessionId,
+            socket: null,
+            status: 'starting',
+            startedAt: new Date().toISOString(),
+            connectedAt: null,
+            lastDisconnectAt: null,
+            lastDisconnectReason: null,
+            reconnectAttempts: 0,
+            reconnectTimer: null,
+            stopping: false
+        };
+
+        this.hostedSessions.set(fullSessionId, hosted);
+        await this.updateTrackedSession(fullSessionId, { keepAlive: true });
+        await this.connectHostedSession(hosted);
+
+        log.info(`Hosting: ${fullSessionId}`);
+        return this.getHostedStatus(hosted);
+    }
+
+    async connectHostedSession(hosted) {
+        try {
+            const version = await this.checkVersion();
+            const { state, saveCreds } = await useStoreAuthState(this.store, hosted.sessionId, { encrypt: true });
+            const sock = this.createSocket(state, version);
+
+            hosted.socket = sock;
+            sock.ev.on('creds.update', saveCreds);
+
+            sock.ev.on('connection.update', async ({ connection, lastDisconnect }) => {
+                // Ignore events from a socket that was already replaced or stopped
+                if (hosted.socket !== sock) return;
+
+                if (connection === 'open') {
+                    hosted.reconnectAttempts = 0;
+                    hosted.connectedAt = new Date().toISOString();
+                    this.setHostedStatus(hosted, 'online');
+                    log.success(`Hosted online: ${hosted.sessionId}`);
+                } else if (connection === 'close') {
+                    await this.handleHostedClose(hosted, lastDisconnect);
+                }
+            });
+        } catch (error) {
+            log.error(`Hosted connect failed (${hosted.sessionId}):`, error.message);
+            this.scheduleHostedReconnect(hosted);
+        }
+    }
+
+    async handleHostedClose(hosted, lastDisconnect) {
+        hosted.socket = null;
+        hosted.lastDisconnectAt = new Date().toISOString();
+        hosted.lastDisconnectReason = lastDisconnect?.error?.message || 'Connection closed';
+
+        if (hosted.stopping) return;
+
+        if (ConnectionHelper.shouldReconnect(lastDisconnect)) {
+            this.scheduleHostedReconnect(hosted);
+            return;
+        }
+
+        // Unlinked from the phone (or rejected for good) - stop hosting, keep the record for admins
+        const reason = lastDisconnect?.error?.output?.statusCode;
+        const loggedOut = reason === DisconnectReason.loggedOut;
+
+        this.setHostedStatus(hosted, loggedOut ? 'logged_out' : 'failed');
+        await this.updateTrackedSession(hosted.sessionId, loggedOut
+            ? { keepAlive: false, status: 'logged_out' }
+            : { keepAlive: false });
+
+        log.warn(`Hosting ended (${hosted.sessionId}):`, hosted.lastDisconnectReason);
+    }
+
+    scheduleHostedReconnect(hosted) {
+        const { maxReconnectAttempts } = getHostingConfig();
+        hosted.reconnectAttempts++;
+
+        if (maxReconnectAttempts && hosted.reconnectAttempts > maxReconnectAttempts) {
+            this.setHostedStatus(hosted, 'failed');
+            log.warn(`Hosting gave up after ${maxReconnectAttempts} reconnects: ${hosted.sessionId}`);
+            return;
+        }
+
+        this.setHostedStatus(hosted, 'reconnecting');
+
+        const delay = ConnectionHelper.getReconnectDelay(hosted.reconnectAttempts);
+        hosted.reconnectTimer = setTimeout(() => {
+            hosted.reconnectTimer = null;
+            if (!hosted.stopping) {
+                this.connectHostedSession(hosted);
+            }
+        }, delay);
+    }
+
+    setHostedStatus(hosted, status) {
+        hosted.status = status;
+        this.io.to(hosted.sessionId).emit('hosted-status', this.getHostedStatus(hosted));
+    }
+
+    async stopHosting(sessionId) {
+        const fullSessionId = sessionId.startsWith('VINSMOKE@') ? sessionId : `VINSMOKE@${sessionId}`;
+        const hosted = this.hostedSessions.get(fullSessionId);
+
+        if (!hosted) {
+            return null;
+        }
+
+        hosted.stopping = true;
+        clearTimeout(hosted.reconnectTimer);
+
+        const sock = hosted.socket;
+        hosted.socket = null;
+        if (sock) {
+            try {
+                sock.end();
+            } catch (error) {
+                // Silent fail
+            }
+        }
+
+        this.hostedSessions.delete(fullSessionId);
+        hosted.status = 'stopped';
+
+        // Back to a plain stored session: creds.json only, encrypted
+        await this.updateTrackedSession(fullSessionId, { keepAlive: false });
+        await this.ensureOnlyCredsExists(fullSessionId);
+        await this.encryptSessionCreds(fullSessionId);
+
+        log.info(`Hosting stopped: ${fullSessionId}`);
+        return this.getHostedStatus(hosted);
+    }
+
+    getHostedStatus(hosted) {
+        const { socket, reconnectTimer, stopping, ...status } = hosted;
+        return status;
+    }
+
+    listHostedSessions() {
+        return Array.from(this.hostedSessions.values()).map(hosted => this.getHostedStatus(hosted));
+    }
+
+    async resumeHostedSessions() {
+        try {
+            const keepAliveSessions = (await this.store.listSessions()).filter(s => s.isGood && s.isPermanent && s.keepAlive);
+
+            for (const session of keepAliveSessions) {
+                try {
+                    await this.startHosting(session.sessionId);
+                } catch (error) {
+                    log.error(`Resume hosting failed (${session.sessionId}):`, error.message);
+                }
+            }
+        } catch (error) {
+            log.error('Resume hosting error:', error.message);
+        }
+    }
+
+    startVerificationTimer() {
+        const { interval } = getVerificationConfig();
+        if (!interval) return;
+
+        setInterval(() => {
+            this.verifyAllSessions().catch(error => log.error('Scheduled verification error:', error.message));
+        }, interval);
+    }
+
+    // Liveness check for one stored session: linked, logged_out or error
+    // Updates status/lastVerifiedAt in tracking and optionally purges logged out sessions
+    async verifySession(sessionId, { purge = getVerificationConfig().purgeLoggedOut } = {}) {
+        const fullSessionId = sessionId.startsWith('VINSMOKE@') ? sessionId : `VINSMOKE@${sessionId}`;
+
+        const session = await this.store.getSession(fullSessionId);
+        if (!session || !session.isGood || !session.isPermanent) {
+            throw new Error('Session not found');
+        }
+
+        let outcome;
+        const hosted = this.hostedSessions.get(fullSessionId);
+
+        if (hosted) {
+            // A second socket would replace the hosted connection, use its live status instead
+            outcome = hosted.status === 'online' ? { result: 'linked', error: null }
+                : hosted.status === 'logged_out' ? { result: 'logged_out', error: null }
+                : { result: 'error', error: `Hosted session is ${hosted.status}` };
+        } else if (!(await this.isValidSession(fullSessionId))) {
+            outcome = { result: 'error', error: 'Missing or invalid creds.json' };
+        } else {
+            outcome = await this.probeSession(fullSessionId);
+        }
+
+        const verifiedAt = new Date().toISOString();
+        const updates = {
+            lastVerifiedAt: verifiedAt,
+            lastVerificationResult: outcome.result,
+            lastVerificationError: outcome.error
+        };
+
+        // Errors are usually transient (network, WhatsApp), so they leave the status alone
+        // A superseded session that still works stays superseded
+        if (outcome.result === 'linked' && session.status !== 'superseded') updates.status = 'active';
+        if (outcome.result === 'logged_out') updates.status = 'logged_out';
+
+        await this.updateTrackedSession(fullSessionId, updates);
+
+        let purged = false;
+        if (outcome.result === 'logged_out' && purge) {
+            const removal = await this.stopSessionSafely(fullSessionId, true);
+            purged = removal.success;
+            log.info(`Purged logged out session: ${fullSessionId}`);
+        }
+
+        return { sessionId: fullSessionId, ...outcome, verifiedAt, purged };
+    }
+
+    // Open a short-lived socket with the stored creds and report how it ends
+    async probeSession(sessionId) {
+        const { timeout } = getVerificationConfig();
+        let sock = null;
+        this.verifyingSessions.add(sessionId);
+
+        try {
+            const version = await this.checkVersion();
+            const { state, saveCreds } = await useStoreAuthState(this.store, sessionId, { encrypt: true });
+            sock = this.createSocket(state, version);
+            sock.ev.on('creds.update', saveCreds);
+
+            return await new Promise((resolve) => {
+                const timer = setTimeout(() => resolve({ result: 'error', error: 'Verification timed out' }), timeout);
+
+                sock.ev.on('connection.update', ({ connection, lastDisconnect }) => {
+                    if (connection === 'open') {
+                        clearTimeout(timer);
+                        resolve({ result: 'linked', error: null });
+                    } else if (connection === 'close') {
+                        clearTimeout(timer);
+                        const reason = lastDisconnect?.error?.output?.statusCode;
+                        resolve(reason === DisconnectReason.loggedOut
+                            ? { result: 'logged_out', error: null }
+                            : { result: 'error', error: lastDisconnect?.error?.message || 'Connection closed' });
+                    }
+                });
+            });
+        } catch (error) {
+            return { result: 'error', error: error.message };
+        } finally {
+            if (sock) {
+                try {
+                    sock.end();
+                } catch (error) {
+                    // Silent fail
+                }
+            }
+            // Back to creds.json only, encrypted
+            await this.ensureOnlyCredsExists(sessionId);
+            await this.encryptSessionCreds(sessionId);
+            this.verifyingSessions.delete(sessionId);
+        }
+    }
+
+    // Verify every stored session one at a time; only one run at once
+    async verifyAllSessions({ purge = getVerificationConfig().purgeLoggedOut } = {}) {
+        if (this.verificationRun?.running) {
+            throw new Error('Verification already running');
+        }
+
+        const { delayBetween } = getVerificationConfig();
+        const run = {
+            running: true,
+            purge,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            total: 0,
+            checked: 0,
+            linked: 0,
+            loggedOut: 0,
+            errors: 0,
+            purged: 0,
+            results: []
+        };
+        this.verificationRun = run;
+
+        try {
+            const sessions = await this.getAllSessions();
+            run.total = sessions.length;
+
+            for (const [index, session] of sessions.entries()) {
+                if (index > 0) {
+                    await new Promise(r => setTimeout(r, delayBetween));
+                }
+
+                let result;
+                try {
+                    result = await this.verifySession(session.sessionId, { purge });
+                } catch (error) {
+                    result = { sessionId: session.sessionId, result: 'error', error: error.message, purged: false };
+                }
+
+                run.results.push(result);
+                run.checked++;
+                if (result.result === 'linked') run.linked++;
+                if (result.result === 'logged_out') run.loggedOut++;
+                if (result.result === 'error') run.errors++;
+                if (result.purged) run.purged++;
+            }
+
+            log.info(`Verified ${run.checked} sessions: ${run.linked} linked, ${run.loggedOut} logged out, ${run.errors} errors`);
+        } finally {
+            run.running = false;
+            run.finishedAt = new Date().toISOString();
+        }
+
+        return run;
+    }
+
+    getVerificationStatus() {
+        return this.verificationRun;
+    }
+
+    // Import stored sessions from uploaded creds.json content
+    // entries: [{ source, sessionId, content }] - sessionId is optional (VINSMOKE@ IDs are kept)
+    // Returns one result per entry; invalid files and duplicates are reported, not thrown
+    async importSessions(entries, importedBy = null) {
+        await this.ensureInitialized();
+
+        const sessions = await this.store.listSessions();
+        const knownAccounts = await this.getStoredAccountIds(sessions);
+        const importedSessions = [];
+        const results = [];
+
+        for (const entry of entries) {
+            const result = { source: entry.source, success: false, sessionId: null, userPhoneNumber: null, error: null };
+            results.push(result);
+
+            // Validate the same way isValidSession does: parseable JSON with an account id
+            let creds;
+            try {
+                if (!entry.content) {
+                    throw new Error('creds.json is empty or too large');
+                }
+                creds = JSON.parse(entry.content.toString('utf8'));
+            } catch (error) {
+                result.error = error.message.startsWith('creds.json') ? error.message : 'creds.json is not valid JSON';
+                continue;
+            }
+
+            if (!creds || !creds.me || !creds.me.id) {
+                result.error = creds?.format ? 'creds.json is encrypted' : 'Invalid creds.json content (no linked account)';
+                continue;
+            }
+
+            const sessionId = entry.sessionId || `VINSMOKE@${crypto.randomUUID()}`;
+            if (!/^VINSMOKE@[\w.-]+$/.test(sessionId)) {
+                result.error = `Invalid session ID: ${sessionId}`;
+                continue;
+            }
+
+            if (sessions.some(s => s.sessionId === sessionId)
+                || importedSessions.some(s => s.sessionId === sessionId)
+                || await this.store.hasFiles(sessionId)) {
+                result.error = 'Duplicate session ID';
+                result.duplicateOf = sessionId;
+                continue;
+            }
+
+            if (knownAccounts.has(creds.me.id)) {
+                result.error = 'Duplicate account (already stored)';
+                result.duplicateOf = knownAccounts.get(creds.me.id);
+                continue;
+            }
+
+            try {
+                await this.store.writeFile(sessionId, 'creds.json', entry.content);
+                await this.encryptSessionCreds(sessionId);
+
+                const now = new Date().toISOString();
+                const userPhoneNumber = this.extractPhoneNumber(creds);
+
+                importedSessions.push({
+                    sessionId,
+                    userPhoneNumber,
+                    claimTokenHash: null, // Imported sessions are managed by admins only
+                    createdAt: now,
+                    connectedAt: null,
+                    importedAt: now,
+                    importedBy,
+                    importSource: entry.source,
+                    expiresAt: new Date(Date.now() + getExpiryConfig().lifetime).toISOString(),
+                    expiryState: 'active',
+                    expiryStateAt: new Date().toISOString(),
+                    isPermanent: true,
+                    isGood: true,
+                    keepAlive: false,
+                    status: 'active'
+                });
+
+                knownAccounts.set(creds.me.id, sessionId);
+
+                Object.assign(result, { success: true, sessionId, userPhoneNumber });
+            } catch (error) {
+                log.error(`Import failed (${entry.source}):`, error.message);
+                await this.store.removeFiles(sessionId);
+                result.error = 'Failed to store session';
+            }
+        }
+
+        if (importedSessions.length > 0) {
+            await this.store.updateTracking((tracking) => {
+                tracking.sessions.push(...importedSessions);
+            });
+            log.success(`Imported ${importedSessions.length} sessions`);
+        }
+
+        return results;
+    }
+
+    // Map of WhatsApp account id (creds.me.id) -> sessionId for every stored session
+    async getStoredAccountIds(sessions) {
+        const accounts = new Map();
+
+        for (const session of sessions.filter(s => s.isGood && s.isPermanent)) {
+            try {
+                const creds = await this.readCredsJson(session.sessionId);
+                if (creds.me?.id) {
+                    accounts.set(creds.me.id, session.sessionId);
+                }
+            } catch (error) {
+                // Missing or unreadable creds cannot collide with an import
+            }
+        }
+
+        return accounts;
+    }
+
     async getSession(sessionId) {
         try {
-            const tracking = await fs.readJson(this.sessionTrackingFile);
-            const session = tracking.sessions.find(s => s.sessionId === sessionId);
+            const session = await this.store.getSession(sessionId);
             
             if (!session || !session.isPermanent || !session.isGood) {
                 return null;
             }
 
             // Check if creds.json exists
-            const sessionPath = path.join(this.sessionsDir, sessionId);
-            const credsPath = path.join(sessionPath, 'creds.json');
-            const hasValidCreds = await fs.pathExists(credsPath);
+            const hasValidCreds = !!(await this.store.statFile(sessionId, 'creds.json'));
+            const { claimTokenHash, ...publicSession } = session;
 
             return {
-                ...session,
+                ...publicSession,
+                hostedStatus: this.hostedSessions.get(sessionId)?.status || null,
+                expiry: this.getExpiryInfo(session),
                 hasValidCreds,
                 fileCount: hasValidCreds ? 1 : 0
             };
@@ -866,23 +2268,16 @@ class WhatsAppService {
     }
     async getSessionFiles(sessionId) {
         try {
-            const sessionPath = path.join(this.sessionsDir, sessionId);
-
-            if (!(await fs.pathExists(sessionPath))) {
-                return null;
-            }
-
             // Only return creds.json for valid sessions
-            const credsPath = path.join(sessionPath, 'creds.json');
-            if (!(await fs.pathExists(credsPath))) {
+            const stats = await this.store.statFile(sessionId, 'creds.json');
+            if (!stats) {
                 return null;
             }
 
-            const stats = await fs.stat(credsPath);
             return {
                 'creds.json': {
                     size: stats.size,
-                    modified: stats.mtime,
+                    modified: stats.modified,
                     downloadUrl: `/api/session/${sessionId}/file/creds.json`
                 }
             };
@@ -899,24 +2294,20 @@ class WhatsAppService {
                 return null;
             }
 
-            const sessionPath = path.join(this.sessionsDir, sessionId);
-            const filePath = path.join(sessionPath, fileName);
-
-            if (!filePath.startsWith(sessionPath) || !(await fs.pathExists(filePath))) {
+            const stats = await this.store.statFile(sessionId, fileName);
+            if (!stats) {
                 return null;
             }
 
-            const stats = await fs.stat(filePath);
-            if (!stats.isFile()) {
+            const buffer = await this.readCreds(sessionId);
+            if (!buffer) {
                 return null;
             }
 
-            const buffer = await fs.readFile(filePath);
-
             return {
                 buffer: buffer,
-                size: stats.size,
-                modified: stats.mtime,
+                size: buffer.length,
+                modified: stats.modified,
                 fileName: fileName
             };
         } catch (error) {
@@ -925,10 +2316,45 @@ class WhatsAppService {
         }
     }
 
+    // Every stored file of a session ({ name, size, modified }), null when it has none
+    async listSessionFiles(sessionId) {
+        const files = await this.store.listFiles(sessionId);
+        return files.length > 0 ? files : null;
+    }
+
+    // Raw content of any stored file (creds.json decrypted in memory), null when missing
+    async readSessionFile(sessionId, fileName) {
+        const raw = await this.store.readFile(sessionId, fileName);
+        if (!raw) {
+            return null;
+        }
+        return fileName === 'creds.json' ? decodeCredsBuffer(raw) : raw;
+    }
+
+    // Compressed, checksummed string embedding the creds (see utils/sessionString.js)
+    async getSessionString(sessionId) {
+        const session = await this.getSession(sessionId);
+        if (!session || !session.hasValidCreds) {
+            return null;
+        }
+
+        const fileData = await this.getSessionFile(sessionId, 'creds.json');
+        return {
+            sessionId,
+            userPhoneNumber: session.userPhoneNumber || null,
+            sessionString: encodeSessionString(fileData.buffer)
+        };
+    }
+
     async getAllSessions() {
         try {
-            const tracking = await fs.readJson(this.sessionTrackingFile);
-            return tracking.sessions.filter(session => session.isPermanent && session.isGood);
+            return (await this.store.listSessions())
+                .filter(session => session.isPermanent && session.isGood)
+                .map(({ claimTokenHash, fallback, ...session }) => ({
+                    ...session,
+                    hostedStatus: this.hostedSessions.get(session.sessionId)?.status || null,
+                    expiry: this.getExpiryInfo(session)
+                }));
         } catch (error) {
             log.error('Get all sessions error:', error.message);
             return [];
@@ -937,28 +2363,21 @@ class WhatsAppService {
 
     async getAllSessionFiles(sessionId) {
         try {
-            const sessionPath = path.join(this.sessionsDir, sessionId);
-
-            if (!(await fs.pathExists(sessionPath))) {
-                return null;
-            }
-
             // Only return creds.json for valid sessions
-            const credsPath = path.join(sessionPath, 'creds.json');
-            if (!(await fs.pathExists(credsPath))) {
+            const stats = await this.store.statFile(sessionId, 'creds.json');
+            if (!stats) {
                 return null;
             }
 
-            const stats = await fs.stat(credsPath);
-            const buffer = await fs.readFile(credsPath);
+            const buffer = await this.readCreds(sessionId);
 
             return {
                 sessionId,
                 totalFiles: 1,
                 files: [{
                     name: 'creds.json',
-                    size: stats.size,
-                    modified: stats.mtime,
+                    size: buffer.length,
+                    modified: stats.modified,
                     content: buffer.toString('base64'),
                     downloadUrl: `/api/session/${sessionId}/file/creds.json`
                 }]
@@ -971,24 +2390,16 @@ class WhatsAppService {
 
     async getSessionFileList(sessionId) {
         try {
-            const sessionPath = path.join(this.sessionsDir, sessionId);
-
-            if (!(await fs.pathExists(sessionPath))) {
-                return null;
-            }
-
             // Only return creds.json for valid sessions
-            const credsPath = path.join(sessionPath, 'creds.json');
-            if (!(await fs.pathExists(credsPath))) {
+            const stats = await this.store.statFile(sessionId, 'creds.json');
+            if (!stats) {
                 return null;
             }
 
-            const stats = await fs.stat(credsPath);
-
             return [{
                 name: 'creds.json',
                 size: stats.size,
-                modified: stats.mtime,
+                modified: stats.modified,
                 downloadUrl: `/api/session/${sessionId}/file/creds.json`
             }];
         } catch (error) {
@@ -999,30 +2410,25 @@ class WhatsAppService {
 
     async downloadAllSessionFiles(sessionId) {
         try {
-            const sessionPath = path.join(this.sessionsDir, sessionId);
-
-            if (!(await fs.pathExists(sessionPath))) {
-                return null;
-            }
-
             // Only include creds.json in the zip
-            const credsPath = path.join(sessionPath, 'creds.json');
-            if (!(await fs.pathExists(credsPath))) {
+            const stats = await this.store.statFile(sessionId, 'creds.json');
+            if (!stats) {
                 return null;
             }
 
             const archiver = (await import('archiver')).default;
             const archive = archiver('zip', { zlib: { level: 9 } });
 
-            const stats = await fs.stat(credsPath);
-            archive.file(credsPath, { name: 'creds.json' });
+            // Decrypted in memory, plaintext never touches the disk
+            const buffer = await this.readCreds(sessionId);
+            archive.append(buffer, { name: 'creds.json' });
 
             return {
                 archive,
                 files: [{
                     name: 'creds.json',
-                    size: stats.size,
-                    modified: stats.mtime
+                    size: buffer.length,
+                    modified: stats.modified
                 }],
                 sessionId
             };
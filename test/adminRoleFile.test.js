@@ -0,0 +1,80 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'admin-roles-'));
+const roleFile = path.join(tempDir, 'admin-roles.json');
+
+process.env.ADMIN_USER_IDS = '111';
+process.env.ADMIN_ROLES_FILE = roleFile;
+
+const { PERMISSIONS, addAdmin, removeAdmin, listAdmins, getUserRoles, hasPermission } = await import('../config/admin.js');
+
+after(async () => {
+  await fs.remove(tempDir);
+});
+
+test('added admins get their roles immediately and lose them on removal', async () => {
+  const added = await addAdmin('local:bob', ['session-admin'], 'github:111');
+
+  assert.equal(added.identity, 'local:bob');
+  assert.deepEqual(added.previousRoles, []);
+  assert.ok(hasPermission({ provider: 'local', providerId: 'bob' }, PERMISSIONS.SESSIONS_DELETE));
+
+  const listed = listAdmins().find(admin => admin.identity === 'local:bob');
+  assert.equal(listed.source, 'data');
+  assert.equal(listed.removable, true);
+  assert.equal(listed.addedBy, 'github:111');
+
+  await removeAdmin('local:bob');
+  assert.deepEqual(getUserRoles({ provider: 'local', providerId: 'bob' }), []);
+});
+
+test('re-adding an admin replaces their roles and keeps when they were added', async () => {
+  const first = await addAdmin('222', 'read-only');
+  const second = await addAdmin('github:222', ['faq-editor']);
+
+  assert.equal(second.addedAt, first.addedAt);
+  assert.deepEqual(second.previousRoles, ['read-only']);
+  assert.deepEqual(getUserRoles({ id: 222 }), ['faq-editor']);
+
+  await removeAdmin('222');
+});
+
+test('invalid identities and roles are rejected', async () => {
+  await assert.rejects(addAdmin('unknown:1', ['owner']), { code: 'INVALID_IDENTITY' });
+  await assert.rejects(addAdmin('github:login:bob', ['owner']), { code: 'INVALID_IDENTITY' });
+  await assert.rejects(addAdmin('local:', ['owner']), { code: 'INVALID_IDENTITY' });
+  await assert.rejects(addAdmin('local:bob', ['superuser']), { code: 'INVALID_ROLE' });
+  await assert.rejects(addAdmin('local:bob', []), { code: 'INVALID_ROLE' });
+});
+
+test('bootstrap admins cannot be changed or removed at runtime', async () => {
+  await assert.rejects(addAdmin('111', ['read-only']), { code: 'BOOTSTRAP_ADMIN' });
+  await assert.rejects(removeAdmin('github:111'), { code: 'BOOTSTRAP_ADMIN' });
+  assert.deepEqual(getUserRoles({ id: 111 }), ['owner']);
+});
+
+test('removing an unknown admin fails without touching the file', async () => {
+  await addAdmin('local:carol', ['read-only']);
+  const content = await fs.readFile(roleFile, 'utf8');
+
+  await assert.rejects(removeAdmin('local:nobody'), { code: 'ADMIN_NOT_FOUND' });
+  assert.equal(await fs.readFile(roleFile, 'utf8'), content);
+
+  await removeAdmin('local:carol');
+});
+
+test('concurrent updates are all applied and leave no temp files', async () => {
+  const identities = Array.from({ length: 20 }, (_, i) => `local:user${i}`);
+
+  await Promise.all(identities.map(identity => addAdmin(identity, ['read-only'])));
+  await Promise.all([removeAdmin('local:user0'), addAdmin('local:user1', ['faq-editor'])]);
+
+  const admins = listAdmins().filter(admin => admin.source === 'data');
+  assert.equal(admins.length, 19);
+  assert.deepEqual(admins.find(admin => admin.identity === 'local:user1').roles, ['faq-editor']);
+  assert.deepEqual(await fs.readdir(tempDir), ['admin-roles.json']);
+});
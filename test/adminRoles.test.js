@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+
+process.env.ADMIN_USER_IDS = '111,local:alice';
+process.env.ADMIN_USERS = 'manjisama1';
+process.env.ADMIN_ROLES = '222:faq-editor,oidc:abc:read-only,333:not-a-role';
+process.env.ADMIN_ROLES_FILE = path.join(os.tmpdir(), `admin-roles-missing-${process.pid}.json`);
+
+const { PERMISSIONS, ROLES, getUserRoles, getUserPermissions, hasPermission, isAdmin } = await import('../config/admin.js');
+
+test('bootstrap admins are owners with every permission', () => {
+  for (const user of [{ id: 111 }, { provider: 'local', providerId: 'alice' }, { id: 999, login: 'manjisama1' }]) {
+    assert.deepEqual(getUserRoles(user), ['owner']);
+    assert.deepEqual(getUserPermissions(user).sort(), Object.values(PERMISSIONS).sort());
+  }
+});
+
+test('role assignments grant only the permissions of their role', () => {
+  const editor = { id: 222 };
+
+  assert.deepEqual(getUserRoles(editor), ['faq-editor']);
+  assert.ok(hasPermission(editor, PERMISSIONS.FAQS_EDIT));
+  assert.ok(!hasPermission(editor, PERMISSIONS.SESSIONS_DELETE));
+  assert.ok(!hasPermission(editor, PERMISSIONS.ADMINS_MANAGE));
+  assert.deepEqual(getUserPermissions(editor).sort(), [...ROLES['faq-editor']].sort());
+});
+
+test('identities are namespaced per provider', () => {
+  assert.deepEqual(getUserRoles({ provider: 'oidc', providerId: 'abc' }), ['read-only']);
+  assert.deepEqual(getUserRoles({ provider: 'oidc', providerId: '111' }), []);
+  assert.deepEqual(getUserRoles({ provider: 'local', providerId: '222' }), []);
+});
+
+test('a login never matches an admin id', () => {
+  // A GitHub account named like an admin's numeric id
+  assert.deepEqual(getUserRoles({ id: 5, login: '111' }), []);
+  // The bootstrap username under another provider
+  assert.deepEqual(getUserRoles({ provider: 'local', providerId: 'x', login: 'manjisama1' }), []);
+});
+
+test('invalid role assignments and unknown users get nothing', () => {
+  for (const user of [{ id: 333 }, { id: 444, login: 'someone' }, null, undefined]) {
+    assert.deepEqual(getUserRoles(user), []);
+    assert.equal(isAdmin(user), false);
+    assert.equal(hasPermission(user, PERMISSIONS.STATS_READ), false);
+  }
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+process.env.ADMIN_TOKEN_SECRET = 'test-secret';
+process.env.ADMIN_TOKEN_TTL = '60000';
+
+const { issueTokens, signToken, verifyToken } = await import('../utils/adminToken.js');
+
+const user = { id: 42, login: 'sanji', provider: 'github' };
+
+// Sign an arbitrary header/payload with the test secret, for tokens signToken never issues
+const forge = (header, payload, secret = 'test-secret') => {
+  const unsigned = [header, payload].map(part => Buffer.from(JSON.stringify(part)).toString('base64url')).join('.');
+  return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+};
+
+const now = () => Math.floor(Date.now() / 1000);
+
+test('issued access and refresh tokens verify with their own type', () => {
+  const { token, refreshToken, expiresAt } = issueTokens(user, 'login-1');
+
+  const payload = verifyToken(token);
+  assert.equal(payload.sub, '42');
+  assert.equal(payload.sid, 'login-1');
+  assert.deepEqual(payload.user, user);
+  assert.equal(payload.exp - payload.iat, 60);
+  assert.ok(new Date(expiresAt) > new Date());
+
+  assert.equal(verifyToken(refreshToken, 'refresh').typ, 'refresh');
+});
+
+test('a token is rejected as the other type', () => {
+  const { token, refreshToken } = issueTokens(user);
+
+  assert.throws(() => verifyToken(refreshToken), { code: 'TOKEN_INVALID' });
+  assert.throws(() => verifyToken(token, 'refresh'), { code: 'TOKEN_INVALID' });
+});
+
+test('tampered payloads and signatures are rejected', () => {
+  const [header, payload, signature] = signToken(user).split('.');
+  const elevated = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), sub: '1' })).toString('base64url');
+  const flipped = `${signature.slice(0, -1)}${signature.endsWith('A') ? 'B' : 'A'}`;
+
+  assert.throws(() => verifyToken(`${header}.${elevated}.${signature}`), { code: 'TOKEN_INVALID' });
+  assert.throws(() => verifyToken(`${header}.${payload}.${flipped}`), { code: 'TOKEN_INVALID' });
+  assert.throws(() => verifyToken(`${header}.${payload}.`), { code: 'TOKEN_INVALID' });
+});
+
+test('tokens signed with another secret or algorithm are rejected', () => {
+  const payload = { typ: 'access', user, iat: now(), exp: now() + 60 };
+
+  assert.throws(() => verifyToken(forge({ alg: 'HS256' }, payload, 'other-secret')), { code: 'TOKEN_INVALID' });
+  assert.throws(() => verifyToken(forge({ alg: 'none' }, payload)), { code: 'TOKEN_INVALID' });
+});
+
+test('malformed input is rejected', () => {
+  for (const token of [undefined, null, 42, '', 'a.b', 'a.b.c.d', { token: 'x' }]) {
+    assert.throws(() => verifyToken(token), { code: 'TOKEN_INVALID' });
+  }
+});
+
+test('tokens without a user are rejected', () => {
+  assert.throws(() => verifyToken(forge({ alg: 'HS256' }, { typ: 'access', iat: now(), exp: now() + 60 })), { code: 'TOKEN_INVALID' });
+});
+
+test('expired, undated and future-issued tokens are rejected', () => {
+  const header = { alg: 'HS256', typ: 'JWT' };
+
+  assert.throws(() => verifyToken(forge(header, { typ: 'access', user, iat: now() - 120, exp: now() - 60 })), { code: 'TOKEN_EXPIRED' });
+  assert.throws(() => verifyToken(forge(header, { typ: 'access', user, iat: now() })), { code: 'TOKEN_EXPIRED' });
+  assert.throws(() => verifyToken(forge(header, { typ: 'access', user, iat: now() + 3600, exp: now() + 7200 })), { code: 'TOKEN_EXPIRED' });
+});
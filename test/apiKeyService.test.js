@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import ApiKeyService from '../services/apiKeyService.js';
+
+let tempDir;
+let service;
+
+before(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'api-keys-'));
+  service = new ApiKeyService({ apiKeysFile: path.join(tempDir, 'api-keys.json') });
+  await service.ensureInitialized();
+});
+
+after(async () => {
+  await fs.remove(tempDir);
+});
+
+test('a created key verifies and is never stored in plain text', async () => {
+  const { key, apiKey } = await service.createKey({ label: 'Bot', sessionIds: ['abc'] });
+
+  assert.match(key, /^vsk_/);
+  assert.deepEqual(apiKey.sessionIds, ['VINSMOKE@abc']);
+  assert.equal(apiKey.keyHash, undefined);
+  assert.ok(!(await fs.readFile(service.apiKeysFile, 'utf8')).includes(key));
+
+  const result = await service.verifyKey(key, 'VINSMOKE@abc');
+  assert.equal(result.valid, true);
+  assert.equal(result.apiKey.id, apiKey.id);
+});
+
+test('keys are limited to their sessions', async () => {
+  const { key } = await service.createKey({ sessionIds: ['abc'] });
+
+  assert.equal((await service.verifyKey(key, 'other')).valid, false);
+  assert.equal((await service.verifyKey(key)).valid, true);
+});
+
+test('unknown and malformed keys are rejected', async () => {
+  for (const key of [undefined, '', 'abc', 'vsk_unknown']) {
+    assert.equal((await service.verifyKey(key)).valid, false);
+  }
+});
+
+test('invalid input is rejected with INVALID_API_KEY_INPUT', async () => {
+  for (const input of [{ label: 5 }, { sessionIds: 'abc' }, { sessionIds: [''] }, { sessionIds: [1] }]) {
+    await assert.rejects(service.createKey(input), { code: 'INVALID_API_KEY_INPUT' });
+  }
+});
+
+test('concurrent creates are all kept', async () => {
+  const before = (await service.getAllKeys()).length;
+  await Promise.all(Array.from({ length: 10 }, (_, i) => service.createKey({ label: `Key ${i}` })));
+
+  assert.equal((await service.getAllKeys()).length, before + 10);
+});
+
+test('a verification running alongside a revocation does not restore the key', async () => {
+  const { key, apiKey } = await service.createKey({ label: 'Revoked' });
+
+  await Promise.all([service.verifyKey(key), service.revokeKey(apiKey.id)]);
+
+  assert.equal((await service.getKeyById(apiKey.id)).revoked, true);
+  assert.equal((await service.verifyKey(key)).valid, false);
+});
+
+test('last use is recorded once per throttle window', async () => {
+  const { key, apiKey } = await service.createKey({ label: 'Used' });
+
+  await service.verifyKey(key);
+  const { lastUsedAt } = await service.getKeyById(apiKey.id);
+  assert.ok(lastUsedAt);
+
+  await service.verifyKey(key);
+  assert.equal((await service.getKeyById(apiKey.id)).lastUsedAt, lastUsedAt);
+});
+
+test('updating or revoking an unknown key fails', async () => {
+  await assert.rejects(service.updateKey('missing', { label: 'x' }), /API key not found/);
+  await assert.rejects(service.revokeKey('missing'), /API key not found/);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import MemorySessionStore from '../services/sessionStores/memorySessionStore.js';
+
+// whatsappService needs Baileys, which is not installed everywhere the tests run
+const hasBaileys = await import('@whiskeysockets/baileys').then(() => true, () => false);
+const skip = !hasBaileys && '@whiskeysockets/baileys is not installed';
+const WhatsAppService = hasBaileys ? (await import('../services/whatsappService.js')).default : null;
+
+// Only the claim token methods, without opening any WhatsApp connection
+const createService = () => {
+  const service = Object.create(WhatsAppService.prototype);
+  service.store = new MemorySessionStore();
+  service.linkStates = new Map();
+  return service;
+};
+
+test('the creator token unlocks its session, with or without the prefix', { skip }, async () => {
+  const service = createService();
+  const claimToken = await service.createClaimToken('VINSMOKE@abc');
+
+  assert.equal(await service.verifyClaimToken('VINSMOKE@abc', claimToken), true);
+  assert.equal(await service.verifyClaimToken('abc', claimToken), true);
+});
+
+test('only the hash of the token is stored', { skip }, async () => {
+  const service = createService();
+  const claimToken = await service.createClaimToken('VINSMOKE@abc');
+  const session = await service.store.getSession('VINSMOKE@abc');
+
+  assert.equal(session.claimTokenHash, service.hashClaimToken(claimToken));
+  assert.ok(!JSON.stringify(session).includes(claimToken));
+});
+
+test('wrong, missing and foreign tokens are rejected', { skip }, async () => {
+  const service = createService();
+  const claimToken = await service.createClaimToken('VINSMOKE@abc');
+  const otherToken = await service.createClaimToken('VINSMOKE@other');
+
+  for (const token of [undefined, null, '', 42, ['x'], `${claimToken}x`, otherToken]) {
+    assert.equal(await service.verifyClaimToken('VINSMOKE@abc', token), false);
+  }
+});
+
+test('sessions without a claim token are closed to everyone', { skip }, async () => {
+  const service = createService();
+  await service.store.updateTracking(tracking => {
+    tracking.sessions.push({ sessionId: 'VINSMOKE@legacy', status: 'active' });
+  });
+
+  assert.equal(await service.verifyClaimToken('VINSMOKE@legacy', 'anything'), false);
+  assert.equal(await service.verifyClaimToken('VINSMOKE@unknown', 'anything'), false);
+});
+
+test('a new token replaces the old one', { skip }, async () => {
+  const service = createService();
+  const first = await service.createClaimToken('VINSMOKE@abc');
+  const second = await service.createClaimToken('VINSMOKE@abc');
+
+  assert.equal(await service.verifyClaimToken('VINSMOKE@abc', first), false);
+  assert.equal(await service.verifyClaimToken('VINSMOKE@abc', second), true);
+  assert.equal((await service.store.listSessions()).length, 1);
+});
+
+test('failed links stay readable by their creator through the link state', { skip }, async () => {
+  const service = createService();
+  const claimToken = await service.createClaimToken('VINSMOKE@failed');
+  service.linkStates.set('VINSMOKE@failed', { claimTokenHash: service.hashClaimToken(claimToken) });
+  await service.store.removeSession('VINSMOKE@failed');
+
+  assert.equal(await service.verifyClaimToken('VINSMOKE@failed', claimToken), true);
+});
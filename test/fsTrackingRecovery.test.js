@@ -0,0 +1,103 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import FsSessionStore from '../services/sessionStores/fsSessionStore.js';
+
+let tempDir;
+let trackingFile;
+
+const createStore = () => new FsSessionStore({ sessionsDir: path.join(tempDir, 'sessions'), trackingFile });
+
+const writeJson = (filePath, data) => fs.outputFile(filePath, JSON.stringify(data));
+
+beforeEach(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'session-tracking-'));
+  trackingFile = path.join(tempDir, 'data/session-tracking.json');
+});
+
+afterEach(async () => {
+  await fs.remove(tempDir);
+});
+
+test('every write keeps the previous version as backup', async () => {
+  const store = createStore();
+  await store.initialize();
+
+  await store.updateTracking(tracking => {
+    tracking.sessions.push({ sessionId: 'VINSMOKE@a' });
+  });
+  await store.updateTracking(tracking => {
+    tracking.sessions.push({ sessionId: 'VINSMOKE@b' });
+  });
+
+  assert.equal((await fs.readJson(trackingFile)).sessions.length, 2);
+  assert.equal((await fs.readJson(`${trackingFile}.bak`)).sessions.length, 1);
+});
+
+test('a corrupt file is set aside and restored from the backup', async () => {
+  await fs.outputFile(trackingFile, '{"sessions": [');
+  await writeJson(`${trackingFile}.bak`, { sessions: [{ sessionId: 'VINSMOKE@saved' }] });
+
+  const store = createStore();
+  await store.initialize();
+
+  assert.deepEqual(await store.listSessions(), [{ sessionId: 'VINSMOKE@saved' }]);
+  assert.deepEqual((await fs.readJson(trackingFile)).sessions, [{ sessionId: 'VINSMOKE@saved' }]);
+
+  const corrupt = (await fs.readdir(path.dirname(trackingFile))).filter(name => name.includes('.corrupt-'));
+  assert.equal(corrupt.length, 1);
+  assert.equal(await fs.readFile(path.join(path.dirname(trackingFile), corrupt[0]), 'utf8'), '{"sessions": [');
+});
+
+test('a file without a sessions array counts as corrupt', async () => {
+  await writeJson(trackingFile, { sessions: 'nope' });
+  await writeJson(`${trackingFile}.bak`, { sessions: [{ sessionId: 'VINSMOKE@saved' }] });
+
+  const store = createStore();
+  await store.initialize();
+
+  assert.equal((await store.listSessions()).length, 1);
+});
+
+test('a missing file is recovered from the backup', async () => {
+  await writeJson(`${trackingFile}.bak`, { sessions: [{ sessionId: 'VINSMOKE@saved' }] });
+
+  const store = createStore();
+  await store.initialize();
+
+  assert.equal((await store.listSessions()).length, 1);
+});
+
+test('without a usable backup tracking starts empty', async () => {
+  await fs.outputFile(trackingFile, 'garbage');
+  await fs.outputFile(`${trackingFile}.bak`, 'garbage too');
+
+  const store = createStore();
+  await store.initialize();
+
+  assert.deepEqual(await store.listSessions(), []);
+});
+
+test('concurrent readers share one recovery', async () => {
+  const store = createStore();
+  await store.initialize();
+  await writeJson(`${trackingFile}.bak`, { sessions: [{ sessionId: 'VINSMOKE@saved' }] });
+  await fs.outputFile(trackingFile, 'garbage');
+
+  const results = await Promise.all(Array.from({ length: 5 }, () => store.listSessions()));
+
+  assert.ok(results.every(sessions => sessions.length === 1));
+  const corrupt = (await fs.readdir(path.dirname(trackingFile))).filter(name => name.includes('.corrupt-'));
+  assert.equal(corrupt.length, 1);
+});
+
+test('temp files left by a crash are removed on startup', async () => {
+  await writeJson(trackingFile, { sessions: [] });
+  await fs.outputFile(`${trackingFile}.abc123.tmp`, '{"sessions": [');
+
+  await createStore().initialize();
+
+  assert.deepEqual((await fs.readdir(path.dirname(trackingFile))).sort(), ['session-tracking.json']);
+});
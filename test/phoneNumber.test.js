@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizePhoneNumber } from '../utils/phoneNumber.js';
+
+test('international formats normalize to the same E.164 number', () => {
+  for (const input of ['+994 40 316 37 01', '00994403163701', '994403163701', '+994 (40) 316-37-01', 994403163701]) {
+    const phone = normalizePhoneNumber(input);
+    assert.equal(phone.e164, '+994403163701');
+    assert.equal(phone.digits, '994403163701');
+    assert.equal(phone.countryCallingCode, '994');
+    assert.equal(phone.country, 'AZ');
+  }
+});
+
+test('national numbers are read with the given country', () => {
+  assert.equal(normalizePhoneNumber('040 316 37 01', { country: 'AZ' }).digits, '994403163701');
+  assert.equal(normalizePhoneNumber('(650) 253-0000', { country: 'us' }).e164, '+16502530000');
+  // An explicit country code wins over the given country
+  assert.equal(normalizePhoneNumber('+16502530000', { country: 'AZ' }).country, 'US');
+});
+
+test('countries other than ISO alpha-2 codes are rejected', () => {
+  for (const country of ['AZE', '994', 'a', { code: 'AZ' }, ['AZ'], 1]) {
+    assert.throws(() => normalizePhoneNumber('0403163701', { country }), { code: 'INVALID_PHONE_NUMBER', reason: 'INVALID_COUNTRY' });
+  }
+});
+
+test('rejections carry the reason', () => {
+  const cases = [
+    [undefined, 'NOT_A_NUMBER'],
+    [{ phone: '994403163701' }, 'NOT_A_NUMBER'],
+    ['hello', 'NOT_A_NUMBER'],
+    ['99440', 'TOO_SHORT'],
+    ['9944031637011234', 'TOO_LONG'],
+    ['+999 123 456 789', 'INVALID_COUNTRY']
+  ];
+
+  for (const [input, reason] of cases) {
+    assert.throws(() => normalizePhoneNumber(input), { code: 'INVALID_PHONE_NUMBER', reason }, `${input}`);
+  }
+});
+
+test('numbers with the right length but an unused prefix are invalid', () => {
+  assert.throws(() => normalizePhoneNumber('+994 00 316 37 01'), { code: 'INVALID_PHONE_NUMBER', reason: 'INVALID_NUMBER' });
+});
+
+test('rejected numbers still report their country when it is known', () => {
+  assert.throws(() => normalizePhoneNumber('99440'), (error) => {
+    assert.equal(error.details.countryCallingCode, '994');
+    return true;
+  });
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import AdmZip from 'adm-zip';
+import { extractCredsEntries } from '../utils/sessionArchive.js';
+
+const createZip = (files) => {
+  const zip = new AdmZip();
+  Object.entries(files).forEach(([name, content]) => zip.addFile(name, Buffer.from(content)));
+  return zip.toBuffer();
+};
+
+// Overwrite a 32-bit field of the first central directory header, as a hostile archive would
+const tamperCentralHeader = (buffer, fieldOffset, value) => {
+  const copy = Buffer.from(buffer);
+  const headerStart = copy.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+  copy.writeUInt32LE(value, headerStart + fieldOffset);
+  return copy;
+};
+
+const CENTRAL_COMPRESSED_SIZE = 20;
+const CENTRAL_SIZE = 24;
+const CENTRAL_OFFSET = 42;
+
+test('creds.json files are found at the root and in session folders', () => {
+  const entries = extractCredsEntries(createZip({
+    'creds.json': '{"root":true}',
+    'VINSMOKE@one/creds.json': '{"one":true}',
+    'VINSMOKE@one/pre-key-1.json': '{}',
+    '__MACOSX/VINSMOKE@one/creds.json': 'junk'
+  }));
+
+  assert.deepEqual(entries.map(({ source, folderName }) => ({ source, folderName })), [
+    { source: 'creds.json', folderName: null },
+    { source: 'VINSMOKE@one/creds.json', folderName: 'VINSMOKE@one' }
+  ]);
+  assert.equal(entries[1].content.toString(), '{"one":true}');
+});
+
+test('anything but a ZIP archive is rejected', () => {
+  assert.throws(() => extractCredsEntries(Buffer.from('not a zip')), /Invalid ZIP archive/);
+});
+
+test('archives with too many sessions are rejected', () => {
+  const files = Object.fromEntries(Array.from({ length: 1001 }, (_, i) => [`s${i}/creds.json`, '{}']));
+  assert.throws(() => extractCredsEntries(createZip(files)), /more than 1000 sessions/);
+});
+
+test('oversized creds.json files are skipped', () => {
+  const [entry] = extractCredsEntries(createZip({ 'creds.json': 'x'.repeat(1024 * 1024 + 1) }));
+  assert.equal(entry.content, null);
+});
+
+test('a header claiming a huge size is not inflated', () => {
+  const zip = tamperCentralHeader(createZip({ 'creds.json': '{"a":1}' }), CENTRAL_SIZE, 0xfffffff0);
+  const [entry] = extractCredsEntries(zip);
+  assert.equal(entry.content, null);
+});
+
+test('headers pointing past the uploaded bytes are rejected', () => {
+  const zip = createZip({ 'creds.json': '{"a":1}' });
+
+  assert.throws(() => extractCredsEntries(tamperCentralHeader(zip, CENTRAL_COMPRESSED_SIZE, 0xfffffff0)), /Invalid ZIP archive/);
+  assert.throws(() => extractCredsEntries(tamperCentralHeader(zip, CENTRAL_OFFSET, zip.length + 10)), /Invalid ZIP archive/);
+});
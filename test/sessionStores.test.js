@@ -0,0 +1,112 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import MemorySessionStore from '../services/sessionStores/memorySessionStore.js';
+import FsSessionStore from '../services/sessionStores/fsSessionStore.js';
+import SqliteSessionStore from '../services/sessionStores/sqliteSessionStore.js';
+
+// better-sqlite3 is an optional dependency
+const hasSqlite = await import('better-sqlite3').then(() => true, () => false);
+
+const BACKENDS = {
+  memory: async () => new MemorySessionStore(),
+  fs: async (dir) => new FsSessionStore({ sessionsDir: path.join(dir, 'sessions'), trackingFile: path.join(dir, 'data/session-tracking.json') }),
+  sqlite: async (dir) => new SqliteSessionStore({ filePath: path.join(dir, 'sessions.db') })
+};
+
+// Every backend must behave the same behind the SessionStore interface
+for (const [name, createStore] of Object.entries(BACKENDS)) {
+  describe(`${name} session store`, { skip: name === 'sqlite' && !hasSqlite && 'better-sqlite3 is not installed' }, () => {
+    let tempDir;
+    let store;
+
+    before(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), `session-store-${name}-`));
+      store = await createStore(tempDir);
+      await store.initialize();
+    });
+
+    after(async () => {
+      await fs.remove(tempDir);
+    });
+
+    test('tracking entries are added, updated and removed in order', async () => {
+      await store.updateTracking(tracking => {
+        tracking.sessions.push({ sessionId: 'VINSMOKE@a', status: 'pending' }, { sessionId: 'VINSMOKE@b', status: 'pending' });
+      });
+
+      const updated = await store.updateSession('VINSMOKE@a', { status: 'active' });
+      assert.deepEqual(updated, { sessionId: 'VINSMOKE@a', status: 'active' });
+      assert.equal(await store.updateSession('VINSMOKE@missing', { status: 'active' }), null);
+
+      assert.deepEqual((await store.listSessions()).map(s => s.sessionId), ['VINSMOKE@a', 'VINSMOKE@b']);
+      assert.equal((await store.getSession('VINSMOKE@a')).status, 'active');
+
+      await store.removeSession('VINSMOKE@a');
+      assert.equal(await store.getSession('VINSMOKE@a'), null);
+      await store.removeSession('VINSMOKE@b');
+    });
+
+    test('callers get copies of the tracking data', async () => {
+      await store.updateTracking(tracking => {
+        tracking.sessions.push({ sessionId: 'VINSMOKE@copy', status: 'pending' });
+      });
+
+      const [session] = await store.listSessions();
+      session.status = 'changed';
+      assert.equal((await store.getSession('VINSMOKE@copy')).status, 'pending');
+
+      await store.removeSession('VINSMOKE@copy');
+    });
+
+    test('concurrent tracking updates are all kept', async () => {
+      await Promise.all(Array.from({ length: 20 }, (_, i) => store.updateTracking(async (tracking) => {
+        await new Promise(resolve => setImmediate(resolve));
+        tracking.sessions.push({ sessionId: `VINSMOKE@c${i}` });
+      })));
+
+      assert.equal((await store.listSessions()).length, 20);
+      await store.updateTracking(tracking => {
+        tracking.sessions = [];
+      });
+    });
+
+    test('a failing mutator leaves tracking unchanged and does not block the queue', async () => {
+      await assert.rejects(store.updateTracking(tracking => {
+        tracking.sessions.push({ sessionId: 'VINSMOKE@lost' });
+        throw new Error('mutator failed');
+      }), /mutator failed/);
+
+      assert.equal(await store.getSession('VINSMOKE@lost'), null);
+      assert.equal(await store.updateTracking(() => 'still running'), 'still running');
+    });
+
+    test('files are stored per session as raw buffers', async () => {
+      const content = Buffer.from([0, 1, 2, 255]);
+      await store.writeFile('VINSMOKE@f', 'creds.json', content);
+      await store.writeFile('VINSMOKE@f', 'pre-key-1.json', '{}');
+
+      assert.deepEqual(await store.readFile('VINSMOKE@f', 'creds.json'), content);
+      assert.equal(await store.readFile('VINSMOKE@f', 'missing.json'), null);
+      assert.equal((await store.statFile('VINSMOKE@f', 'creds.json')).size, 4);
+      assert.deepEqual((await store.listFiles('VINSMOKE@f')).map(file => file.name).sort(), ['creds.json', 'pre-key-1.json']);
+      assert.deepEqual(await store.listSessionIds(), ['VINSMOKE@f']);
+
+      await store.removeFile('VINSMOKE@f', 'pre-key-1.json');
+      assert.equal(await store.statFile('VINSMOKE@f', 'pre-key-1.json'), null);
+
+      await store.removeFiles('VINSMOKE@f');
+      assert.equal(await store.hasFiles('VINSMOKE@f'), false);
+      assert.deepEqual(await store.listFiles('VINSMOKE@unknown'), []);
+    });
+
+    test('session IDs and file names cannot escape the store', async () => {
+      for (const unsafe of ['', '.', '..', '../x', 'a/b', 'a\\b', 'a\0b', 'x'.repeat(256), 5]) {
+        await assert.rejects(store.writeFile(unsafe, 'creds.json', '{}'), /Invalid session ID/);
+        await assert.rejects(store.writeFile('VINSMOKE@safe', unsafe, '{}'), /Invalid file name/);
+      }
+    });
+  });
+}
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import zlib from 'zlib';
+
+// sessionString needs Baileys (BufferJSON), which is not installed everywhere the tests run
+const hasBaileys = await import('@whiskeysockets/baileys').then(() => true, () => false);
+const skip = !hasBaileys && '@whiskeysockets/baileys is not installed';
+const { encodeSessionString, decodeSessionString } = hasBaileys ? await import('../utils/sessionString.js') : {};
+
+const CREDS = JSON.stringify({ me: { id: '994403163701:1@s.whatsapp.net', name: 'Sanji' }, registered: true });
+
+// A well-formed string around any content, to reach the checks after the checksum
+const packString = (content) => {
+  const buffer = Buffer.from(content);
+  const checksum = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 16);
+  return ['VINSMOKE', 1, zlib.gzipSync(buffer).toString('base64url'), checksum].join('~');
+};
+
+test('an encoded string decodes back to the same creds', { skip }, () => {
+  const sessionString = encodeSessionString(CREDS);
+  const decoded = decodeSessionString(`  ${sessionString}\n`);
+
+  assert.match(sessionString, /^VINSMOKE~1~[\w-]+~[0-9a-f]{16}$/);
+  assert.equal(decoded.credsJson, CREDS);
+  assert.equal(decoded.creds.me.id, '994403163701:1@s.whatsapp.net');
+});
+
+test('strings of another format or version are rejected', { skip }, () => {
+  const [, , data, checksum] = encodeSessionString(CREDS).split('~');
+
+  for (const value of [undefined, null, 42, '', 'hello', `OTHER~1~${data}~${checksum}`, `VINSMOKE~1~${data}`]) {
+    assert.throws(() => decodeSessionString(value), { code: 'INVALID_SESSION_STRING', message: 'Not a session string' });
+  }
+  assert.throws(() => decodeSessionString(`VINSMOKE~2~${data}~${checksum}`), { code: 'INVALID_SESSION_STRING', message: /Unsupported/ });
+});
+
+test('damaged strings are rejected', { skip }, () => {
+  const [prefix, version, data, checksum] = encodeSessionString(CREDS).split('~');
+  const otherData = encodeSessionString(CREDS.replace('Sanji', 'Zoro')).split('~')[2];
+
+  assert.throws(() => decodeSessionString([prefix, version, 'not-gzip', checksum].join('~')), { message: 'Session string is corrupted' });
+  assert.throws(() => decodeSessionString([prefix, version, otherData, checksum].join('~')), { message: 'Session string checksum mismatch' });
+});
+
+test('content larger than a creds.json is not inflated', { skip }, () => {
+  assert.throws(() => decodeSessionString(packString(' '.repeat(2 * 1024 * 1024))), { message: 'Session string is corrupted' });
+});
+
+test('valid JSON that is not a creds object is rejected', { skip }, () => {
+  for (const content of ['not json', 'null', '5', '"creds"', '[]']) {
+    assert.throws(() => decodeSessionString(packString(content)), { code: 'INVALID_SESSION_STRING', message: 'Session string does not contain valid creds' });
+  }
+});
+
+test('creds without a linked account are rejected', { skip }, () => {
+  for (const creds of [{}, { me: null }, { me: 5 }, { me: {} }, { me: { id: 1 } }, { me: { id: '' } }]) {
+    assert.throws(() => decodeSessionString(packString(JSON.stringify(creds))), { code: 'INVALID_SESSION_STRING', message: /linked account/ });
+  }
+});
@@ -0,0 +1,122 @@
+// Admin Token Helper
+// Issues and verifies HMAC-SHA256 signed tokens (JWT compatible, HS256)
+// Configure the signing secret and lifetimes via environment variables
+
+import crypto from 'crypto';
+
+let TOKEN_CONFIG = null;
+
+// Lazy loading function to ensure environment variables are loaded
+const getTokenConfig = () => {
+  if (!TOKEN_CONFIG) {
+    const secret = process.env.ADMIN_TOKEN_SECRET;
+
+    TOKEN_CONFIG = {
+      // Signing secret (required in production)
+      // Without it a random secret is generated, so tokens die on every restart
+      secret: secret || crypto.randomBytes(48).toString('hex'),
+      isEphemeralSecret: !secret,
+
+      // Access token lifetime in milliseconds (default 12 hours)
+      // Example: ADMIN_TOKEN_TTL=43200000
+      accessTokenTTL: parseInt(process.env.ADMIN_TOKEN_TTL) || 12 * 60 * 60 * 1000,
+
+      // Refresh token lifetime in milliseconds (default 7 days)
+      // Example: ADMIN_REFRESH_TOKEN_TTL=604800000
+      refreshTokenTTL: parseInt(process.env.ADMIN_REFRESH_TOKEN_TTL) || 7 * 24 * 60 * 60 * 1000,
+    };
+  }
+  return TOKEN_CONFIG;
+};
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const sign = (data, secret) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+const createTokenError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Sign a token of the given type ('access' or 'refresh') for a user profile
+// loginId ties the token to a server-side login record so it can be revoked
+const signToken = (user, type = 'access', loginId = null) => {
+  const config = getTokenConfig();
+  const ttl = type === 'refresh' ? config.refreshTokenTTL : config.accessTokenTTL;
+  const issuedAt = Math.floor(Date.now() / 1000);
+
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const payload = {
+    sub: user.id?.toString(),
+    typ: type,
+    sid: loginId,
+    user,
+    iat: issuedAt,
+    exp: issuedAt + Math.floor(ttl / 1000)
+  };
+
+  const unsigned = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+  return `${unsigned}.${sign(unsigned, config.secret)}`;
+};
+
+// Issue an access/refresh token pair for a user profile
+const issueTokens = (user, loginId = null) => {
+  const config = getTokenConfig();
+
+  return {
+    token: signToken(user, 'access', loginId),
+    refreshToken: signToken(user, 'refresh', loginId),
+    expiresAt: new Date(Date.now() + config.accessTokenTTL).toISOString(),
+    refreshExpiresAt: new Date(Date.now() + config.refreshTokenTTL).toISOString()
+  };
+};
+
+// Verify signature, type and expiry; returns the decoded payload or throws
+const verifyToken = (token, expectedType = 'access') => {
+  const config = getTokenConfig();
+
+  if (typeof token !== 'string') {
+    throw createTokenError('Invalid token', 'TOKEN_INVALID');
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw createTokenError('Invalid token', 'TOKEN_INVALID');
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+  const expected = Buffer.from(sign(`${encodedHeader}.${encodedPayload}`, config.secret));
+  const received = Buffer.from(signature);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw createTokenError('Invalid token signature', 'TOKEN_INVALID');
+  }
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString());
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+  } catch (error) {
+    throw createTokenError('Malformed token', 'TOKEN_INVALID');
+  }
+
+  if (header.alg !== 'HS256' || payload.typ !== expectedType || !payload.user) {
+    throw createTokenError('Invalid token type', 'TOKEN_INVALID');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (!payload.exp || payload.exp <= now || !payload.iat || payload.iat > now + 60) {
+    throw createTokenError('Token expired', 'TOKEN_EXPIRED');
+  }
+
+  return payload;
+};
+
+export {
+  getTokenConfig,
+  signToken,
+  issueTokens,
+  verifyToken
+};
@@ -1,4 +1,4 @@
-const { DisconnectReason } = require('@whiskeysockets/baileys');
+import { DisconnectReason } from '@whiskeysockets/baileys';
 
 class ConnectionHelper {
   static getSocketConfig(version) {
@@ -65,5 +65,4 @@ class ConnectionHelper {
   }
 }
 
-
-module.exports = ConnectionHelper;
\ No newline at end of file
+export default ConnectionHelper;
@@ -0,0 +1,129 @@
+// Creds Encryption Helper
+// Encrypts stored creds.json files with AES-256-GCM using a master key from the environment
+// Encrypted files keep the creds.json name and hold a JSON envelope instead of the raw creds
+
+import crypto from 'crypto';
+
+const ENVELOPE_FORMAT = 'vinsmoke-creds-aes-256-gcm';
+
+let CREDS_KEY_CONFIG = null;
+
+// Accepts 64 hex characters or base64 encoding 32 bytes
+const parseKey = (value, name) => {
+  const trimmed = value.trim();
+
+  if (/^[0-9a-fA-F]{64}$/.test(trimmed)) {
+    return Buffer.from(trimmed, 'hex');
+  }
+
+  const decoded = Buffer.from(trimmed, 'base64');
+  if (decoded.length === 32) {
+    return decoded;
+  }
+
+  throw new Error(`${name} must be 32 bytes (64 hex chars or base64)`);
+};
+
+// Short fingerprint stored in each envelope so the right key can be picked on read
+const getKeyId = (key) => crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+
+// Lazy loading function to ensure environment variables are loaded
+const getCredsKeyConfig = () => {
+  if (!CREDS_KEY_CONFIG) {
+    // Current master key - generate one with: openssl rand -hex 32
+    const currentKey = process.env.CREDS_ENCRYPTION_KEY
+      ? parseKey(process.env.CREDS_ENCRYPTION_KEY, 'CREDS_ENCRYPTION_KEY')
+      : null;
+
+    // Previous keys (comma-separated) stay readable until rotation re-encrypts everything
+    const previousKeys = process.env.CREDS_ENCRYPTION_KEY_PREVIOUS
+      ? process.env.CREDS_ENCRYPTION_KEY_PREVIOUS.split(',').map(k => k.trim()).filter(Boolean)
+        .map(k => parseKey(k, 'CREDS_ENCRYPTION_KEY_PREVIOUS'))
+      : [];
+
+    const keys = new Map();
+    [currentKey, ...previousKeys].filter(Boolean).forEach(key => keys.set(getKeyId(key), key));
+
+    CREDS_KEY_CONFIG = {
+      enabled: !!currentKey,
+      currentKey,
+      currentKeyId: currentKey ? getKeyId(currentKey) : null,
+      keys
+    };
+  }
+  return CREDS_KEY_CONFIG;
+};
+
+const isEncryptionEnabled = () => getCredsKeyConfig().enabled;
+
+const isEncryptedEnvelope = (data) => !!data && typeof data === 'object' && data.format === ENVELOPE_FORMAT;
+
+// Encrypt plaintext creds (string or Buffer) into an envelope string
+const encryptCreds = (plaintext) => {
+  const { currentKey, currentKeyId } = getCredsKeyConfig();
+  if (!currentKey) {
+    throw new Error('CREDS_ENCRYPTION_KEY not configured');
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', currentKey, iv);
+  const data = Buffer.concat([cipher.update(Buffer.from(plaintext)), cipher.final()]);
+
+  return JSON.stringify({
+    format: ENVELOPE_FORMAT,
+    version: 1,
+    keyId: currentKeyId,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  });
+};
+
+// Decrypt an envelope object back into the plaintext Buffer
+const decryptEnvelope = (envelope) => {
+  const key = getCredsKeyConfig().keys.get(envelope.keyId);
+  if (!key) {
+    throw new Error(`No key available for encrypted creds (key id ${envelope.keyId})`);
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+};
+
+// Plaintext Buffer of stored creds, decrypting when needed
+const decodeCredsBuffer = (raw) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(raw.toString('utf8'));
+  } catch (error) {
+    return raw;
+  }
+
+  return isEncryptedEnvelope(parsed) ? decryptEnvelope(parsed) : raw;
+};
+
+// Parse stored creds, decrypting when needed
+const parseCredsBuffer = (raw) => JSON.parse(decodeCredsBuffer(raw).toString('utf8'));
+
+// Encrypt stored creds with the current key
+// Returns the new envelope string, or null if they already use the current key
+const reencryptCreds = (raw) => {
+  const { currentKeyId } = getCredsKeyConfig();
+  const parsed = JSON.parse(raw.toString('utf8'));
+
+  if (isEncryptedEnvelope(parsed) && parsed.keyId === currentKeyId) {
+    return null;
+  }
+
+  return encryptCreds(isEncryptedEnvelope(parsed) ? decryptEnvelope(parsed) : Buffer.from(raw));
+};
+
+export {
+  getCredsKeyConfig,
+  isEncryptionEnabled,
+  encryptCreds,
+  decodeCredsBuffer,
+  parseCredsBuffer,
+  reencryptCreds
+};
@@ -0,0 +1,67 @@
+// OAuth State Store
+// One-time login states (with PKCE verifiers) kept in memory until they expire
+
+import crypto from 'crypto';
+
+const states = new Map();
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+// Drop expired states so the map cannot grow without bound
+const pruneStates = () => {
+  const now = Date.now();
+  for (const [state, entry] of states.entries()) {
+    if (entry.expiresAt <= now) {
+      states.delete(state);
+    }
+  }
+};
+
+setInterval(pruneStates, 60 * 1000).unref();
+
+// Create a PKCE verifier and its S256 challenge
+const createPKCEPair = () => {
+  const codeVerifier = randomToken();
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return { codeVerifier, codeChallenge };
+};
+
+// Store a new login attempt and return its state value
+const createState = (data, ttl) => {
+  const state = randomToken();
+  states.set(state, {
+    ...data,
+    createdAt: Date.now(),
+    expiresAt: Date.now() + ttl,
+    used: false
+  });
+  return state;
+};
+
+// Consume a state exactly once; returns { entry } or { error }
+// Used states are kept until expiry so replays can be told apart from unknown states
+const consumeState = (state) => {
+  const entry = state ? states.get(state) : null;
+
+  if (!entry) {
+    return { error: 'invalid_state' };
+  }
+
+  if (entry.used) {
+    return { error: 'state_reused' };
+  }
+
+  if (entry.expiresAt <= Date.now()) {
+    states.delete(state);
+    return { error: 'state_expired' };
+  }
+
+  entry.used = true;
+  return { entry };
+};
+
+export {
+  createPKCEPair,
+  createState,
+  consumeState
+};
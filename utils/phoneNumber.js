@@ -0,0 +1,85 @@
+// Phone Number Helper
+// Parses pairing phone numbers with libphonenumber metadata and normalizes them to E.164
+// Stored numbers use the digits of E.164 without '+' (994403163701), the same form
+// WhatsApp uses in creds.me.id, so requested and linked numbers can be compared directly
+
+import { parsePhoneNumberWithError, validatePhoneNumberLength, ParseError } from 'libphonenumber-js/max';
+
+// Why a number was rejected, shown to the user in the 400 response
+const REASON_MESSAGES = {
+  NOT_A_NUMBER: 'This is not a phone number',
+  INVALID_COUNTRY: 'Unknown country code - include it, e.g. +994 40 316 37 01',
+  TOO_SHORT: 'Phone number is too short for its country',
+  TOO_LONG: 'Phone number is too long for its country',
+  INVALID_LENGTH: 'Phone number length is not valid for its country',
+  INVALID_NUMBER: 'No phone numbers exist with this prefix in its country'
+};
+
+const createPhoneNumberError = (reason, details = {}) => {
+  const error = new Error(REASON_MESSAGES[reason] || REASON_MESSAGES.INVALID_NUMBER);
+  error.code = 'INVALID_PHONE_NUMBER';
+  error.reason = reason;
+  error.details = details;
+  return error;
+};
+
+// Accepts "+994 40 316 37 01", "00994403163701", "994403163701" (country code, no '+')
+// or a national number with an ISO country ("040 316 37 01", "AZ")
+// Returns { e164, digits, countryCallingCode, country, nationalNumber }
+// Throws an error with code INVALID_PHONE_NUMBER and a reason from REASON_MESSAGES
+const normalizePhoneNumber = (input, { country = null } = {}) => {
+  if (typeof input !== 'string' && typeof input !== 'number') {
+    throw createPhoneNumberError('NOT_A_NUMBER');
+  }
+
+  let text = input.toString().trim().replace(/[\s\-().]/g, '');
+  if (text.startsWith('00')) {
+    text = `+${text.slice(2)}`;
+  }
+
+  // country comes straight from the request body: anything but an ISO 3166 alpha-2 code is rejected
+  const hasCountry = country !== null && country !== undefined && country !== '';
+  if (hasCountry && (typeof country !== 'string' || !/^[a-z]{2}$/i.test(country))) {
+    throw createPhoneNumberError('INVALID_COUNTRY');
+  }
+
+  // Without a country, bare digits are read as international (country code first)
+  const defaultCountry = hasCountry ? country.toUpperCase() : undefined;
+  if (!text.startsWith('+') && !defaultCountry) {
+    text = `+${text}`;
+  }
+
+  let phone;
+  try {
+    phone = parsePhoneNumberWithError(text, defaultCountry);
+  } catch (error) {
+    if (error instanceof ParseError) {
+      throw createPhoneNumberError(error.message);
+    }
+    throw error;
+  }
+
+  const details = {
+    countryCallingCode: phone.countryCallingCode,
+    country: phone.country || null
+  };
+
+  const lengthProblem = validatePhoneNumberLength(phone.number);
+  if (lengthProblem) {
+    throw createPhoneNumberError(lengthProblem, details);
+  }
+
+  if (!phone.isValid()) {
+    throw createPhoneNumberError('INVALID_NUMBER', details);
+  }
+
+  return {
+    e164: phone.number,
+    digits: phone.number.slice(1),
+    countryCallingCode: phone.countryCallingCode,
+    country: phone.country || null,
+    nationalNumber: phone.nationalNumber
+  };
+};
+
+export { normalizePhoneNumber };
@@ -0,0 +1,58 @@
+// Session Archive Helper
+// Reads creds.json files out of uploaded ZIP archives for session import
+// Accepts a single auth folder (creds.json plus key files) or a batch of session folders
+
+import AdmZip from 'adm-zip';
+import path from 'path';
+
+// Limits keep a hostile archive from exhausting memory
+const MAX_CREDS_FILES = 1000;
+const MAX_CREDS_SIZE = 1024 * 1024; // 1 MB uncompressed per creds.json
+const MAX_IMPORT_SIZE = 50 * 1024 * 1024; // 50 MB per upload, and uncompressed creds.json per archive
+
+// Returns one { source, folderName, content } per creds.json in the archive
+// folderName is the directory holding the file (null at the archive root)
+// Other auth files are ignored - stored sessions keep only creds.json
+const extractCredsEntries = (zipBuffer) => {
+  let zip;
+  try {
+    zip = new AdmZip(zipBuffer);
+  } catch (error) {
+    throw new Error('Invalid ZIP archive');
+  }
+
+  const credsEntries = zip.getEntries().filter(entry => !entry.isDirectory
+    && !entry.entryName.startsWith('__MACOSX/')
+    && path.posix.basename(entry.entryName) === 'creds.json');
+
+  if (credsEntries.length > MAX_CREDS_FILES) {
+    throw new Error(`Archive contains more than ${MAX_CREDS_FILES} sessions`);
+  }
+
+  // Sizes in the headers are whatever the archive claims: they are checked against the bytes
+  // actually uploaded and the import limits before AdmZip allocates or slices anything
+  let totalSize = 0;
+
+  return credsEntries.map(entry => {
+    const folder = path.posix.dirname(entry.entryName);
+    const { size, compressedSize, offset } = entry.header;
+
+    if (offset >= zipBuffer.length || compressedSize > zipBuffer.length - offset) {
+      throw new Error('Invalid ZIP archive');
+    }
+
+    let content = null;
+    if (size <= MAX_CREDS_SIZE && totalSize + size <= MAX_IMPORT_SIZE) {
+      totalSize += size;
+      content = entry.getData();
+    }
+
+    return {
+      source: entry.entryName,
+      folderName: folder === '.' ? null : path.posix.basename(folder),
+      content: content && content.length <= MAX_CREDS_SIZE ? content : null
+    };
+  });
+};
+
+export { MAX_IMPORT_SIZE, extractCredsEntries };
@@ -0,0 +1,121 @@
+// Session String Helper
+// Packs a creds.json into one self-contained string so a bot can boot from an env variable
+// Format: VINSMOKE~<version>~<base64url gzip of creds.json>~<checksum>
+// The checksum is the first 16 hex chars of the SHA-256 of the uncompressed creds.json
+
+import { BufferJSON, initAuthCreds } from '@whiskeysockets/baileys';
+import crypto from 'crypto';
+import zlib from 'zlib';
+
+const SESSION_STRING_PREFIX = 'VINSMOKE';
+const SESSION_STRING_VERSION = 1;
+const SEPARATOR = '~';
+
+// Refuse to inflate anything bigger than a creds.json could plausibly be
+const MAX_CREDS_SIZE = 1024 * 1024;
+
+const checksum = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 16);
+
+const createSessionStringError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_SESSION_STRING';
+  return error;
+};
+
+// Encode plaintext creds.json (string or Buffer) into a session string
+const encodeSessionString = (credsJson) => {
+  const buffer = Buffer.from(credsJson);
+  const data = zlib.gzipSync(buffer, { level: 9 }).toString('base64url');
+
+  return [SESSION_STRING_PREFIX, SESSION_STRING_VERSION, data, checksum(buffer)].join(SEPARATOR);
+};
+
+// Decode a session string back into the creds object (Buffers restored) and the raw creds.json text
+// Throws an error with code INVALID_SESSION_STRING when the string is damaged
+const decodeSessionString = (sessionString) => {
+  const parts = typeof sessionString === 'string' ? sessionString.trim().split(SEPARATOR) : [];
+
+  if (parts.length !== 4 || parts[0] !== SESSION_STRING_PREFIX) {
+    throw createSessionStringError('Not a session string');
+  }
+
+  const [, version, data, expectedChecksum] = parts;
+  if (parseInt(version) !== SESSION_STRING_VERSION) {
+    throw createSessionStringError(`Unsupported session string version: ${version}`);
+  }
+
+  let buffer;
+  try {
+    buffer = zlib.gunzipSync(Buffer.from(data, 'base64url'), { maxOutputLength: MAX_CREDS_SIZE });
+  } catch (error) {
+    throw createSessionStringError('Session string is corrupted');
+  }
+
+  if (checksum(buffer) !== expectedChecksum) {
+    throw createSessionStringError('Session string checksum mismatch');
+  }
+
+  let creds;
+  try {
+    creds = JSON.parse(buffer.toString('utf8'), BufferJSON.reviver);
+  } catch (error) {
+    throw createSessionStringError('Session string does not contain valid creds');
+  }
+
+  // Valid JSON is not necessarily an object (null, a number, an array)
+  if (!creds || typeof creds !== 'object' || Array.isArray(creds)) {
+    throw createSessionStringError('Session string does not contain valid creds');
+  }
+
+  if (!creds.me || typeof creds.me !== 'object' || typeof creds.me.id !== 'string' || !creds.me.id) {
+    throw createSessionStringError('Session string does not contain a linked account');
+  }
+
+  return { version: SESSION_STRING_VERSION, creds, credsJson: buffer.toString('utf8') };
+};
+
+// Build a Baileys auth state from a session string (signal keys kept in memory)
+// onCredsUpdate receives the creds whenever Baileys saves them, e.g. to re-encode a string
+const useSessionStringAuthState = (sessionString, onCredsUpdate = null) => {
+  const { creds: decodedCreds } = decodeSessionString(sessionString);
+  const creds = { ...initAuthCreds(), ...decodedCreds };
+  const keys = {};
+
+  return {
+    state: {
+      creds,
+      keys: {
+        get: async (type, ids) => {
+          const data = {};
+          ids.forEach(id => {
+            data[id] = keys[type]?.[id];
+          });
+          return data;
+        },
+        set: async (data) => {
+          for (const category in data) {
+            keys[category] = keys[category] || {};
+            for (const id in data[category]) {
+              if (data[category][id]) {
+                keys[category][id] = data[category][id];
+              } else {
+                delete keys[category][id];
+              }
+            }
+          }
+        }
+      }
+    },
+    saveCreds: async () => {
+      if (onCredsUpdate) {
+        await onCredsUpdate(creds);
+      }
+    }
+  };
+};
+
+export {
+  encodeSessionString,
+  decodeSessionString,
+  useSessionStringAuthState
+};
@@ -0,0 +1,73 @@
+// Store Auth State
+// Drop-in replacement for Baileys' useMultiFileAuthState that keeps the auth files in the
+// configured session store (filesystem, SQLite or memory, see services/sessionStores)
+// Long-running (hosted) sockets pass { encrypt: true } so every file stays encrypted at rest
+
+import {
+  BufferJSON,
+  initAuthCreds,
+  proto
+} from '@whiskeysockets/baileys';
+import { isEncryptionEnabled, encryptCreds, decodeCredsBuffer } from './credsCrypto.js';
+
+// Same file naming as useMultiFileAuthState, so both can read each other's folders
+const fixFileName = (file) => file?.replace(/\//g, '__')?.replace(/:/g, '-');
+
+const useStoreAuthState = async (store, sessionId, { encrypt = false } = {}) => {
+  const writeData = async (data, file) => {
+    const json = JSON.stringify(data, BufferJSON.replacer);
+    await store.writeFile(sessionId, fixFileName(file), encrypt && isEncryptionEnabled() ? encryptCreds(json) : json);
+  };
+
+  const readData = async (file) => {
+    try {
+      const raw = await store.readFile(sessionId, fixFileName(file));
+      return raw ? JSON.parse(decodeCredsBuffer(raw).toString('utf8'), BufferJSON.reviver) : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const removeData = async (file) => {
+    try {
+      await store.removeFile(sessionId, fixFileName(file));
+    } catch (error) {
+      // Silent fail
+    }
+  };
+
+  const creds = (await readData('creds.json')) || initAuthCreds();
+
+  return {
+    state: {
+      creds,
+      keys: {
+        get: async (type, ids) => {
+          const data = {};
+          await Promise.all(ids.map(async (id) => {
+            let value = await readData(`${type}-${id}.json`);
+            if (type === 'app-state-sync-key' && value) {
+              value = proto.Message.AppStateSyncKeyData.fromObject(value);
+            }
+            data[id] = value;
+          }));
+          return data;
+        },
+        set: async (data) => {
+          const tasks = [];
+          for (const category in data) {
+            for (const id in data[category]) {
+              const value = data[category][id];
+              const file = `${category}-${id}.json`;
+              tasks.push(value ? writeData(value, file) : removeData(file));
+            }
+          }
+          await Promise.all(tasks);
+        }
+      }
+    },
+    saveCreds: () => writeData(creds, 'creds.json')
+  };
+};
+
+export { useStoreAuthState };